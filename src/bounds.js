@@ -11,15 +11,15 @@ export default (config, xScale) => selection => {
 
     bounds.exit().remove();
 
+    const top = lineHeight * numberRows + margin.top;
+    const transform = `translate(${labelWidth}, ${top})`;
+
     const boundTextGroup = bounds
         .enter()
         .filter((_, i) => !i)
         .append('g')
         .classed('bound', true)
-        .attr(
-            'transform',
-            `translate(${labelWidth}, ${lineHeight * numberRows + margin.top})`
-        );
+        .attr('transform', transform);
 
     boundTextGroup
         .append('text')
@@ -33,6 +33,8 @@ export default (config, xScale) => selection => {
         .attr('text-anchor', 'end')
         .text(dateFormat(xScale.domain()[1]));
 
+    // number of rows may have changed since bounds were added
+    bounds.attr('transform', transform);
     bounds.selectAll('.bound text.start').text(dateFormat(xScale.domain()[0]));
     bounds.selectAll('.bound text.end').text(dateFormat(xScale.domain()[1]));
 };
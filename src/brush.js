@@ -0,0 +1,124 @@
+import { getDropIndex, sliceDrops } from './dropIndex';
+
+/**
+ * Returns drops of each row within given period.
+ *
+ * @param {Object} config configuration
+ * @param {Array} rows chart rows
+ * @param {Array} extent `[start, end]` dates
+ * @returns {Array} [{ row, drops }], in rows order
+ */
+export const getDropsByRow = (config, rows, extent) => {
+    const { drop: { date: dropDate, endDate: dropEndDate } } = config;
+
+    return rows.map(row => ({
+        row,
+        drops: sliceDrops(getDropIndex(row, dropDate, dropEndDate), extent),
+    }));
+};
+
+/**
+ * Creates the brush behavior used to select a period when `brush` is configured. The
+ * selected period is kept as dates, so that it follows zoom and pan.
+ *
+ * Brushing starts either when dragging with the configured modifier key pressed, or
+ * with any drag once brush mode is enabled. Other gestures are left to the zoom.
+ *
+ * @param {Object} config configuration
+ * @param {Function} getScale function returning the current scale
+ * @param {Function} getRows function returning the current rows
+ * @returns {Object} brush state: { behavior, extent, enabled, isGesture }
+ */
+export const createBrush = (config, getScale, getRows) => {
+    const {
+        d3,
+        brush: { modifier = 'shiftKey', enabled = false, onBrush, onBrushEnd },
+    } = config;
+
+    const state = {
+        extent: null,
+        enabled,
+        isGesture: ev =>
+            ev.type !== 'wheel' &&
+            !ev.button &&
+            (state.enabled || (!!modifier && !!ev[modifier])),
+    };
+
+    const getExtent = selection =>
+        selection ? selection.map(x => getScale().invert(x)) : null;
+
+    state.behavior = d3
+        .brushX()
+        .filter(state.isGesture)
+        .on('brush', ev => {
+            // programmatic moves (chart.brush, zoom) have no source event
+            if (!ev.sourceEvent) {
+                return;
+            }
+
+            state.extent = getExtent(ev.selection);
+            if (onBrush) {
+                onBrush(state.extent);
+            }
+        })
+        .on('end', ev => {
+            if (!ev.sourceEvent) {
+                return;
+            }
+
+            state.extent = getExtent(ev.selection);
+            if (onBrushEnd) {
+                onBrushEnd(
+                    state.extent,
+                    state.extent
+                        ? getDropsByRow(config, getRows(), state.extent)
+                        : []
+                );
+            }
+        });
+
+    return state;
+};
+
+/**
+ * Draws the brush overlay across all lines, below them so that drops keep receiving
+ * pointer events, and moves the selection to match the current scale.
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale d3 scaleTime
+ * @param {Object} brushState brush state, as returned by `createBrush`
+ */
+export default (config, xScale, brushState) => selection => {
+    const {
+        label: { width: labelWidth },
+        line: { height: lineHeight },
+    } = config;
+
+    const numberRows = selection.data()[0].length;
+    const width = xScale.range()[1];
+    const { behavior, extent } = brushState;
+
+    behavior.extent([[0, 0], [width, Math.max(numberRows * lineHeight, 1)]]);
+
+    const brushes = selection.selectAll('.brush').data(d => [d]);
+
+    const container = brushes
+        .enter()
+        .insert('g', ':first-child')
+        .classed('brush', true)
+        .attr('transform', `translate(${labelWidth}, 0)`)
+        .merge(brushes)
+        .classed('brush-enabled', brushState.enabled)
+        .call(behavior);
+
+    if (!extent) {
+        container.call(behavior.move, null);
+        return;
+    }
+
+    // clip selection to the visible part of the chart
+    const [x0, x1] = extent.map(xScale);
+    const clipped = [Math.max(x0, 0), Math.min(x1, width)];
+
+    container.call(behavior.move, clipped[0] < clipped[1] ? clipped : null);
+};
@@ -0,0 +1,117 @@
+import brush, { createBrush, getDropsByRow } from './brush';
+
+const rows = [
+    {
+        name: 'foo',
+        fullData: [
+            new Date('2018-01-02'),
+            new Date('2018-01-05'),
+            new Date('2018-01-09'),
+        ],
+    },
+    { name: 'bar', fullData: [new Date('2018-01-04')] },
+];
+
+const xScale = d3
+    .scaleTime()
+    .domain([new Date('2018-01-01'), new Date('2018-01-11')])
+    .range([0, 1000]);
+
+const createConfig = (brushConfig = {}) => ({
+    d3,
+    brush: brushConfig,
+    drop: { date: d => d },
+    label: { width: 200 },
+    line: { height: 40 },
+});
+
+describe('Brush', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<svg><g class="viewport"></g></svg>';
+    });
+
+    it('should return drops of each row within given period', () => {
+        const dropsByRow = getDropsByRow(createConfig(), rows, [
+            new Date('2018-01-03'),
+            new Date('2018-01-06'),
+        ]);
+
+        expect(dropsByRow).toEqual([
+            { row: rows[0], drops: [new Date('2018-01-05')] },
+            { row: rows[1], drops: [new Date('2018-01-04')] },
+        ]);
+    });
+
+    it('should brush on drag with modifier key or once brush mode is enabled', () => {
+        const state = createBrush(createConfig(), () => xScale, () => rows);
+
+        expect(state.isGesture({ type: 'mousedown', shiftKey: true })).toBe(
+            true
+        );
+        expect(state.isGesture({ type: 'mousedown' })).toBe(false);
+        expect(state.isGesture({ type: 'wheel', shiftKey: true })).toBe(false);
+
+        state.enabled = true;
+        expect(state.isGesture({ type: 'mousedown' })).toBe(true);
+
+        const noModifierState = createBrush(
+            createConfig({ modifier: null }),
+            () => xScale,
+            () => rows
+        );
+        expect(
+            noModifierState.isGesture({ type: 'mousedown', shiftKey: true })
+        ).toBe(false);
+    });
+
+    it('should call `onBrushEnd` with brushed period and drops by row', () => {
+        const onBrushEnd = jest.fn();
+        const state = createBrush(
+            createConfig({ onBrushEnd }),
+            () => xScale,
+            () => rows
+        );
+
+        state.behavior.on('end')({ sourceEvent: {}, selection: [200, 500] });
+
+        const extent = [new Date('2018-01-03'), new Date('2018-01-06')];
+        expect(state.extent).toEqual(extent);
+        expect(onBrushEnd).toHaveBeenCalledWith(
+            extent,
+            getDropsByRow(createConfig(), rows, extent)
+        );
+
+        // programmatic moves are silent
+        state.behavior.on('end')({ sourceEvent: null, selection: null });
+        expect(onBrushEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('should draw brushed period below lines, following zoom', () => {
+        const config = createConfig();
+        const state = createBrush(config, () => xScale, () => rows);
+        state.extent = [new Date('2018-01-03'), new Date('2018-01-06')];
+
+        const viewport = d3.select('.viewport').datum(rows);
+        viewport.append('g').classed('drop-line', true);
+        viewport.call(brush(config, xScale, state));
+
+        const container = document.querySelector('.viewport').firstChild;
+        expect(container.getAttribute('class')).toBe('brush');
+
+        const selection = document.querySelector('.brush .selection');
+        expect(selection.getAttribute('x')).toBe('200');
+        expect(selection.getAttribute('width')).toBe('300');
+
+        const zoomedScale = xScale
+            .copy()
+            .domain([new Date('2018-01-05'), new Date('2018-01-15')]);
+        viewport.call(brush(config, zoomedScale, state));
+
+        expect(selection.getAttribute('x')).toBe('0');
+        expect(selection.getAttribute('width')).toBe('100');
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
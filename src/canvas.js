@@ -0,0 +1,494 @@
+import { getSymbol } from './category';
+import { layoutDrops } from './drop';
+import { getSpanShapes } from './span';
+import {
+    calculateBucketPosition,
+    getBucketBaseColor,
+    getBucketColor,
+    getHeatmap,
+    resolveDropColor,
+} from './heatmap';
+
+const CANVAS_CLASS = 'event-drop-canvas';
+
+/**
+ * Creates the canvas layer on which drops and heatmap buckets are painted when
+ * `renderer` is set to `'canvas'`. There is a single canvas per chart, laid over
+ * the drops area of the SVG, which keeps rendering the axis, labels and bounds.
+ *
+ * @param {Object} container d3 selection of the chart container
+ * @returns {Object} canvas layer: { node, context, items, lineIndexes, remove }
+ */
+export const createCanvasLayer = container => {
+    container.selectAll(`canvas.${CANVAS_CLASS}`).remove();
+
+    if (container.style('position') === 'static') {
+        container.style('position', 'relative');
+    }
+
+    const node = container
+        .append('canvas')
+        .classed(CANVAS_CLASS, true)
+        .style('position', 'absolute')
+        .style('pointer-events', 'none')
+        .node();
+
+    const items = new Map(); // drawn items per `.drop-line` node, used for hit-testing
+
+    return {
+        node,
+        context: node.getContext('2d'),
+        items,
+        // position of each `.drop-line` node, set when joining lines to their rows
+        lineIndexes: new WeakMap(),
+        width: 0,
+        height: 0,
+        remove: () => {
+            items.clear();
+            node.remove();
+        },
+    };
+};
+
+/**
+ * Positions and sizes the canvas over the drops area. Resizing a canvas clears it,
+ * so every row has to be painted again afterwards.
+ *
+ * @param {Object} layer canvas layer
+ * @param {Object} box `{ left, top, width, height }` in CSS pixels
+ * @param {number} pixelRatio device pixel ratio, for crisp rendering on HiDPI screens
+ */
+export const resizeCanvasLayer = (
+    layer,
+    { left, top, width, height },
+    pixelRatio = 1
+) => {
+    const { node, context } = layer;
+
+    // a detached or hidden container may report a negative drawable width
+    width = Math.max(0, width);
+    height = Math.max(0, height);
+
+    node.style.left = `${left}px`;
+    node.style.top = `${top}px`;
+    node.style.width = `${width}px`;
+    node.style.height = `${height}px`;
+    node.width = Math.round(width * pixelRatio);
+    node.height = Math.round(height * pixelRatio);
+
+    if (context) {
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+
+    layer.width = width;
+    layer.height = height;
+    layer.items.clear();
+};
+
+/**
+ * Moves the canvas over the drops area, without resizing (hence clearing) it, e.g. once
+ * content added above the SVG shifted the drops area.
+ *
+ * @param {Object} layer canvas layer
+ * @param {Object} position `{ left, top }` in CSS pixels
+ */
+export const moveCanvasLayer = ({ node }, { left, top }) => {
+    node.style.left = `${left}px`;
+    node.style.top = `${top}px`;
+};
+
+const isHit = (item, x, y) => {
+    if (item.type === 'bucket' || item.type === 'span') {
+        return (
+            x >= item.x &&
+            x <= item.x + item.width &&
+            y >= item.y &&
+            y <= item.y + item.height
+        );
+    }
+
+    return Math.pow(x - item.x, 2) + Math.pow(y - item.y, 2) <= item.r * item.r;
+};
+
+const findItem = (layer, x, y, key) => {
+    for (const [lineNode, row] of layer.items) {
+        if (!lineNode.isConnected) {
+            layer.items.delete(lineNode);
+            continue;
+        }
+
+        if (y < row.top || y > row.top + row.height) {
+            continue;
+        }
+
+        // last painted items are on top
+        const items = row[key] || [];
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (isHit(items[i], x, y)) {
+                return items[i];
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Finds the drop or bucket painted at given canvas coordinates.
+ *
+ * @param {Object} layer canvas layer
+ * @param {number} x horizontal position, relative to the canvas
+ * @param {number} y vertical position, relative to the canvas
+ * @returns {Object|null} hit item: { type, data, ... } or null if nothing is there
+ */
+export const findCanvasItem = (layer, x, y) => findItem(layer, x, y, 'items');
+
+/**
+ * Finds the cluster of overlapping drops (see `drop.overlap`) painted at given canvas
+ * coordinates.
+ *
+ * @param {Object} layer canvas layer
+ * @param {number} x horizontal position, relative to the canvas
+ * @param {number} y vertical position, relative to the canvas
+ * @returns {Object|null} hit cluster item: { type, data, row, ... } or null
+ */
+export const findCanvasCluster = (layer, x, y) =>
+    findItem(layer, x, y, 'clusters');
+
+// lines which have not been joined by the chart are looked up among their siblings
+const getLineIndex = (layer, lineNode) => {
+    if (!lineNode || !lineNode.parentNode) {
+        return 0;
+    }
+
+    if (layer.lineIndexes.has(lineNode)) {
+        return layer.lineIndexes.get(lineNode);
+    }
+
+    return Array.from(lineNode.parentNode.children)
+        .filter(child => child.classList.contains('drop-line'))
+        .indexOf(lineNode);
+};
+
+const resolve = (value, ...args) =>
+    typeof value === 'function' ? value(...args) : value;
+
+const getDropItems = (config, xScale, row, top, state) => {
+    const {
+        drop: { color: dropColor, endDate: dropEndDate },
+        line: { height: lineHeight },
+    } = config;
+    const { categories } = state;
+
+    const cy = top + lineHeight / 2;
+    const { drops, clusters } = layoutDrops(config, xScale, state)(row.datum);
+    const getColor = categories
+        ? d => categories.getDropStyle(d).color
+        : (d, ...args) => resolve(dropColor, d, ...args) || row.color;
+
+    const spans = dropEndDate
+        ? getSpanShapes(config, xScale, categories)(row.datum).map(
+              (shape, i) => ({
+                  type: 'span',
+                  data: shape.data,
+                  x: shape.x,
+                  y: cy + shape.y,
+                  width: shape.width,
+                  height: shape.height,
+                  color: getColor(shape.data, i),
+              })
+          )
+        : [];
+
+    const dropData = drops.map(({ data }) => data);
+
+    return spans.concat(
+        drops.map(({ data, x, y, r }, i) => ({
+            type: 'drop',
+            data,
+            x,
+            y: cy + y,
+            r,
+            color: getColor(data, i, dropData),
+            shape: categories ? categories.getDropStyle(data).shape : 'circle',
+        })),
+        // clusters take the color of their first drop
+        clusters.map(cluster => ({
+            type: 'cluster',
+            data: cluster,
+            x: cluster.x,
+            y: cy + cluster.y,
+            r: cluster.r,
+            color: getColor(cluster.drops[0], 0, cluster.drops),
+        }))
+    );
+};
+
+const getBucketItems = (config, xScale, heatmap, row, top, categories) => {
+    const {
+        drop: { color: dropColor },
+        line: { height: lineHeight },
+        bucketSize,
+    } = config;
+
+    const buckets = heatmap.bucketData(row.datum, row.line || row.datum);
+    if (!buckets) {
+        return null;
+    }
+
+    const minBucketWidth =
+        bucketSize && bucketSize.minWidth !== null ? bucketSize.minWidth : 2;
+    const baseColor = resolveDropColor(
+        dropColor,
+        row.color,
+        row.datum,
+        row.index
+    );
+
+    return buckets.map(bucket => {
+        const { x, width } = calculateBucketPosition(
+            bucket,
+            xScale,
+            heatmap.timeInterval,
+            minBucketWidth
+        );
+
+        return {
+            type: 'bucket',
+            data: bucket,
+            x,
+            y: top,
+            width,
+            height: lineHeight,
+            color: getBucketColor(
+                config,
+                bucket.count > 0 ? bucket.intensity : 0,
+                getBucketBaseColor(config, categories, bucket, baseColor)
+            ),
+        };
+    });
+};
+
+const SELECTED_COLOR = '#000';
+
+// same rule as the `selected` class: a bucket is selected if one of its events is
+const isItemSelected = (selection, item) => {
+    if (!selection || !selection.size) {
+        return false;
+    }
+
+    if (item.type === 'bucket') {
+        return (item.data.events || []).some(event => selection.has(event));
+    }
+
+    return selection.has(item.data);
+};
+
+const CLUSTER_TEXT_COLOR = '#fff';
+
+const paintItem = (d3, context, item) => {
+    // bars are rounded only if supported by the browser
+    const isPath =
+        item.type === 'drop' ||
+        item.type === 'cluster' ||
+        (item.type === 'span' && typeof context.roundRect === 'function');
+
+    context.fillStyle = item.color;
+
+    if (!isPath) {
+        context.fillRect(item.x, item.y, item.width, item.height);
+    } else {
+        context.beginPath();
+        if (item.type === 'span') {
+            context.roundRect(
+                item.x,
+                item.y,
+                item.width,
+                item.height,
+                item.height / 2
+            );
+        } else if (item.shape && item.shape !== 'circle') {
+            context.save();
+            context.translate(item.x, item.y);
+            getSymbol(d3, item.shape, item.r).context(context)();
+            context.restore();
+        } else {
+            context.arc(item.x, item.y, item.r, 0, 2 * Math.PI);
+        }
+        context.fill();
+    }
+
+    if (item.type === 'cluster') {
+        context.fillStyle = CLUSTER_TEXT_COLOR;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(String(item.data.count), item.x, item.y);
+    }
+
+    if (item.selected) {
+        context.lineWidth = 2;
+        context.strokeStyle = SELECTED_COLOR;
+        if (isPath) {
+            context.stroke();
+        } else {
+            context.strokeRect(item.x, item.y, item.width, item.height);
+        }
+    }
+};
+
+/**
+ * Paints drops (or heatmap buckets) of each `.drops` container of the selection onto
+ * the canvas layer. Only the bands of the given rows are cleared, so a subset of lines
+ * can be redrawn without touching the others. Rows whose buckets are still being
+ * aggregated by the heatmap worker are left untouched.
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale d3 scaleTime
+ * @param {string} breakpointLabel current breakpoint label
+ * @param {Object} layer canvas layer
+ * @param {boolean} useHeatmap whether to paint heatmap buckets instead of drops
+ * @param {Object} state chart runtime state
+ */
+export default (
+    config,
+    xScale,
+    breakpointLabel,
+    layer,
+    useHeatmap,
+    state = {}
+) => selection => {
+    const { line: { height: lineHeight } } = config;
+    const { context } = layer;
+
+    if (!context) {
+        return;
+    }
+
+    const heatmap =
+        useHeatmap && getHeatmap(config, xScale, breakpointLabel, state);
+
+    selection.each(function(d) {
+        const lineNode = this.parentNode;
+        const index = getLineIndex(layer, lineNode);
+        const top = index * lineHeight;
+        const row = {
+            datum: d,
+            line: lineNode && config.d3.select(lineNode).datum(),
+            index,
+            color: lineNode && lineNode.getAttribute('fill'),
+        };
+
+        const items = useHeatmap
+            ? getBucketItems(
+                  config,
+                  xScale,
+                  heatmap,
+                  row,
+                  top,
+                  state.categories
+              )
+            : getDropItems(config, xScale, row, top, state);
+
+        if (!items) {
+            return;
+        }
+
+        items.forEach(item => {
+            item.row = row.line;
+            item.selected =
+                item.type !== 'cluster' &&
+                isItemSelected(state.selection, item);
+        });
+
+        context.clearRect(0, top, layer.width, lineHeight);
+        items.forEach(item => paintItem(config.d3, context, item));
+
+        // clusters are not events: they are hit-tested on their own, to be expanded
+        layer.items.set(lineNode, {
+            top,
+            height: lineHeight,
+            items: items.filter(item => item.type !== 'cluster'),
+            clusters: items.filter(item => item.type === 'cluster'),
+        });
+    });
+};
+
+/**
+ * Forwards pointer events received by the SVG to the drops and buckets painted on the
+ * canvas, so that `drop.onClick`, `drop.onMouseOver` and `drop.onMouseOut` keep working.
+ *
+ * @param {Object} d3 d3 object
+ * @param {Object} config configuration
+ * @param {Object} layer canvas layer
+ * @param {Function} onExpandCluster called with clicked cluster (see `drop.overlap`)
+ * and its row
+ */
+export const addCanvasHitTesting = (
+    d3,
+    config,
+    layer,
+    onExpandCluster = () => {}
+) => selection => {
+    const { drop: { onClick, onMouseOver, onMouseOut } } = config;
+
+    let hovered = null;
+
+    const getItem = ev => {
+        const [x, y] = d3.pointer(ev, layer.node);
+        return findCanvasItem(layer, x, y);
+    };
+
+    const getCluster = ev => {
+        const [x, y] = d3.pointer(ev, layer.node);
+        return findCanvasCluster(layer, x, y);
+    };
+
+    const leave = ev => {
+        if (hovered) {
+            onMouseOut(ev, hovered.data);
+            hovered = null;
+        }
+        selection.style('cursor', null);
+    };
+
+    selection
+        .on('click.canvas', ev => {
+            const item = getItem(ev);
+            if (item) {
+                onClick(ev, item.data);
+                return;
+            }
+
+            const cluster = getCluster(ev);
+            if (cluster) {
+                onExpandCluster(cluster.data, cluster.row);
+            }
+        })
+        .on('mousemove.canvas', ev => {
+            const item = getItem(ev);
+            if (!item) {
+                leave(ev);
+                if (getCluster(ev)) {
+                    selection.style('cursor', 'pointer');
+                }
+                return;
+            }
+
+            if (hovered && hovered.data !== item.data) {
+                onMouseOut(ev, hovered.data);
+            }
+
+            // buckets behave as in SVG mode, which refreshes hover on every move
+            if (
+                !hovered ||
+                hovered.data !== item.data ||
+                item.type === 'bucket'
+            ) {
+                onMouseOver(ev, item.data);
+            }
+
+            hovered = item;
+            selection.style('cursor', 'pointer');
+        })
+        .on('mouseleave.canvas', leave);
+};
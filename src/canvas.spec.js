@@ -0,0 +1,427 @@
+import { createCategories } from './category';
+import canvasRenderer, {
+    addCanvasHitTesting,
+    createCanvasLayer,
+    findCanvasCluster,
+    findCanvasItem,
+    moveCanvasLayer,
+    resizeCanvasLayer,
+} from './canvas';
+
+const defaultConfig = {
+    d3,
+    drop: {
+        color: null,
+        radius: 5,
+        date: d => new Date(d),
+        onClick: () => {},
+        onMouseOver: () => {},
+        onMouseOut: () => {},
+    },
+    line: {
+        height: 40,
+    },
+    heatmap: {
+        colorScale: null,
+    },
+    numberDisplayedTicks: {
+        extra: 12,
+    },
+    bucketSize: {
+        minWidth: 10,
+        maxWidth: 180,
+    },
+};
+
+const defaultScale = d3
+    .scaleTime()
+    .domain([new Date('2017-01-01'), new Date('2017-01-11')])
+    .range([0, 1000]);
+
+const createContext = () => ({
+    setTransform: jest.fn(),
+    clearRect: jest.fn(),
+    beginPath: jest.fn(),
+    arc: jest.fn(),
+    fill: jest.fn(),
+    fillRect: jest.fn(),
+    save: jest.fn(),
+    restore: jest.fn(),
+    translate: jest.fn(),
+    moveTo: jest.fn(),
+    lineTo: jest.fn(),
+    closePath: jest.fn(),
+    rect: jest.fn(),
+    fillText: jest.fn(),
+});
+
+const createLines = rows => {
+    const svg = d3.select('div').append('svg');
+
+    return svg
+        .selectAll('.drop-line')
+        .data(rows)
+        .enter()
+        .append('g')
+        .classed('drop-line', true)
+        .attr('fill', 'red')
+        .append('g')
+        .classed('drops', true);
+};
+
+describe('Canvas', () => {
+    let context;
+
+    beforeEach(() => {
+        document.body.appendChild(document.createElement('div'));
+
+        context = createContext();
+        jest
+            .spyOn(HTMLCanvasElement.prototype, 'getContext')
+            .mockImplementation(() => context);
+    });
+
+    describe('createCanvasLayer', () => {
+        it('should add a single canvas to the container', () => {
+            const container = d3.select('div');
+
+            createCanvasLayer(container);
+            createCanvasLayer(container);
+
+            expect(
+                document.querySelectorAll('canvas.event-drop-canvas').length
+            ).toBe(1);
+        });
+
+        it('should let pointer events go through the canvas', () => {
+            const { node } = createCanvasLayer(d3.select('div'));
+            expect(node.style.pointerEvents).toBe('none');
+        });
+
+        it('should remove the canvas and forget painted items', () => {
+            const layer = createCanvasLayer(d3.select('div'));
+            layer.items.set(document.createElement('g'), {});
+
+            layer.remove();
+
+            expect(document.querySelectorAll('canvas').length).toBe(0);
+            expect(layer.items.size).toBe(0);
+        });
+    });
+
+    describe('resizeCanvasLayer', () => {
+        it('should position canvas and scale its backing store by pixel ratio', () => {
+            const layer = createCanvasLayer(d3.select('div'));
+
+            resizeCanvasLayer(
+                layer,
+                { left: 210, top: 20, width: 500, height: 80 },
+                2
+            );
+
+            expect(layer.node.style.left).toBe('210px');
+            expect(layer.node.style.top).toBe('20px');
+            expect(layer.node.style.width).toBe('500px');
+            expect(layer.node.width).toBe(1000);
+            expect(layer.node.height).toBe(160);
+            expect(context.setTransform).toHaveBeenCalledWith(2, 0, 0, 2, 0, 0);
+        });
+
+        it('should move canvas without clearing it', () => {
+            const layer = createCanvasLayer(d3.select('div'));
+            resizeCanvasLayer(layer, {
+                left: 0,
+                top: 0,
+                width: 500,
+                height: 80,
+            });
+            layer.items.set(document.createElement('g'), {});
+
+            moveCanvasLayer(layer, { left: 210, top: 50 });
+
+            expect(layer.node.style.left).toBe('210px');
+            expect(layer.node.style.top).toBe('50px');
+            expect(layer.node.width).toBe(500);
+            expect(layer.items.size).toBe(1);
+        });
+    });
+
+    describe('Renderer', () => {
+        it('should paint a circle per non overlapping drop, centered on its line', () => {
+            const layer = createCanvasLayer(d3.select('div'));
+            resizeCanvasLayer(layer, {
+                left: 0,
+                top: 0,
+                width: 1000,
+                height: 80,
+            });
+
+            const drops = createLines([
+                { data: ['2017-01-02'] },
+                { data: ['2017-01-03', '2017-01-03', '2017-01-06'] },
+            ]);
+
+            canvasRenderer(defaultConfig, defaultScale, 'extra', layer, false)(
+                drops
+            );
+
+            expect(context.arc.mock.calls).toEqual([
+                [100, 20, 5, 0, 2 * Math.PI],
+                [200, 60, 5, 0, 2 * Math.PI],
+                [500, 60, 5, 0, 2 * Math.PI],
+            ]);
+            expect(document.querySelectorAll('circle').length).toBe(0);
+        });
+
+        it('should paint lines at the position they have been joined at', () => {
+            const layer = createCanvasLayer(d3.select('div'));
+            resizeCanvasLayer(layer, {
+                left: 0,
+                top: 0,
+                width: 1000,
+                height: 80,
+            });
+
+            const drops = createLines([{ data: ['2017-01-02'] }]);
+            layer.lineIndexes.set(drops.node().parentNode, 1);
+
+            canvasRenderer(defaultConfig, defaultScale, 'extra', layer, false)(
+                drops
+            );
+
+            expect(context.arc.mock.calls).toEqual([
+                [100, 60, 5, 0, 2 * Math.PI],
+            ]);
+        });
+
+        it('should paint shapes of drop categories, leaving hidden ones out', () => {
+            const layer = createCanvasLayer(d3.select('div'));
+            resizeCanvasLayer(layer, {
+                left: 0,
+                top: 0,
+                width: 1000,
+                height: 40,
+            });
+
+            const drops = createLines([
+                {
+                    data: [
+                        { date: '2017-01-02', type: 'deploy' },
+                        { date: '2017-01-03', type: 'alert' },
+                        { date: '2017-01-04', type: 'rollback' },
+                    ],
+                },
+            ]);
+            const categories = createCategories({
+                d3,
+                drop: { category: d => d.type },
+                category: {
+                    palette: {
+                        deploy: { color: 'blue', shape: 'circle' },
+                        alert: { color: 'orange', shape: 'square' },
+                    },
+                    hidden: ['rollback'],
+                },
+            });
+            const config = {
+                ...defaultConfig,
+                drop: { ...defaultConfig.drop, date: d => new Date(d.date) },
+            };
+
+            canvasRenderer(config, defaultScale, 'extra', layer, false, {
+                categories,
+            })(drops);
+
+            expect(context.arc.mock.calls).toEqual([
+                [100, 20, 5, 0, 2 * Math.PI],
+            ]);
+            expect(context.translate).toHaveBeenCalledWith(200, 20);
+            expect(context.rect).toHaveBeenCalled();
+            expect(layer.items.get(drops.node().parentNode).items).toEqual([
+                expect.objectContaining({ color: 'blue', shape: 'circle' }),
+                expect.objectContaining({ color: 'orange', shape: 'square' }),
+            ]);
+        });
+
+        it('should only clear the bands of redrawn lines', () => {
+            const layer = createCanvasLayer(d3.select('div'));
+            resizeCanvasLayer(layer, {
+                left: 0,
+                top: 0,
+                width: 1000,
+                height: 80,
+            });
+
+            const drops = createLines([{ data: [] }, { data: [] }]);
+
+            canvasRenderer(defaultConfig, defaultScale, 'extra', layer, false)(
+                drops.filter((_, i) => i === 1)
+            );
+
+            expect(context.clearRect.mock.calls).toEqual([[0, 40, 1000, 40]]);
+        });
+
+        it('should paint a rect per heatmap bucket when using heatmap', () => {
+            const layer = createCanvasLayer(d3.select('div'));
+            resizeCanvasLayer(layer, {
+                left: 0,
+                top: 0,
+                width: 1000,
+                height: 40,
+            });
+
+            const drops = createLines([
+                {
+                    data: [
+                        new Date('2017-01-02T01:00:00'),
+                        new Date('2017-01-02T02:00:00'),
+                        new Date('2017-01-05T01:00:00'),
+                    ],
+                },
+            ]);
+
+            canvasRenderer(defaultConfig, defaultScale, 'extra', layer, true)(
+                drops
+            );
+
+            expect(context.fillRect).toHaveBeenCalledTimes(2);
+            expect(context.arc).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Hit testing', () => {
+        const setup = config => {
+            const layer = createCanvasLayer(d3.select('div'));
+            resizeCanvasLayer(layer, {
+                left: 0,
+                top: 0,
+                width: 1000,
+                height: 40,
+            });
+
+            const drops = createLines([{ data: [{ date: '2017-01-02' }] }]);
+            canvasRenderer(config, defaultScale, 'extra', layer, false)(drops);
+
+            return layer;
+        };
+
+        const config = {
+            ...defaultConfig,
+            drop: {
+                ...defaultConfig.drop,
+                date: d => new Date(d.date),
+            },
+        };
+
+        it('should find drop painted at given coordinates', () => {
+            const layer = setup(config);
+
+            expect(findCanvasItem(layer, 102, 21).data).toEqual({
+                date: '2017-01-02',
+            });
+            expect(findCanvasItem(layer, 120, 21)).toBe(null);
+        });
+
+        it('should call `onClick` configuration listener when clicking on a painted drop', () => {
+            const onClick = jest.fn();
+            const clickConfig = {
+                ...config,
+                drop: { ...config.drop, onClick },
+            };
+            const layer = setup(clickConfig);
+
+            const svg = d3.select('svg');
+            svg.call(addCanvasHitTesting(d3, clickConfig, layer));
+
+            svg
+                .node()
+                .dispatchEvent(
+                    new MouseEvent('click', { clientX: 500, clientY: 20 })
+                );
+            expect(onClick).not.toHaveBeenCalled();
+
+            svg
+                .node()
+                .dispatchEvent(
+                    new MouseEvent('click', { clientX: 100, clientY: 20 })
+                );
+            expect(onClick).toHaveBeenCalledTimes(1);
+            expect(onClick.mock.calls[0][1]).toEqual({ date: '2017-01-02' });
+        });
+
+        it('should expand cluster of overlapping drops when clicking on it', () => {
+            const clusterConfig = {
+                ...config,
+                drop: { ...config.drop, overlap: 'cluster' },
+            };
+            const layer = createCanvasLayer(d3.select('div'));
+            resizeCanvasLayer(layer, {
+                left: 0,
+                top: 0,
+                width: 1000,
+                height: 40,
+            });
+
+            const row = {
+                data: [{ date: '2017-01-02' }, { date: '2017-01-02' }],
+            };
+            const drops = createLines([row]);
+            canvasRenderer(clusterConfig, defaultScale, 'extra', layer, false)(
+                drops
+            );
+
+            // clusters are painted with their count, but are not events
+            expect(context.fillText).toHaveBeenCalledWith('2', 100, 20);
+            expect(findCanvasItem(layer, 100, 20)).toBe(null);
+            expect(findCanvasCluster(layer, 100, 20).data.count).toBe(2);
+
+            const onExpandCluster = jest.fn();
+            const svg = d3.select('svg');
+            svg.call(
+                addCanvasHitTesting(d3, clusterConfig, layer, onExpandCluster)
+            );
+
+            svg
+                .node()
+                .dispatchEvent(
+                    new MouseEvent('click', { clientX: 100, clientY: 20 })
+                );
+            expect(onExpandCluster).toHaveBeenCalledTimes(1);
+            expect(onExpandCluster.mock.calls[0][0].drops).toEqual(row.data);
+            expect(onExpandCluster.mock.calls[0][1]).toBe(row);
+        });
+
+        it('should call `onMouseOver` and `onMouseOut` when pointer enters and leaves a painted drop', () => {
+            const onMouseOver = jest.fn();
+            const onMouseOut = jest.fn();
+            const hoverConfig = {
+                ...config,
+                drop: { ...config.drop, onMouseOver, onMouseOut },
+            };
+            const layer = setup(hoverConfig);
+
+            const svg = d3.select('svg');
+            svg.call(addCanvasHitTesting(d3, hoverConfig, layer));
+
+            const move = clientX =>
+                svg
+                    .node()
+                    .dispatchEvent(
+                        new MouseEvent('mousemove', { clientX, clientY: 20 })
+                    );
+
+            move(100);
+            move(101);
+            expect(onMouseOver).toHaveBeenCalledTimes(1);
+            expect(onMouseOut).not.toHaveBeenCalled();
+
+            move(300);
+            expect(onMouseOut).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,137 @@
+const SYMBOLS = {
+    circle: 'symbolCircle',
+    square: 'symbolSquare',
+    triangle: 'symbolTriangle',
+    diamond: 'symbolDiamond',
+};
+
+/**
+ * @param {Object} d3 d3 object
+ * @param {string} shape 'circle', 'square', 'triangle' or 'diamond'
+ * @param {number} radius radius of the drop circle the shape replaces
+ * @returns {Function} d3 symbol generator of the shape, centered on the origin
+ */
+export const getSymbol = (d3, shape, radius) => {
+    if (!SYMBOLS[shape]) {
+        throw new Error(
+            `Unknown category shape "${shape}". Use "circle", "square", "triangle" or "diamond".`
+        );
+    }
+
+    // shapes get the area of the drop circle, so that they look alike
+    return d3
+        .symbol()
+        .type(d3[SYMBOLS[shape]])
+        .size(Math.PI * radius * radius);
+};
+
+/**
+ * @param {Object} d3 d3 object
+ * @param {string} shape 'circle', 'square', 'triangle' or 'diamond'
+ * @param {number} radius radius of the drop circle the shape replaces
+ * @returns {string} SVG path of the shape, centered on the origin
+ */
+export const getSymbolPath = (d3, shape, radius) =>
+    getSymbol(d3, shape, radius)();
+
+/**
+ * Creates the category state, used when `drop.category` is configured. Each category
+ * gets a color and a shape: the ones of the `category.palette`, or the next ones of
+ * `category.colors` and `category.shapes` in order of appearance. Styles are kept once
+ * given, so that categories keep their look when data changes.
+ *
+ * @param {Object} config configuration
+ * @returns {Object} categories state: { getCategory, getStyle, getDropStyle, isShown,
+ * register, toggle, list }
+ */
+export const createCategories = config => {
+    const {
+        d3,
+        drop: { category: dropCategory },
+        category: {
+            palette,
+            colors: customColors,
+            shapes: customShapes,
+            hidden,
+        },
+    } = config;
+    const colors = customColors || d3.schemeTableau10;
+    const shapes = customShapes || Object.keys(SYMBOLS);
+
+    const styles = new Map();
+    const hiddenCategories = new Set((hidden || []).map(String));
+    const scanned = new WeakSet();
+
+    const getCategory = d => String(dropCategory(d));
+
+    const getCategoryStyle = name => {
+        if (!styles.has(name)) {
+            const index = styles.size;
+            styles.set(name, {
+                color: colors[index % colors.length],
+                shape: shapes[index % shapes.length],
+                ...(palette || {})[name],
+            });
+        }
+
+        return styles.get(name);
+    };
+
+    Object.keys(palette || {}).forEach(getCategoryStyle);
+
+    return {
+        getCategory,
+        getStyle: getCategoryStyle,
+        getDropStyle: d => getCategoryStyle(getCategory(d)),
+        isShown: d => !hiddenCategories.has(getCategory(d)),
+        register: drops => {
+            // drops are only scanned again once replaced, e.g. by `chart.addDrops`
+            if (!scanned.has(drops)) {
+                scanned.add(drops);
+                drops.forEach(d => getCategoryStyle(getCategory(d)));
+            }
+        },
+        toggle: (name, isHidden = !hiddenCategories.has(String(name))) => {
+            if (isHidden) {
+                hiddenCategories.add(String(name));
+            } else {
+                hiddenCategories.delete(String(name));
+            }
+        },
+        list: () =>
+            [...styles].map(([name, style]) => ({
+                name,
+                ...style,
+                hidden: hiddenCategories.has(name),
+            })),
+    };
+};
+
+/**
+ * @param {Object} categories categories state
+ * @param {Array} events events of a heatmap bucket
+ * @returns {string} category with the most shown events, or null if there is none
+ */
+export const getDominantCategory = (categories, events) => {
+    const counts = new Map();
+    let dominant = null;
+
+    events.filter(categories.isShown).forEach(event => {
+        const name = categories.getCategory(event);
+        const count = (counts.get(name) || 0) + 1;
+        counts.set(name, count);
+
+        if (dominant === null || count > counts.get(dominant)) {
+            dominant = name;
+        }
+    });
+
+    return dominant;
+};
+
+/**
+ * @param {Object} categories categories state, if any
+ * @returns {Function} filter of drops whose category is not hidden
+ */
+export const filterShownDrops = categories => drops =>
+    categories ? drops.filter(categories.isShown) : drops;
@@ -0,0 +1,89 @@
+import {
+    createCategories,
+    getDominantCategory,
+    getSymbolPath,
+} from './category';
+
+const createConfig = (categoryConfig = {}) => ({
+    d3,
+    drop: { category: d => d.type },
+    category: {
+        palette: null,
+        colors: ['red', 'green'],
+        shapes: null,
+        hidden: null,
+        ...categoryConfig,
+    },
+});
+
+describe('Categories', () => {
+    it('should give palette styles, then next colors and shapes in order of appearance', () => {
+        const categories = createCategories(
+            createConfig({ palette: { alert: { color: 'orange' } } })
+        );
+
+        categories.register([
+            { type: 'deploy' },
+            { type: 'alert' },
+            { type: 'rollback' },
+        ]);
+
+        expect(categories.list()).toEqual([
+            { name: 'alert', color: 'orange', shape: 'circle', hidden: false },
+            { name: 'deploy', color: 'green', shape: 'square', hidden: false },
+            {
+                name: 'rollback',
+                color: 'red',
+                shape: 'triangle',
+                hidden: false,
+            },
+        ]);
+        expect(categories.getDropStyle({ type: 'deploy' })).toEqual({
+            color: 'green',
+            shape: 'square',
+        });
+    });
+
+    it('should toggle hidden categories', () => {
+        const categories = createCategories(
+            createConfig({ hidden: ['alert'] })
+        );
+
+        expect(categories.isShown({ type: 'alert' })).toBe(false);
+        expect(categories.isShown({ type: 'deploy' })).toBe(true);
+
+        categories.toggle('alert');
+        categories.toggle('deploy', true);
+        expect(categories.isShown({ type: 'alert' })).toBe(true);
+        expect(categories.isShown({ type: 'deploy' })).toBe(false);
+    });
+
+    it('should find the category with the most shown events', () => {
+        const categories = createCategories(
+            createConfig({ hidden: ['alert'] })
+        );
+        const events = [
+            { type: 'alert' },
+            { type: 'alert' },
+            { type: 'alert' },
+            { type: 'deploy' },
+            { type: 'rollback' },
+            { type: 'rollback' },
+        ];
+
+        expect(getDominantCategory(categories, events)).toBe('rollback');
+        expect(getDominantCategory(categories, events.slice(0, 3))).toBe(null);
+    });
+
+    it('should draw shapes with the area of drop circle', () => {
+        expect(getSymbolPath(d3, 'square', 2)).toBe(
+            d3
+                .symbol()
+                .type(d3.symbolSquare)
+                .size(4 * Math.PI)()
+        );
+        expect(() => getSymbolPath(d3, 'star', 2)).toThrow(
+            'Unknown category shape "star". Use "circle", "square", "triangle" or "diamond".'
+        );
+    });
+});
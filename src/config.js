@@ -5,6 +5,7 @@ export default d3 => {
     return {
     d3,
     locale: enLocale,
+    renderer: 'svg',
     metaballs: {
         blurDeviation: 10,
         colorMatrix: '1 0 0 0 0  0 1 0 0 0  0 0 1 0 0  0 0 0 50 -10',
@@ -12,6 +13,9 @@ export default d3 => {
     heatmap: {
         colorScale: null, // null means use line color with opacity
         maxIntensity: null, // null means auto-calculate from data
+        worker: false, // aggregate buckets in a Web Worker
+        source: null, // (row, interval, [start, end]) => buckets, or a promise of buckets
+        colorBy: null, // 'category' to color buckets after their dominant category
     },
     bound: {
         format: d3.timeFormat('%d %B %Y'),
@@ -37,13 +41,21 @@ export default d3 => {
         color: null,
         radius: 5,
         date: d => new Date(d),
+        endDate: null, // d => new Date(d.endDate) to render durations as bars
+        category: null, // d => d.type to color and shape drops by category
+        size: null, // d => d.value to size drops by value
+        overlap: 'dedupe', // 'stack', 'beeswarm' or 'cluster' to keep overlapping drops
         onClick: () => {},
         onMouseOver: () => {},
         onMouseOut: () => {},
     },
     label: {
         padding: 20,
-        text: d => `${d.name} (${d.data.length})`,
+        // expanded groups have no drops of their own
+        text: d =>
+            d.children && !d.collapsed
+                ? d.name
+                : `${d.name} (${d.data.length})`,
         onMouseOver: () => {},
         onMouseOut: () => {},
         onClick: () => {},
@@ -52,11 +64,41 @@ export default d3 => {
     indicator: {
         previousText: '◀',
         nextText: '▶',
+        showCount: false,
+        render: null, // (direction, count, row) => text
+        duration: 250,
+    },
+    group: {
+        indent: 12,
+        expandedText: '▾',
+        collapsedText: '▸',
+        onToggleGroup: null, // (group, collapsed) => {}
     },
     line: {
         color: (_, index) => d3.schemeCategory10[index],
         height: 40,
     },
+    legend: false,
+    size: {
+        minRadius: 2,
+        maxRadius: 12,
+        domain: null, // defaults to [0, largest value]
+        legend: false,
+    },
+    category: {
+        palette: null, // { [category]: { color, shape } }
+        colors: null, // defaults to d3.schemeTableau10
+        shapes: null, // defaults to ['circle', 'square', 'triangle', 'diamond']
+        hidden: null, // categories hidden at first
+        legend: false,
+    },
+    maxHeight: null, // chart height above which lines scroll
+    rows: {
+        sort: null, // 'name', 'count', 'recent' or (rowA, rowB) => number
+        draggable: false,
+        onRowOrderChange: null, // rows => {}
+        duration: 250,
+    },
     margin: {
         top: 20,
         right: 10,
@@ -67,6 +109,16 @@ export default d3 => {
         start: new Date(new Date().getTime() - 3600000 * 24 * 365), // one year ago
         end: new Date(),
     },
+    brush: false,
+    selection: {
+        enabled: true,
+        onSelectionChange: null,
+    },
+    tooltip: false,
+    dataTable: false,
+    hash: false,
+    minimap: false,
+    keyboard: false,
     zoom: {
         onZoomStart: null,
         onZoom: null,
@@ -74,6 +126,8 @@ export default d3 => {
         minimumScale: 0,
         maximumScale: Infinity,
         restrictPan: false,
+        historyLength: 50,
+        toolbar: false,
     },
     numberDisplayedTicks: {
         small: 3,
@@ -0,0 +1,206 @@
+import { filterShownDrops } from './category';
+import { getHeatmap } from './heatmap';
+import { isSpan } from './span';
+import { shouldUseHeatmap } from './timeScale';
+
+const getDefaultFormats = config => {
+    const {
+        bound: { format },
+        drop: { date: dropDate, endDate: dropEndDate },
+    } = config;
+    const spanning = isSpan(dropDate, dropEndDate);
+
+    return {
+        formatDrop: d =>
+            spanning(d)
+                ? `${format(dropDate(d))} - ${format(new Date(dropEndDate(d)))}`
+                : format(dropDate(d)),
+        formatBucket: ({ count }, [start, end]) =>
+            `${format(start)} - ${format(end)}: ${count} event${
+                count > 1 ? 's' : ''
+            }`,
+    };
+};
+
+/**
+ * Lists, for each row, its visible events (or its heatmap buckets when the chart
+ * displays a heatmap), as text.
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale d3 scaleTime
+ * @param {string} breakpointLabel current breakpoint label
+ * @param {Object} state chart runtime state
+ * @returns {Function} rows => { useHeatmap, rows: [{ name, count, items, more, pending }] }
+ */
+export const getTableData = (config, xScale, breakpointLabel, state = {}) => {
+    const defaultFormats = getDefaultFormats(config);
+    const {
+        d3,
+        numberDisplayedTicks,
+        bucketSize,
+        dataTable: {
+            maxItems = 100,
+            formatDrop = defaultFormats.formatDrop,
+            formatBucket = defaultFormats.formatBucket,
+        },
+    } = config;
+
+    const useHeatmap = shouldUseHeatmap(
+        d3,
+        xScale,
+        numberDisplayedTicks,
+        breakpointLabel,
+        bucketSize
+    );
+    const heatmap =
+        useHeatmap && getHeatmap(config, xScale, breakpointLabel, state);
+
+    // events of hidden categories are not displayed, hence not listed
+    const getShownDrops = filterShownDrops(state.categories);
+
+    const getItems = (row, drops) => {
+        if (!useHeatmap) {
+            return drops.map(d => formatDrop(d, row));
+        }
+
+        // buckets still being loaded or counted
+        const buckets = heatmap.bucketData(row, row);
+        if (!buckets) {
+            return null;
+        }
+
+        return buckets
+            .filter(({ count }) => count > 0)
+            .map(bucket =>
+                formatBucket(
+                    bucket,
+                    [bucket.date, heatmap.timeInterval.offset(bucket.date, 1)],
+                    row
+                )
+            );
+    };
+
+    return rows => ({
+        useHeatmap,
+        rows: rows.map(row => {
+            const drops = getShownDrops(row.data);
+            const items = getItems(row, drops);
+
+            return {
+                name: row.name,
+                count: drops.length,
+                pending: !items,
+                items: items ? items.slice(0, maxItems) : [],
+                more: items ? Math.max(items.length - maxItems, 0) : 0,
+            };
+        }),
+    });
+};
+
+/**
+ * Creates the table listing chart data for screen readers, next to the SVG, when
+ * `dataTable` is configured. It is visually hidden unless `visible` is set.
+ *
+ * @param {Object} config configuration
+ * @param {HTMLElement} container element the table is appended to
+ * @returns {Object} data table state: { node, visible, remove }
+ */
+export const createDataTable = (config, container) => {
+    const { d3, dataTable: { visible = false } } = config;
+
+    const wrapper = d3
+        .select(container)
+        .append('div')
+        .classed('event-drops-table', true);
+
+    const table = wrapper.append('table');
+    table.append('caption');
+    table.append('thead').append('tr');
+    table.append('tbody');
+
+    return {
+        node: wrapper.node(),
+        visible,
+        remove: () => wrapper.remove(),
+    };
+};
+
+/**
+ * Renders bound rows into the data table: name, number of visible events, and these
+ * events (or heatmap buckets, with their period and count).
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale d3 scaleTime
+ * @param {string} breakpointLabel current breakpoint label
+ * @param {Object} state chart runtime state, with its `dataTable`
+ */
+export default (config, xScale, breakpointLabel, state) => selection => {
+    const {
+        bound: { format },
+        dataTable: { caption: captionText = 'Events' },
+    } = config;
+
+    const data = getTableData(config, xScale, breakpointLabel, state)(
+        selection.datum()
+    );
+    const [start, end] = xScale.domain();
+
+    selection.classed('visible', state.dataTable.visible);
+
+    selection
+        .select('caption')
+        .text(`${captionText}, ${format(start)} - ${format(end)}`);
+
+    const headers = selection
+        .select('thead tr')
+        .selectAll('th')
+        .data([
+            'Name',
+            'Visible events',
+            data.useHeatmap ? 'Periods' : 'Events',
+        ]);
+
+    headers
+        .enter()
+        .append('th')
+        .attr('scope', 'col')
+        .merge(headers)
+        .text(d => d);
+
+    const rows = selection
+        .select('tbody')
+        .selectAll('tr')
+        .data(data.rows);
+
+    rows.exit().remove();
+
+    const newRows = rows.enter().append('tr');
+    newRows.append('th').attr('scope', 'row');
+    newRows.append('td').classed('count', true);
+    newRows
+        .append('td')
+        .classed('items', true)
+        .append('ul');
+
+    const allRows = newRows.merge(rows);
+    allRows.select('th').text(d => d.name);
+    allRows.select('.count').text(d => d.count);
+
+    const items = allRows
+        .select('ul')
+        .selectAll('li')
+        .data(d => {
+            if (d.pending) {
+                return ['Loading…'];
+            }
+
+            return d.more ? d.items.concat(`and ${d.more} more`) : d.items;
+        });
+
+    items.exit().remove();
+    items
+        .enter()
+        .append('li')
+        .merge(items)
+        .text(d => d);
+};
@@ -0,0 +1,149 @@
+import { createCategories } from './category';
+import dataTable, { createDataTable, getTableData } from './dataTable';
+
+const createConfig = (dataTableConfig = {}) => ({
+    d3,
+    bound: { format: d3.timeFormat('%Y-%m-%d %H:%M') },
+    drop: { date: d => d, endDate: null },
+    numberDisplayedTicks: { extra: 12 },
+    bucketSize: null,
+    dataTable: dataTableConfig,
+});
+
+const createScale = (start, end) =>
+    d3
+        .scaleTime()
+        .domain([new Date(start), new Date(end)])
+        .range([0, 1000]);
+
+const hoursScale = createScale('2018-01-01T00:00:00', '2018-01-01T12:00:00');
+const yearScale = createScale('2018-01-01T00:00:00', '2019-01-01T00:00:00');
+
+const rows = [
+    {
+        name: 'foo',
+        data: [
+            new Date('2018-01-01T02:00:00'),
+            new Date('2018-01-01T05:30:00'),
+        ],
+    },
+    { name: 'bar', data: [] },
+];
+
+describe('Data table', () => {
+    it('should list visible events of each row', () => {
+        const data = getTableData(createConfig(), hoursScale, 'extra')(rows);
+
+        expect(data).toEqual({
+            useHeatmap: false,
+            rows: [
+                {
+                    name: 'foo',
+                    count: 2,
+                    pending: false,
+                    items: ['2018-01-01 02:00', '2018-01-01 05:30'],
+                    more: 0,
+                },
+                { name: 'bar', count: 0, pending: false, items: [], more: 0 },
+            ],
+        });
+    });
+
+    it('should list heatmap buckets periods and counts instead of events in heatmap mode', () => {
+        const formatBucket = jest.fn(({ count }, [start, end]) =>
+            [count, start, end].join()
+        );
+        const data = getTableData(
+            createConfig({ formatBucket }),
+            yearScale,
+            'extra'
+        )(rows);
+
+        expect(data.useHeatmap).toBe(true);
+        expect(data.rows[0].count).toBe(2);
+
+        const [bucket, [start, end], row] = formatBucket.mock.calls[0];
+        expect(row).toBe(rows[0]);
+        expect(bucket.count).toBe(2);
+        expect(start <= rows[0].data[0]).toBe(true);
+        expect(end > rows[0].data[1]).toBe(true);
+    });
+
+    it('should leave events of hidden categories out of lists and counts', () => {
+        // events before 4 am are alerts, hidden
+        const categories = createCategories({
+            d3,
+            drop: { category: d => (d.getHours() < 4 ? 'alert' : 'deploy') },
+            category: { hidden: ['alert'] },
+        });
+        const formatBucket = ({ count }) => String(count);
+
+        const [foo] = getTableData(createConfig(), hoursScale, 'extra', {
+            categories,
+        })(rows).rows;
+        expect(foo.count).toBe(1);
+        expect(foo.items).toEqual(['2018-01-01 05:30']);
+
+        const [fooBuckets] = getTableData(
+            createConfig({ formatBucket }),
+            yearScale,
+            'extra',
+            { categories }
+        )(rows).rows;
+        expect(fooBuckets.items).toEqual(['1']);
+    });
+
+    it('should mark rows whose buckets are still pending', () => {
+        const heatmapSource = { getBuckets: () => null };
+        const data = getTableData(createConfig(), yearScale, 'extra', {
+            heatmapSource,
+        })(rows);
+
+        expect(data.rows[0].pending).toBe(true);
+    });
+
+    it('should render a table with a line per row, limiting listed events', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        const config = createConfig({ caption: 'Commits', maxItems: 1 });
+        const state = {
+            dataTable: createDataTable(
+                config,
+                document.getElementById('chart')
+            ),
+        };
+
+        d3
+            .select(state.dataTable.node)
+            .datum(rows)
+            .call(dataTable(config, hoursScale, 'extra', state));
+
+        expect(document.querySelector('caption').textContent).toBe(
+            'Commits, 2018-01-01 00:00 - 2018-01-01 12:00'
+        );
+        expect(
+            [...document.querySelectorAll('tbody tr')].map(tr =>
+                [...tr.children].map(cell => cell.textContent)
+            )
+        ).toEqual([
+            ['foo', '2', '2018-01-01 02:00and 1 more'],
+            ['bar', '0', ''],
+        ]);
+
+        // visually hidden by default
+        expect(
+            document
+                .querySelector('.event-drops-table')
+                .classList.contains('visible')
+        ).toBe(false);
+
+        d3
+            .select(state.dataTable.node)
+            .datum(rows.slice(1))
+            .call(dataTable(config, hoursScale, 'extra', state));
+        expect(document.querySelectorAll('tbody tr').length).toBe(1);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
@@ -1,35 +1,237 @@
 import uniqBy from 'lodash.uniqby';
 
-const filterOverlappingDrop = (xScale, dropDate) => d =>
-    uniqBy(d.data, data => Math.round(xScale(dropDate(data))));
+import span, { isSpan } from './span';
+import { filterShownDrops, getSymbolPath } from './category';
+import { getDropRadius } from './size';
+import { beeswarm, clusterOverlapping, stackOverlapping } from './overlap';
 
-export default (config, xScale) => selection => {
+const OVERLAP_MODES = ['dedupe', 'stack', 'beeswarm', 'cluster'];
+
+const resolve = (value, ...args) =>
+    typeof value === 'function' ? value(...args) : value;
+
+/**
+ * @param {Function} dropDate function returning the date of a drop
+ * @param {Function} dropEndDate function returning the end date of a drop, if any
+ * @param {Object} categories categories state, if any
+ * @returns {Function} function taking row data, returning drops drawn as points: spans
+ * are left out, as they are rendered as bars, as well as drops of hidden categories
+ */
+export const getPointDrops = (dropDate, dropEndDate, categories) => d =>
+    filterShownDrops(categories)(
+        dropEndDate
+            ? d.data.filter(data => !isSpan(dropDate, dropEndDate)(data))
+            : d.data
+    );
+
+// a single drop is kept among the ones drawn at the same pixel. Drops of different
+// categories do not hide each other, and the largest drop is kept when drops are sized.
+export const filterOverlappingDrop = (
+    xScale,
+    dropDate,
+    dropEndDate,
+    categories,
+    sizes
+) => d => {
+    const points = getPointDrops(dropDate, dropEndDate, categories)(d);
+
+    const getKey = data => {
+        const x = Math.round(xScale(dropDate(data)));
+        return categories ? `${x} ${categories.getCategory(data)}` : x;
+    };
+
+    if (!sizes) {
+        return uniqBy(points, getKey);
+    }
+
+    const largest = new Map();
+    points.forEach(data => {
+        const key = getKey(data);
+        const kept = largest.get(key);
+        if (!kept || sizes.getValue(data) > sizes.getValue(kept)) {
+            largest.set(key, data);
+        }
+    });
+
+    return points.filter(data => largest.get(getKey(data)) === data);
+};
+
+/**
+ * Lays out drops of a line according to `drop.overlap`:
+ *
+ * - `'dedupe'`: a single drop is kept among the ones drawn at the same pixel,
+ * - `'stack'`: overlapping drops are spread vertically within the line height,
+ * - `'beeswarm'`: drops are moved vertically so that none of them collide,
+ * - `'cluster'`: overlapping drops are replaced with a cluster, drawn as a bigger drop
+ *   with their count, until it is expanded.
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale d3 scaleTime
+ * @param {Object} state chart runtime state (categories, sizes, expanded clusters)
+ * @returns {Function} function taking row data, returning { drops, clusters } where
+ * drops are [{ data, x, y, r }], `y` being relative to the line middle
+ */
+export const layoutDrops = (config, xScale, state = {}) => d => {
     const {
+        drop: { date: dropDate, endDate: dropEndDate, overlap = 'dedupe' },
+    } = config;
+    const { categories, sizes, expandedClusters } = state;
+    const dropRadius = getDropRadius(config, sizes);
+
+    if (!OVERLAP_MODES.includes(overlap)) {
+        throw new Error(
+            `Unknown drop overlap "${overlap}". Use "dedupe", "stack", "beeswarm" or "cluster".`
+        );
+    }
+
+    const points =
+        overlap === 'dedupe'
+            ? filterOverlappingDrop(
+                  xScale,
+                  dropDate,
+                  dropEndDate,
+                  categories,
+                  sizes
+              )(d)
+            : getPointDrops(dropDate, dropEndDate, categories)(d);
+
+    const drops = points.map((data, i) => ({
+        data,
+        x: xScale(dropDate(data)),
+        y: 0,
+        r: +resolve(dropRadius, data, i, points),
+    }));
+
+    if (overlap === 'dedupe') {
+        return { drops, clusters: [] };
+    }
+
+    const { line: { height: lineHeight } } = config;
+
+    if (overlap === 'cluster') {
+        return clusterOverlapping(
+            drops,
+            lineHeight,
+            categories,
+            expandedClusters
+        );
+    }
+
+    if (overlap === 'beeswarm') {
+        beeswarm(drops, lineHeight);
+    } else {
+        stackOverlapping(drops, lineHeight, categories);
+    }
+
+    return { drops, clusters: [] };
+};
+
+// clusters take the color of their first drop
+const getClusterColor = (dropColor, categories) => cluster => {
+    if (categories) {
+        return categories.getDropStyle(cluster.drops[0]).color;
+    }
+
+    return typeof dropColor === 'function'
+        ? dropColor(cluster.drops[0], 0, cluster.drops)
+        : dropColor;
+};
+
+const drawClusters = (config, getClusters, categories) => selection => {
+    const { drop: { color: dropColor } } = config;
+
+    const clusterNodes = selection.selectAll('.drop-cluster').data(function() {
+        return getClusters(this);
+    });
+
+    clusterNodes.exit().remove();
+
+    const enter = clusterNodes
+        .enter()
+        .append('g')
+        .classed('drop-cluster', true)
+        .attr('role', 'button');
+    enter.append('circle');
+    enter
+        .append('text')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.35em');
+
+    // `select` propagates the cluster to its circle and count
+    const merged = enter
+        .merge(clusterNodes)
+        .attr('transform', cluster => `translate(${cluster.x}, ${cluster.y})`)
+        .attr('aria-label', cluster => `${cluster.count} overlapping events`);
+    merged
+        .select('circle')
+        .attr('r', cluster => cluster.r)
+        .attr('fill', getClusterColor(dropColor, categories));
+    merged.select('text').text(cluster => cluster.count);
+};
+
+export default (config, xScale, breakpointLabel, state = {}) => selection => {
+    const {
+        d3,
         drop: {
             color: dropColor,
-            radius: dropRadius,
-            date: dropDate,
+            endDate: dropEndDate,
             onClick,
             onMouseOver,
             onMouseOut,
         },
     } = config;
+    const { categories } = state;
 
-    const drops = selection
-        .selectAll('.drop')
-        .data(filterOverlappingDrop(xScale, dropDate));
+    // layout of each `.drops` container
+    const layouts = new Map();
+    selection.each(function(d) {
+        layouts.set(this, layoutDrops(config, xScale, state)(d));
+    });
 
-    drops
+    const drops = selection.selectAll('.drop').data(function() {
+        return layouts.get(this).drops.map(item => item.data);
+    });
+
+    const merged = drops
         .enter()
-        .append('circle')
+        .append(categories ? 'path' : 'circle')
         .classed('drop', true)
         .on('click', onClick)
         .on('mouseover', onMouseOver)
         .on('mouseout', onMouseOut)
-        .merge(drops)
-        .attr('r', dropRadius)
-        .attr('fill', dropColor)
-        .attr('cx', d => xScale(dropDate(d)));
+        .merge(drops);
+
+    // merged drops are in data order, hence laid out items are found by index
+    const getItem = (node, i) => layouts.get(node.parentNode).drops[i];
+
+    if (categories) {
+        // each category has its own color and shape
+        merged
+            .attr('d', function(d, i) {
+                return getSymbolPath(
+                    d3,
+                    categories.getDropStyle(d).shape,
+                    getItem(this, i).r
+                );
+            })
+            .attr('fill', d => categories.getDropStyle(d).color)
+            .attr('transform', function(d, i) {
+                const { x, y } = getItem(this, i);
+                return `translate(${x}, ${y})`;
+            });
+    } else {
+        merged
+            .attr('r', function(d, i) {
+                return getItem(this, i).r;
+            })
+            .attr('fill', dropColor)
+            .attr('cx', function(d, i) {
+                return getItem(this, i).x;
+            })
+            .attr('cy', function(d, i) {
+                return getItem(this, i).y;
+            });
+    }
 
     drops
         .exit()
@@ -37,4 +239,12 @@ export default (config, xScale) => selection => {
         .on('mouseover', null)
         .on('mouseout', null)
         .remove();
+
+    selection.call(
+        drawClusters(config, node => layouts.get(node).clusters, categories)
+    );
+
+    if (dropEndDate) {
+        selection.call(span(config, xScale, categories));
+    }
 };
@@ -1,4 +1,6 @@
 import drop from './drop';
+import { createCategories, getSymbolPath } from './category';
+import { createSizes } from './size';
 
 const defaultConfig = {
     drop: {
@@ -267,6 +269,144 @@ describe('Drop', () => {
         expect(config.drop.onClick).toHaveBeenCalled();
     });
 
+    it('should draw drops with the color and shape of their shown category', () => {
+        const selection = d3.select('svg').data([
+            {
+                data: [
+                    { date: yesterday, type: 'deploy' },
+                    { date: yesterday, type: 'alert' },
+                    { date: yesterday, type: 'alert' },
+                    { date: yesterday, type: 'rollback' },
+                ],
+            },
+        ]);
+
+        const categories = createCategories({
+            d3,
+            drop: { category: d => d.type },
+            category: {
+                palette: { deploy: { color: 'blue', shape: 'diamond' } },
+                hidden: ['rollback'],
+            },
+        });
+        const config = {
+            ...defaultConfig,
+            d3,
+            drop: { ...defaultConfig.drop, date: d => d.date },
+        };
+
+        drop(config, defaultScale, 'extra', { categories })(selection);
+
+        const drops = [...document.querySelectorAll('path.drop')];
+        expect(drops.map(node => node.getAttribute('fill'))).toEqual([
+            'blue',
+            categories.getStyle('alert').color,
+        ]);
+        expect(drops[0].getAttribute('d')).toBe(
+            getSymbolPath(d3, 'diamond', 8)
+        );
+        expect(drops[0].getAttribute('transform')).toBe(
+            `translate(${defaultScale(yesterday)}, 0)`
+        );
+        expect(document.querySelectorAll('circle').length).toBe(0);
+    });
+
+    it('should size drops by value, keeping the largest of overlapping drops', () => {
+        const data = [
+            { date: yesterday, value: 1 },
+            { date: yesterday, value: 16 },
+            { date: yesterday, value: 4 },
+            { date: lastYear, value: 4 },
+        ];
+        const selection = d3.select('svg').data([{ data }]);
+
+        const config = {
+            ...defaultConfig,
+            d3,
+            drop: {
+                ...defaultConfig.drop,
+                date: d => d.date,
+                size: d => d.value,
+            },
+            size: { minRadius: 0, maxRadius: 8, domain: null },
+        };
+        const sizes = createSizes(config);
+        sizes.update([{ fullData: data }]);
+
+        drop(config, defaultScale, 'extra', { sizes })(selection);
+
+        expect(d3.selectAll('.drop').data()).toEqual([data[1], data[3]]);
+        expect(
+            [...document.querySelectorAll('.drop')].map(node =>
+                node.getAttribute('r')
+            )
+        ).toEqual(['8', '4']);
+    });
+
+    it('should stack overlapping drops vertically with "stack" overlap', () => {
+        const selection = d3
+            .select('svg')
+            .data([{ data: [yesterday, yesterday, lastYear] }]);
+
+        const config = {
+            ...defaultConfig,
+            drop: { ...defaultConfig.drop, overlap: 'stack' },
+            line: { height: 40 },
+        };
+        drop(config, defaultScale)(selection);
+
+        expect(
+            [...document.querySelectorAll('.drop')].map(node =>
+                node.getAttribute('cy')
+            )
+        ).toEqual(['-8.5', '8.5', '0']);
+    });
+
+    it('should draw overlapping drops as a cluster with their count with "cluster" overlap', () => {
+        const selection = d3
+            .select('svg')
+            .data([{ data: [yesterday, yesterday, yesterday, lastYear] }]);
+
+        const config = {
+            ...defaultConfig,
+            drop: { ...defaultConfig.drop, overlap: 'cluster' },
+            line: { height: 40 },
+        };
+        drop(config, defaultScale)(selection);
+
+        expect(document.querySelectorAll('.drop').length).toBe(1);
+
+        const cluster = document.querySelector('.drop-cluster');
+        expect(cluster.getAttribute('aria-label')).toBe('3 overlapping events');
+        expect(cluster.getAttribute('transform')).toBe(
+            `translate(${defaultScale(yesterday)}, 0)`
+        );
+        expect(cluster.querySelector('circle').getAttribute('fill')).toBe(
+            'red'
+        );
+        expect(cluster.querySelector('text').textContent).toBe('3');
+
+        // expanded clusters are drawn as stacked drops
+        const expandedClusters = new Set([yesterday]);
+        drop(config, defaultScale, 'extra', { expandedClusters })(selection);
+
+        expect(document.querySelectorAll('.drop').length).toBe(4);
+        expect(document.querySelectorAll('.drop-cluster').length).toBe(0);
+    });
+
+    it('should throw an error for unknown overlap mode', () => {
+        const selection = d3.select('svg').data([{ data: [yesterday] }]);
+
+        const config = {
+            ...defaultConfig,
+            drop: { ...defaultConfig.drop, overlap: 'jitter' },
+        };
+
+        expect(() => drop(config, defaultScale)(selection)).toThrow(
+            'Unknown drop overlap "jitter". Use "dedupe", "stack", "beeswarm" or "cluster".'
+        );
+    });
+
     afterEach(() => {
         document.body.innerHTML = '';
         jest.restoreAllMocks();
@@ -0,0 +1,161 @@
+/**
+ * Builds an index of given drops sorted by timestamp. Drops with an invalid date are
+ * left out, as they can't be displayed anyway.
+ *
+ * If an end date accessor is given, drops ending after their start are spans: their end
+ * timestamps are kept in `ends` (equal to `times` for point drops), along with the
+ * longest span duration, so that spans starting before a period but overlapping it can
+ * still be found with a binary search.
+ *
+ * @param {Array} drops row drops (usually `row.fullData`)
+ * @param {Function} dropDate function returning the date of a drop
+ * @param {Function} dropEndDate optional function returning the end date of a drop
+ * @returns {Object} index: { source, dropDate, dropEndDate, times, ends, maxDuration, drops }
+ */
+export const createDropIndex = (drops, dropDate, dropEndDate = null) => {
+    const entries = drops
+        .map(drop => {
+            const time = new Date(dropDate(drop)).getTime();
+            const end = dropEndDate
+                ? new Date(dropEndDate(drop)).getTime()
+                : NaN;
+
+            return { time, end: end > time ? end : time, drop };
+        })
+        .filter(({ time }) => !isNaN(time))
+        .sort((a, b) => a.time - b.time);
+
+    return {
+        source: drops,
+        dropDate,
+        dropEndDate,
+        times: entries.map(({ time }) => time),
+        ends: entries.map(({ end }) => end),
+        maxDuration: entries.reduce(
+            (max, { time, end }) => Math.max(max, end - time),
+            0
+        ),
+        drops: entries.map(({ drop }) => drop),
+    };
+};
+
+/**
+ * Returns the sorted index of a row, building it only if row drops (or date accessors)
+ * changed since last call.
+ *
+ * @param {Object} row row object, with its `fullData`
+ * @param {Function} dropDate function returning the date of a drop
+ * @param {Function} dropEndDate optional function returning the end date of a drop
+ * @returns {Object} sorted index
+ */
+export const getDropIndex = (row, dropDate, dropEndDate = null) => {
+    const index = row._dropIndex;
+    if (
+        !index ||
+        index.source !== row.fullData ||
+        index.dropDate !== dropDate ||
+        index.dropEndDate !== dropEndDate
+    ) {
+        row._dropIndex = createDropIndex(row.fullData, dropDate, dropEndDate);
+    }
+
+    return row._dropIndex;
+};
+
+// first position whose time is greater than or equal to given time
+export const bisectLeft = (times, time) => {
+    let low = 0;
+    let high = times.length;
+
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (times[middle] < time) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+};
+
+// first position whose time is strictly greater than given time
+const bisectRight = (times, time) => {
+    let low = 0;
+    let high = times.length;
+
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (times[middle] <= time) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+};
+
+const getBounds = dateBounds => {
+    const times = dateBounds.map(date => new Date(date).getTime());
+    return [Math.min(...times), Math.max(...times)];
+};
+
+/**
+ * Returns drops within given bounds (included), sorted by date. Spans are returned as
+ * soon as they overlap given bounds.
+ *
+ * @param {Object} index sorted index
+ * @param {Array} dateBounds `[date, date]`, in any order
+ * @returns {Array} visible drops
+ */
+export const sliceDrops = (index, dateBounds) => {
+    const [start, end] = getBounds(dateBounds);
+    const from = bisectLeft(index.times, start - index.maxDuration);
+    const to = bisectRight(index.times, end);
+
+    if (!index.maxDuration) {
+        return index.drops.slice(from, to);
+    }
+
+    const drops = [];
+    for (let i = from; i < to; i++) {
+        if (index.ends[i] >= start) {
+            drops.push(index.drops[i]);
+        }
+    }
+
+    return drops;
+};
+
+/**
+ * @param {Object} index sorted index
+ * @param {Array} dateBounds `[date, date]`, in any order
+ * @returns {number} number of drops strictly before given bounds
+ */
+export const countBefore = (index, dateBounds) => {
+    const [start] = getBounds(dateBounds);
+    const first = bisectLeft(index.times, start);
+
+    // spans starting before bounds but overlapping them are not before
+    let overlapping = 0;
+    for (
+        let i = bisectLeft(index.times, start - index.maxDuration);
+        i < first;
+        i++
+    ) {
+        if (index.ends[i] >= start) {
+            overlapping++;
+        }
+    }
+
+    return first - overlapping;
+};
+
+/**
+ * @param {Object} index sorted index
+ * @param {Array} dateBounds `[date, date]`, in any order
+ * @returns {number} number of drops strictly after given bounds
+ */
+export const countAfter = (index, dateBounds) =>
+    index.times.length - bisectRight(index.times, getBounds(dateBounds)[1]);
@@ -0,0 +1,133 @@
+import {
+    countAfter,
+    countBefore,
+    createDropIndex,
+    getDropIndex,
+    sliceDrops,
+} from './dropIndex';
+
+const dropDate = d => new Date(d.date);
+
+const drops = [
+    { id: 1, date: '2018-04-10' },
+    { id: 2, date: '2018-03-01' },
+    { id: 3, date: 'not a date' },
+    { id: 4, date: '2018-05-01' },
+    { id: 5, date: '2018-04-01' },
+];
+
+describe('Drop Index', () => {
+    describe('createDropIndex', () => {
+        it('should sort drops by date, leaving out invalid dates', () => {
+            const index = createDropIndex(drops, dropDate);
+
+            expect(index.drops.map(d => d.id)).toEqual([2, 5, 1, 4]);
+            expect(index.times).toEqual([
+                new Date('2018-03-01').getTime(),
+                new Date('2018-04-01').getTime(),
+                new Date('2018-04-10').getTime(),
+                new Date('2018-05-01').getTime(),
+            ]);
+        });
+    });
+
+    describe('getDropIndex', () => {
+        it('should cache index on row', () => {
+            const row = { fullData: drops };
+
+            const index = getDropIndex(row, dropDate);
+            expect(getDropIndex(row, dropDate)).toBe(index);
+        });
+
+        it('should rebuild index when row drops changed', () => {
+            const row = { fullData: drops };
+            const index = getDropIndex(row, dropDate);
+
+            row.fullData = [...drops, { id: 6, date: '2018-01-01' }];
+
+            const newIndex = getDropIndex(row, dropDate);
+            expect(newIndex).not.toBe(index);
+            expect(newIndex.drops[0].id).toBe(6);
+        });
+    });
+
+    describe('sliceDrops', () => {
+        it('should return drops within given bounds, bounds included', () => {
+            const index = createDropIndex(drops, dropDate);
+            const test = (dateBounds, expectedIds) => {
+                expect(sliceDrops(index, dateBounds).map(d => d.id)).toEqual(
+                    expectedIds
+                );
+            };
+
+            test([new Date('2018-04-01'), new Date('2018-05-01')], [5, 1, 4]);
+            test([new Date('2018-04-02'), new Date('2018-04-30')], [1]);
+            test([new Date('2018-06-01'), new Date('2018-07-01')], []);
+        });
+
+        it('should accept reversed bounds', () => {
+            const index = createDropIndex(drops, dropDate);
+
+            expect(
+                sliceDrops(index, [
+                    new Date('2018-05-01'),
+                    new Date('2018-04-01'),
+                ]).map(d => d.id)
+            ).toEqual([5, 1, 4]);
+        });
+    });
+
+    describe('spans', () => {
+        const spans = [
+            { id: 1, date: '2018-03-01', end: '2018-04-05' },
+            { id: 2, date: '2018-03-10' },
+            { id: 3, date: '2018-04-02', end: '2018-04-03' },
+        ];
+        const dropEndDate = d => d.end && new Date(d.end);
+
+        it('should keep the longest span duration', () => {
+            const index = createDropIndex(spans, dropDate, dropEndDate);
+
+            expect(index.maxDuration).toBe(
+                new Date('2018-04-05') - new Date('2018-03-01')
+            );
+            expect(index.ends[1]).toBe(index.times[1]);
+        });
+
+        it('should return spans overlapping given bounds', () => {
+            const index = createDropIndex(spans, dropDate, dropEndDate);
+            const dateBounds = [new Date('2018-04-01'), new Date('2018-04-10')];
+
+            expect(sliceDrops(index, dateBounds).map(d => d.id)).toEqual([
+                1,
+                3,
+            ]);
+            expect(countBefore(index, dateBounds)).toBe(1);
+        });
+
+        it('should rebuild index when end date accessor changed', () => {
+            const row = { fullData: spans };
+            const index = getDropIndex(row, dropDate);
+
+            expect(getDropIndex(row, dropDate, dropEndDate)).not.toBe(index);
+        });
+    });
+
+    describe('countBefore / countAfter', () => {
+        it('should count drops strictly outside of given bounds', () => {
+            const index = createDropIndex(drops, dropDate);
+            const dateBounds = [new Date('2018-04-01'), new Date('2018-04-10')];
+
+            expect(countBefore(index, dateBounds)).toBe(1);
+            expect(countAfter(index, dateBounds)).toBe(1);
+        });
+
+        it('should return 0 on empty index', () => {
+            const index = createDropIndex([], dropDate);
+            const dateBounds = [new Date('2018-04-01'), new Date('2018-04-10')];
+
+            expect(countBefore(index, dateBounds)).toBe(0);
+            expect(countAfter(index, dateBounds)).toBe(0);
+        });
+    });
+});
@@ -1,14 +1,111 @@
 import drop from './drop';
 import indicator from './indicator';
 import heatmap from './heatmap';
+import canvasRenderer from './canvas';
+import applySelection from './selection';
+import { isGroup } from './groups';
 import { shouldUseHeatmap } from './timeScale';
 
-export default (config, xScale, breakpointLabel) => selection => {
+/**
+ * Updates the content of existing `.drop-line` groups: label, drops (or heatmap) and indicators.
+ * It can be called on a subset of lines, to redraw only the rows whose data changed.
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale d3 scaleTime
+ * @param {string} breakpointLabel current breakpoint label
+ * @param {Object} state chart runtime state (canvas layer, ...)
+ */
+export const updateLines = (config, xScale, breakpointLabel, state = {}) => lines => {
     const {
         d3,
         metaballs,
+        label: { text: labelText },
+        indicator: indicatorEnabled,
+        group: groupConfig,
+        numberDisplayedTicks,
+        bucketSize,
+    } = config;
+
+    const { canvas, loader } = state;
+
+    const useHeatmap = shouldUseHeatmap(d3, xScale, numberDisplayedTicks, breakpointLabel, bucketSize);
+    const renderComponent = useHeatmap ? heatmap : drop;
+    // With the canvas renderer, `.drops` containers stay empty and their content is painted on the canvas
+    const renderDrops = canvas
+        ? canvasRenderer(config, xScale, breakpointLabel, canvas, useHeatmap, state)
+        : renderComponent(config, xScale, breakpointLabel, state);
+
+    // `select` (unlike `selectAll`) propagates the line datum, so that replaced rows reach children
+    lines.select('.line-label').text(labelText);
+
+    lines
+        .classed('group', isGroup)
+        .classed('collapsed', row => isGroup(row) && !!row.collapsed);
+
+    if (groupConfig) {
+        const { indent, expandedText, collapsedText } = groupConfig;
+
+        lines
+            .select('.group-toggle')
+            .attr('x', row => (row._depth || 0) * indent)
+            .attr('aria-expanded', row => (isGroup(row) ? !row.collapsed : null))
+            .text(row => {
+                if (!isGroup(row)) {
+                    return '';
+                }
+
+                return row.collapsed ? collapsedText : expandedText;
+            });
+    }
+
+    // lazy loaded lines waiting for their drops
+    lines.classed('loading', row => !!loader && loader.isLoading(row));
+
+    const dropsSelection = lines.select('.drops')
+        .each(function(d, i) {
+            // Store row index in datum for heatmap to access
+            d3.select(this).datum({ ...d, _rowIndex: i });
+        });
+
+    // Clean up elements from the opposite component before rendering
+    // This ensures smooth transitions when switching between heatmap and drops
+    dropsSelection.classed('heatmap-container', useHeatmap);
+
+    if (useHeatmap) {
+        dropsSelection.selectAll('.drop, .drop-span, .drop-cluster').remove();
+    } else {
+        dropsSelection.selectAll('.heatmap-rect').remove();
+    }
+
+    // Only apply metaballs filter to dots, not heatmap nor canvas
+    if (metaballs) {
+        dropsSelection.style('filter', useHeatmap || canvas ? null : 'url(#metaballs)');
+    }
+
+    dropsSelection.call(renderDrops);
+
+    // selection is kept in chart state, so that it survives redraws and heatmap switching
+    if (state.selection && !canvas) {
+        dropsSelection.call(applySelection(state.selection));
+    }
+
+    if (indicatorEnabled) {
+        lines.select('.indicators').call(indicator(config, xScale));
+    }
+
+    // hovered drop may have been replaced, e.g. by a heatmap bucket
+    if (state.tooltip) {
+        state.tooltip.refresh();
+    }
+
+    if (state.keyboard) {
+        state.keyboard.refresh(lines);
+    }
+};
+
+export default (config, xScale, breakpointLabel, state = {}) => selection => {
+    const {
         label: {
-            text: labelText,
             padding: labelPadding,
             onMouseOver: labelOnMouseOver,
             onMouseOut: labelOnMouseOut,
@@ -17,12 +114,20 @@ export default (config, xScale, breakpointLabel) => selection => {
         },
         line: { color: lineColor, height: lineHeight },
         indicator: indicatorEnabled,
-        numberDisplayedTicks,
-        bucketSize,
+        group: groupConfig,
     } = config;
 
-    const useHeatmap = shouldUseHeatmap(d3, xScale, numberDisplayedTicks, breakpointLabel, bucketSize);
-    const renderComponent = useHeatmap ? heatmap : drop;
+    // index among all chart rows, so that colors do not change when rows are hidden,
+    // collapsed or scrolled out of view
+    const fill =
+        typeof lineColor === 'function'
+            ? (row, index, nodes) =>
+                  lineColor(
+                      row,
+                      row._index === undefined ? index : row._index,
+                      nodes
+                  )
+            : lineColor;
 
     const lines = selection.selectAll('.drop-line').data(d => d);
 
@@ -30,8 +135,7 @@ export default (config, xScale, breakpointLabel) => selection => {
         .enter()
         .append('g')
         .classed('drop-line', true)
-        .attr('fill', lineColor)
-        .attr('transform', (_, index) => `translate(0, ${index * lineHeight})`);
+        .attr('fill', fill);
 
     g
         .append('line')
@@ -41,44 +145,17 @@ export default (config, xScale, breakpointLabel) => selection => {
         .attr('y1', () => lineHeight)
         .attr('y2', () => lineHeight);
 
-    const drops = g
+    g
         .append('g')
         .classed('drops', true)
-        .classed('heatmap-container', useHeatmap)
         .attr('transform', () => `translate(${labelWidth}, ${lineHeight / 2})`)
-        .each(function(d, i) {
-            // Get parent row data and store row index in datum for heatmap to access
-            const parentData = d3.select(this.parentNode).datum();
-            d3.select(this).datum({ ...parentData, _rowIndex: i });
-        });
-    
-    // Clean up any existing elements from the opposite component (for new lines)
-    // Existing lines are handled in the update section below
-    if (useHeatmap) {
-        drops.selectAll('.drop').remove();
-    } else {
-        drops.selectAll('.heatmap-rect').remove();
-    }
-    
-    drops.call(renderComponent(config, xScale, breakpointLabel));
-
-    drops
         .append('rect') // The rect allow us to size the drops g element
         .attr('x', 0)
-        .attr('y', -config.line.height / 2)
+        .attr('y', -lineHeight / 2)
         .attr('width', 1) // For the rect to impact its parent size it must have a non zero width
-        .attr('height', config.line.height)
+        .attr('height', lineHeight)
         .attr('fill', 'transparent');
 
-    // Only apply metaballs filter to dots, not heatmap
-    // Also remove filter when switching to heatmap
-    if (metaballs && !useHeatmap) {
-        drops.style('filter', 'url(#metaballs)');
-    } else if (useHeatmap) {
-        // Remove metaballs filter when using heatmap
-        drops.style('filter', null);
-    }
-
     g
         .append('text')
         .classed('line-label', true)
@@ -86,49 +163,54 @@ export default (config, xScale, breakpointLabel) => selection => {
         .attr('y', lineHeight / 2)
         .attr('dy', '0.25em')
         .attr('text-anchor', 'end')
-        .text(labelText)
         .on('mouseover', labelOnMouseOver)
         .on('mouseout', labelOnMouseOut)
         .on('click', labelOnClick);
 
-    lines.selectAll('.line-label').text(labelText);
-    lines.selectAll('.drops')
-        .each(function(d, i) {
-            // Get parent row data and store row index in datum for heatmap to access
-            if (this && this.parentNode) {
-                const parentData = d3.select(this.parentNode).datum();
-                d3.select(this).datum({ ...parentData, _rowIndex: i });
-            }
-        });
-    
-    // Clean up elements from the opposite component before rendering
-    // This ensures smooth transitions when switching between heatmap and drops
-    const dropsSelection = lines.selectAll('.drops');
-    
-    dropsSelection.classed('heatmap-container', useHeatmap);
-    
-    if (useHeatmap) {
-        dropsSelection.selectAll('.drop').remove();
-        if (metaballs) {
-            dropsSelection.style('filter', null);
-        }
-    } else {
-        dropsSelection.selectAll('.heatmap-rect').remove();
-        if (metaballs) {
-            dropsSelection.style('filter', 'url(#metaballs)');
-        }
+    if (groupConfig) {
+        // clicks are handled by the chart, which draws rows again
+        g
+            .append('text')
+            .classed('group-toggle', true)
+            .attr('y', lineHeight / 2)
+            .attr('dy', '0.25em');
     }
-    
-    dropsSelection.call(renderComponent(config, xScale, breakpointLabel));
 
     if (indicatorEnabled) {
         g
             .append('g')
-            .classed('indicators', true)
-            .call(indicator(config, xScale));
-
-        lines.selectAll('.indicators').call(indicator(config, xScale));
+            .classed('indicators', true);
     }
 
     lines.exit().remove();
+
+    // lines are refreshed with their new data, as they may have been replaced (index based join)
+    lines.attr('fill', fill);
+
+    // lines are also put back in place after being dragged
+    const getTransform = (_, index) => `translate(0, ${index * lineHeight})`;
+    const { lineTransition } = state;
+    if (lineTransition && lineTransition.duration) {
+        // reordered rows slide from the position of the line which displayed them
+        g
+            .merge(lines)
+            .attr('transform', (row, index) => {
+                const top = lineTransition.positions.get(row);
+                return top === undefined ? getTransform(row, index) : `translate(0, ${top})`;
+            })
+            .transition()
+            .duration(lineTransition.duration)
+            .attr('transform', getTransform);
+    } else {
+        g.merge(lines).attr('transform', getTransform);
+    }
+
+    // canvas bands are painted at line positions, known here rather than from the DOM
+    if (state.canvas) {
+        g.merge(lines).each(function(row, index) {
+            state.canvas.lineIndexes.set(this, index);
+        });
+    }
+
+    g.merge(lines).call(updateLines(config, xScale, breakpointLabel, state));
 };
@@ -1,6 +1,7 @@
 import dropLine from './dropLine';
 
 const defaultConfig = {
+    d3,
     metaballs: true,
     label: {
         text: d => d.name,
@@ -101,6 +102,27 @@ describe('Drop Line', () => {
         });
     });
 
+    describe('Position', () => {
+        it('should slide reordered rows from their previous position', () => {
+            const foo = { name: 'foo' };
+            const bar = { name: 'bar' };
+            const selection = d3.select('svg').data([[bar, foo]]);
+
+            dropLine(defaultConfig, defaultScale, null, {
+                lineTransition: {
+                    duration: 250,
+                    positions: new Map([[foo, 0], [bar, 40]]),
+                },
+            })(selection);
+
+            expect(
+                [...document.querySelectorAll('.drop-line')].map(line =>
+                    line.getAttribute('transform')
+                )
+            ).toEqual(['translate(0, 40)', 'translate(0, 0)']);
+        });
+    });
+
     describe('Line Separator', () => {
         it('should add a line separator in each drop line container', () => {
             const selection = d3
@@ -333,6 +355,40 @@ describe('Drop Line', () => {
         });
     });
 
+    describe('Group Toggles', () => {
+        it('should draw an indented toggle reflecting state of group lines', () => {
+            const selection = d3.select('svg').data([
+                [
+                    { name: 'foo', children: [], collapsed: true, _depth: 0 },
+                    { name: 'bar', children: [], _depth: 1 },
+                    { name: 'baz', _depth: 2 },
+                ],
+            ]);
+
+            const config = {
+                ...defaultConfig,
+                group: { indent: 12, expandedText: '-', collapsedText: '+' },
+            };
+
+            dropLine(config, defaultScale)(selection);
+
+            const toggles = [...document.querySelectorAll('.group-toggle')];
+            expect(toggles.map(toggle => toggle.textContent)).toEqual([
+                '+',
+                '-',
+                '',
+            ]);
+            expect(toggles.map(toggle => toggle.getAttribute('x'))).toEqual([
+                '0',
+                '12',
+                '24',
+            ]);
+            expect(
+                document.querySelectorAll('.drop-line.group.collapsed').length
+            ).toBe(1);
+        });
+    });
+
     describe('Drops Container', () => {
         it.todo('should add a drop container in each drop line container');
         it.todo('should position it correctly, letting some space for labels');
@@ -0,0 +1,362 @@
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const HEADER_HEIGHT = 30;
+
+const LEGEND_LINE_HEIGHT = 20;
+const LEGEND_SYMBOL_SIZE = 12;
+const LEGEND_SPACING = 12;
+// text can not be measured out of the page, hence an average character width
+const LEGEND_CHAR_WIDTH = 7;
+
+// chart states of legends added next to the SVG
+const LEGENDS = ['legend', 'categoryLegend', 'sizeLegend'];
+
+// presentation properties set by `style.css` (or user stylesheets) that matter in SVG
+const STYLE_PROPERTIES = [
+    'display',
+    'visibility',
+    'opacity',
+    'filter',
+    'fill',
+    'fill-opacity',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'stroke-dasharray',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'font-style',
+    'text-anchor',
+    'text-decoration',
+    'dominant-baseline',
+];
+
+// inherited properties are only inlined where they differ from their parent
+const INHERITED_PROPERTIES = [
+    'visibility',
+    'fill',
+    'fill-opacity',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'stroke-dasharray',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'font-style',
+    'text-anchor',
+    'dominant-baseline',
+];
+
+// interaction helpers which are not part of the displayed data
+const INTERACTIVE_ELEMENTS = [
+    '.brush .overlay',
+    '.brush .handle',
+    '.minimap-window .overlay',
+    '.minimap-window .handle',
+    '.focus-ring',
+    '.zoom-toolbar',
+].join(', ');
+
+/**
+ * Copies computed styles of each source element as inline styles of its clone, so that
+ * the clone renders the same way once out of the page and its stylesheets.
+ *
+ * @param {Element} source element of the page
+ * @param {Element} clone deep clone of `source`
+ * @param {Object} global global object (window)
+ */
+export const inlineStyles = (source, clone, global) => {
+    const copy = (sourceNode, cloneNode, parentStyle) => {
+        const computed = global.getComputedStyle(sourceNode);
+        const style = {};
+
+        STYLE_PROPERTIES.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            style[property] = value;
+
+            if (
+                !value ||
+                (parentStyle &&
+                    INHERITED_PROPERTIES.includes(property) &&
+                    parentStyle[property] === value)
+            ) {
+                return;
+            }
+
+            cloneNode.style.setProperty(property, value);
+        });
+
+        for (let i = 0; i < sourceNode.children.length; i++) {
+            copy(sourceNode.children[i], cloneNode.children[i], style);
+        }
+    };
+
+    copy(source, clone, null);
+};
+
+const createElement = (document, name, attributes) => {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes).forEach(key =>
+        element.setAttribute(key, attributes[key])
+    );
+
+    return element;
+};
+
+/**
+ * Draws the entries of a legend, which is HTML added next to the chart SVG, as SVG
+ * elements. Entries are laid out from left to right, wrapping on as many lines as needed
+ * to fit in given width.
+ *
+ * @param {Element} legendNode legend element of the page (`div.event-drops-legend`)
+ * @param {number} width available width
+ * @param {string} fontFamily font family of the entry labels
+ * @param {Object} global global object (window)
+ * @returns {Object} { node: detached SVG group, height }, height being 0 without entries
+ */
+export const renderLegend = (legendNode, width, fontFamily, global) => {
+    const document = legendNode.ownerDocument;
+    const items = [...legendNode.querySelectorAll('.legend-item')];
+    const group = createElement(document, 'g', { class: 'export-legend' });
+
+    const lineHeight = items.reduce((max, item) => {
+        const symbol = item.querySelector('.legend-symbol');
+        return symbol ? Math.max(max, +symbol.getAttribute('height')) : max;
+    }, LEGEND_LINE_HEIGHT);
+
+    let x = 0;
+    let y = 0;
+    items.forEach(item => {
+        const entry = createElement(document, 'g', {
+            class: 'export-legend-item',
+        });
+        if (item.classList.contains('hidden')) {
+            entry.setAttribute('opacity', 0.4);
+        }
+
+        const swatch = item.querySelector('.legend-swatch');
+        const symbol = item.querySelector('.legend-symbol');
+        let symbolWidth = 0;
+
+        if (swatch) {
+            symbolWidth = LEGEND_SYMBOL_SIZE;
+            entry.appendChild(
+                createElement(document, 'circle', {
+                    cx: LEGEND_SYMBOL_SIZE / 2,
+                    cy: lineHeight / 2,
+                    r: LEGEND_SYMBOL_SIZE / 2 - 1,
+                    fill: global
+                        .getComputedStyle(swatch)
+                        .getPropertyValue('background-color'),
+                })
+            );
+        } else if (symbol) {
+            const symbolClone = symbol.cloneNode(true);
+            inlineStyles(symbol, symbolClone, global);
+
+            symbolWidth = +symbol.getAttribute('width');
+            symbolClone.setAttribute(
+                'y',
+                (lineHeight - +symbol.getAttribute('height')) / 2
+            );
+            entry.appendChild(symbolClone);
+        }
+
+        const text = item.querySelector('.legend-label').textContent;
+        const label = createElement(document, 'text', {
+            x: symbolWidth ? symbolWidth + 4 : 0,
+            y: lineHeight / 2,
+            'dominant-baseline': 'central',
+            'font-family': fontFamily,
+            'font-size': 12,
+        });
+        label.textContent = text;
+        entry.appendChild(label);
+
+        const entryWidth =
+            (symbolWidth ? symbolWidth + 4 : 0) +
+            text.length * LEGEND_CHAR_WIDTH;
+        if (x > 0 && x + entryWidth > width) {
+            x = 0;
+            y += lineHeight;
+        }
+
+        entry.setAttribute('transform', `translate(${x}, ${y})`);
+        group.appendChild(entry);
+        x += entryWidth + LEGEND_SPACING;
+    });
+
+    return { node: group, height: items.length ? y + lineHeight : 0 };
+};
+
+/**
+ * Returns a standalone copy of the chart SVG: styles are inlined, drops painted on the
+ * canvas layer (if any) are embedded as an image, legends are drawn above or below the
+ * chart (as they are displayed), and an optional header displays a title and a
+ * timestamp.
+ *
+ * @param {Object} config configuration
+ * @param {Element} svgNode chart SVG element
+ * @param {Object} state chart runtime state
+ * @param {Object} options { title, timestamp }, timestamp being `true` for current date, or a date
+ * @param {Object} global global object (window)
+ * @returns {Element} detached SVG element
+ */
+export const getExportedSVG = (
+    config,
+    svgNode,
+    state,
+    { title, timestamp } = {},
+    global
+) => {
+    const { d3, margin, label: { width: labelWidth } } = config;
+    const document = svgNode.ownerDocument;
+
+    const clone = svgNode.cloneNode(true);
+    inlineStyles(svgNode, clone, global);
+
+    clone.querySelectorAll(INTERACTIVE_ELEMENTS).forEach(node => node.remove());
+
+    const { canvas } = state;
+    if (canvas) {
+        const image = createElement(document, 'image', {
+            x: margin.left + labelWidth,
+            y: margin.top,
+            width: canvas.width,
+            height: canvas.height,
+            href: canvas.node.toDataURL('image/png'),
+        });
+        clone.appendChild(image);
+    }
+
+    const width = +svgNode.getAttribute('width');
+    const height = +svgNode.getAttribute('height');
+
+    clone.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns', SVG_NS);
+    clone.removeAttribute('tabindex');
+
+    const fontFamily =
+        global.getComputedStyle(svgNode).getPropertyValue('font-family') ||
+        'sans-serif';
+
+    const legends = LEGENDS.map(key => state[key])
+        .filter(Boolean)
+        .map(legend => ({
+            // legends at `top` position precede the SVG in the page
+            above: !!(
+                legend.node.compareDocumentPosition(svgNode) &
+                svgNode.DOCUMENT_POSITION_FOLLOWING
+            ),
+            ...renderLegend(
+                legend.node,
+                width - margin.left - margin.right,
+                fontFamily,
+                global
+            ),
+        }))
+        .filter(legend => legend.height);
+
+    if (!title && !timestamp && !legends.length) {
+        return clone;
+    }
+
+    // move chart below a header holding title and timestamp, and legends above it
+    let top = title || timestamp ? HEADER_HEIGHT : 0;
+    const placeLegend = legend => {
+        legend.node.setAttribute(
+            'transform',
+            `translate(${margin.left}, ${top})`
+        );
+        top += legend.height + LEGEND_SPACING;
+    };
+
+    legends.filter(legend => legend.above).forEach(placeLegend);
+
+    const content = createElement(document, 'g', {
+        transform: `translate(0, ${top})`,
+    });
+    while (clone.firstChild) {
+        content.appendChild(clone.firstChild);
+    }
+    clone.appendChild(content);
+    top += height;
+
+    legends.filter(legend => !legend.above).forEach(placeLegend);
+    legends.forEach(legend => clone.appendChild(legend.node));
+
+    clone.setAttribute('height', top);
+
+    const addText = (text, attributes) => {
+        const element = createElement(document, 'text', {
+            y: HEADER_HEIGHT - 10,
+            'font-family': fontFamily,
+            ...attributes,
+        });
+        element.textContent = text;
+        clone.appendChild(element);
+    };
+
+    if (title) {
+        addText(title, {
+            class: 'export-title',
+            x: margin.left,
+            'font-size': 16,
+            'font-weight': 'bold',
+        });
+    }
+
+    if (timestamp) {
+        const date = timestamp === true ? new Date() : new Date(timestamp);
+        addText(d3.timeFormat('%c')(date), {
+            class: 'export-timestamp',
+            x: width - margin.right,
+            'font-size': 12,
+            'text-anchor': 'end',
+            fill: '#777',
+        });
+    }
+
+    return clone;
+};
+
+/**
+ * Rasterises an SVG string into a PNG image.
+ *
+ * @param {string} svgString standalone SVG, as returned by `chart.toSVGString`
+ * @param {number} width SVG width
+ * @param {number} height SVG height
+ * @param {number} scale pixel ratio of the image (e.g. 2 for high density screens)
+ * @param {Object} global global object (window)
+ * @returns {Promise} promise of PNG Blob
+ */
+export const rasterize = (svgString, width, height, scale, global) =>
+    new Promise((resolve, reject) => {
+        const image = new global.Image();
+
+        image.onload = () => {
+            const canvas = global.document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Unable to export chart as PNG.'));
+                    return;
+                }
+
+                resolve(blob);
+            }, 'image/png');
+        };
+        image.onerror = () =>
+            reject(new Error('Unable to export chart as PNG.'));
+
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+            svgString
+        )}`;
+    });
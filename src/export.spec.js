@@ -0,0 +1,219 @@
+import {
+    getExportedSVG,
+    inlineStyles,
+    rasterize,
+    renderLegend,
+} from './export';
+
+const config = {
+    d3,
+    margin: { top: 20, right: 10, bottom: 20, left: 10 },
+    label: { width: 200 },
+};
+
+describe('Export', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <style>
+                .line-separator { stroke: #777; }
+                .drop-line { fill: red; }
+            </style>
+            <svg width="500" height="100">
+                <g class="drop-line">
+                    <line class="line-separator"></line>
+                    <circle class="drop"></circle>
+                </g>
+                <g class="brush"><rect class="overlay"></rect><rect class="selection"></rect></g>
+            </svg>`;
+    });
+
+    it('should inline computed styles, only where inherited ones change', () => {
+        const svg = document.querySelector('svg');
+        const clone = svg.cloneNode(true);
+        inlineStyles(svg, clone, window);
+
+        expect(
+            clone
+                .querySelector('.line-separator')
+                .style.getPropertyValue('stroke')
+        ).toBe('#777');
+        expect(
+            clone.querySelector('.drop-line').style.getPropertyValue('fill')
+        ).toBe('red');
+        expect(
+            clone.querySelector('.drop').style.getPropertyValue('fill')
+        ).toBe('');
+    });
+
+    it('should return a standalone SVG without interaction helpers', () => {
+        const exported = getExportedSVG(
+            config,
+            document.querySelector('svg'),
+            {},
+            {},
+            window
+        );
+
+        expect(exported.getAttribute('xmlns')).toBe(
+            'http://www.w3.org/2000/svg'
+        );
+        expect(exported.querySelector('.brush .overlay')).toBe(null);
+        expect(exported.querySelector('.brush .selection')).not.toBe(null);
+        expect(exported.querySelector('.export-title')).toBe(null);
+
+        // page is left untouched
+        expect(document.querySelector('.brush .overlay')).not.toBe(null);
+    });
+
+    it('should add a header with title and timestamp above the chart', () => {
+        const exported = getExportedSVG(
+            config,
+            document.querySelector('svg'),
+            {},
+            { title: 'Deployments', timestamp: new Date(2018, 0, 2, 15, 30) },
+            window
+        );
+
+        expect(exported.getAttribute('height')).toBe('130');
+        expect(exported.querySelector('.export-title').textContent).toBe(
+            'Deployments'
+        );
+        expect(exported.querySelector('.export-timestamp').textContent).toBe(
+            d3.timeFormat('%c')(new Date(2018, 0, 2, 15, 30))
+        );
+        expect(
+            exported.querySelector('.export-timestamp').getAttribute('x')
+        ).toBe('490');
+
+        const content = exported.querySelector('g');
+        expect(content.getAttribute('transform')).toBe('translate(0, 30)');
+        expect(content.querySelector('.drop-line')).not.toBe(null);
+    });
+
+    it('should embed drops painted on canvas as an image', () => {
+        const canvas = {
+            node: { toDataURL: () => 'data:image/png;base64,foo' },
+            width: 290,
+            height: 40,
+        };
+        const exported = getExportedSVG(
+            config,
+            document.querySelector('svg'),
+            { canvas },
+            {},
+            window
+        );
+
+        const image = exported.querySelector('image');
+        expect(image.getAttribute('href')).toBe('data:image/png;base64,foo');
+        expect(image.getAttribute('x')).toBe('210');
+        expect(image.getAttribute('y')).toBe('20');
+    });
+
+    it('should draw legend entries as SVG, wrapping them to fit in given width', () => {
+        document.body.innerHTML = `
+            <div class="event-drops-legend">
+                <ul>
+                    <li><button class="legend-item"><span class="legend-swatch" style="background-color: red"></span><span class="legend-label">foo</span></button></li>
+                    <li><button class="legend-item hidden"><span class="legend-swatch" style="background-color: blue"></span><span class="legend-label">bar</span></button></li>
+                    <li><span class="legend-item"><svg class="legend-symbol" width="22" height="22"><circle r="5"></circle></svg><span class="legend-label">1k</span></span></li>
+                </ul>
+            </div>`;
+
+        const { node, height } = renderLegend(
+            document.querySelector('.event-drops-legend'),
+            80,
+            'sans-serif',
+            window
+        );
+
+        const entries = [...node.querySelectorAll('.export-legend-item')];
+        expect(
+            entries.map(entry => [
+                entry.querySelector('text').textContent,
+                entry.getAttribute('transform'),
+                entry.getAttribute('opacity'),
+            ])
+        ).toEqual([
+            ['foo', 'translate(0, 0)', null],
+            ['bar', 'translate(0, 22)', '0.4'],
+            ['1k', 'translate(0, 44)', null],
+        ]);
+        expect(entries[0].querySelector('circle').getAttribute('fill')).toBe(
+            'rgb(255, 0, 0)'
+        );
+        expect(entries[2].querySelector('svg circle').getAttribute('r')).toBe(
+            '5'
+        );
+        expect(height).toBe(66);
+    });
+
+    it('should add legends above or below the chart, as displayed', () => {
+        document.body.insertAdjacentHTML(
+            'afterbegin',
+            `<div class="event-drops-legend"><ul><li><span class="legend-item"><span class="legend-label">top</span></span></li></ul></div>`
+        );
+        document.body.insertAdjacentHTML(
+            'beforeend',
+            `<div class="event-drops-legend"><ul><li><span class="legend-item"><span class="legend-label">bottom</span></span></li></ul></div>`
+        );
+        const [top, bottom] = document.querySelectorAll('.event-drops-legend');
+
+        const exported = getExportedSVG(
+            config,
+            document.querySelector('svg'),
+            { legend: { node: top }, categoryLegend: { node: bottom } },
+            {},
+            window
+        );
+
+        expect(
+            [...exported.querySelectorAll('.export-legend')].map(legend => [
+                legend.textContent,
+                legend.getAttribute('transform'),
+            ])
+        ).toEqual([
+            ['top', 'translate(10, 0)'],
+            ['bottom', 'translate(10, 132)'],
+        ]);
+        expect(exported.querySelector('g').getAttribute('transform')).toBe(
+            'translate(0, 32)'
+        );
+        expect(exported.getAttribute('height')).toBe('164');
+    });
+
+    it('should rasterise SVG at given scale', async () => {
+        const context = { scale: jest.fn(), drawImage: jest.fn() };
+        const canvas = {
+            getContext: () => context,
+            toBlob: callback => callback('blob'),
+        };
+        const global = {
+            Image: class {
+                set src(src) {
+                    this.source = src;
+                    setTimeout(() => this.onload());
+                }
+            },
+            document: { createElement: () => canvas },
+        };
+
+        const blob = await rasterize('<svg></svg>', 500, 100, 2, global);
+
+        expect(blob).toBe('blob');
+        expect(canvas.width).toBe(1000);
+        expect(canvas.height).toBe(200);
+        expect(context.scale).toHaveBeenCalledWith(2, 2);
+        expect(context.drawImage).toHaveBeenCalledWith(
+            expect.anything(),
+            0,
+            0,
+            500,
+            100
+        );
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
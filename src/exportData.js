@@ -0,0 +1,186 @@
+import { filterShownDrops } from './category';
+import { getHeatmap } from './heatmap';
+import { shouldUseHeatmap } from './timeScale';
+
+const FORMATS = ['csv', 'json'];
+const SCOPES = ['visible', 'all'];
+
+const getDefaultColumns = config => {
+    const {
+        drop: { date: dropDate, endDate: dropEndDate },
+        label: { text: labelText },
+    } = config;
+
+    const columns = {
+        row: (d, row) => labelText(row),
+        date: d => dropDate(d),
+    };
+
+    if (dropEndDate) {
+        columns.endDate = d => dropEndDate(d);
+    }
+
+    return columns;
+};
+
+const getDefaultBucketColumns = ({ label: { text: labelText } }) => ({
+    row: (bucket, row) => labelText(row),
+    start: bucket => bucket.date,
+    end: bucket => bucket.end,
+    count: bucket => bucket.count,
+});
+
+// appends a record per item to `records`
+const addRecords = (records, items, row, columns) => {
+    const names = Object.keys(columns);
+
+    items.forEach(item => {
+        const record = {};
+        names.forEach(name => {
+            record[name] = columns[name](item, row);
+        });
+        records.push(record);
+    });
+
+    return records;
+};
+
+/**
+ * Returns exported records, one per event (or per heatmap bucket), with a property per
+ * column. Buckets are exported instead of events when the visible range is displayed as
+ * a heatmap. Events of hidden categories are left out of the visible scope, as well as
+ * of bucket counts.
+ *
+ * Export is synchronous: buckets still pending (being loaded from `heatmap.source`, or
+ * counted by the heatmap worker) are not waited for, but aggregated right away from the
+ * drops already loaded in the row.
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale d3 scaleTime
+ * @param {string} breakpointLabel current breakpoint label
+ * @param {Object} state chart runtime state
+ * @param {Array} rows chart rows, as returned by `chart.filteredData()`
+ * @param {Object} options { scope, columns, bucketColumns }
+ * @returns {Object} { columns: column names, records, buckets: whether records are buckets }
+ */
+export const getExportedRecords = (
+    config,
+    xScale,
+    breakpointLabel,
+    state,
+    rows,
+    { scope = 'visible', columns, bucketColumns } = {}
+) => {
+    const { d3, numberDisplayedTicks, bucketSize } = config;
+
+    if (!SCOPES.includes(scope)) {
+        throw new Error(
+            `Unknown export scope "${scope}". Use one of: ${SCOPES.join(', ')}.`
+        );
+    }
+
+    const useHeatmap =
+        scope === 'visible' &&
+        shouldUseHeatmap(
+            d3,
+            xScale,
+            numberDisplayedTicks,
+            breakpointLabel,
+            bucketSize
+        );
+
+    if (!useHeatmap) {
+        const dropColumns = columns || getDefaultColumns(config);
+        const getDrops =
+            scope === 'all'
+                ? row => row.fullData
+                : row => filterShownDrops(state.categories)(row.data);
+
+        return {
+            columns: Object.keys(dropColumns),
+            records: rows.reduce(
+                (records, row) =>
+                    addRecords(records, getDrops(row), row, dropColumns),
+                []
+            ),
+            buckets: false,
+        };
+    }
+
+    const bucketRecordColumns =
+        bucketColumns || getDefaultBucketColumns(config);
+    const heatmap = getHeatmap(config, xScale, breakpointLabel, state);
+    // buckets still pending in source or worker are aggregated right away
+    const mainThreadHeatmap = getHeatmap(config, xScale, breakpointLabel, {
+        categories: state.categories,
+    });
+
+    return {
+        columns: Object.keys(bucketRecordColumns),
+        records: rows.reduce((records, row) => {
+            const buckets =
+                heatmap.bucketData(row, row) ||
+                mainThreadHeatmap.bucketData(row, row);
+
+            return addRecords(
+                records,
+                buckets.filter(({ count }) => count > 0).map(bucket => ({
+                    ...bucket,
+                    end: heatmap.timeInterval.offset(bucket.date, 1),
+                })),
+                row,
+                bucketRecordColumns
+            );
+        }, []),
+        buckets: true,
+    };
+};
+
+const formatValue = value => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const escapeCSV = value => {
+    const text = formatValue(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array} columns column names
+ * @param {Array} records objects with a property per column
+ * @returns {string} CSV with a header line, dates being written as ISO strings
+ */
+export const toCSV = (columns, records) =>
+    [columns]
+        .concat(records.map(record => columns.map(name => record[name])))
+        .map(values => values.map(escapeCSV).join(','))
+        .join('\n');
+
+/**
+ * Serializes exported records in given format.
+ *
+ * @param {string} format 'csv' or 'json'
+ * @param {Object} exported { columns, records }, as returned by `getExportedRecords`
+ * @returns {string} exported data
+ */
+export default (format, { columns, records }) => {
+    if (!FORMATS.includes(format)) {
+        throw new Error(
+            `Unknown export format "${format}". Use one of: ${FORMATS.join(
+                ', '
+            )}.`
+        );
+    }
+
+    return format === 'csv'
+        ? toCSV(columns, records)
+        : JSON.stringify(records, null, 2);
+};
@@ -0,0 +1,223 @@
+import { createCategories } from './category';
+import serializeData, { getExportedRecords, toCSV } from './exportData';
+
+const createConfig = (dropConfig = {}, labelText = row => row.name) => ({
+    d3,
+    drop: { date: d => new Date(d.date), endDate: null, ...dropConfig },
+    label: { text: labelText },
+    numberDisplayedTicks: { extra: 12 },
+    bucketSize: null,
+});
+
+const createScale = (start, end) =>
+    d3
+        .scaleTime()
+        .domain([new Date(start), new Date(end)])
+        .range([0, 1000]);
+
+const hoursScale = createScale('2018-01-01T00:00:00Z', '2018-01-01T12:00:00Z');
+const yearScale = createScale('2018-01-01T00:00:00Z', '2019-01-01T00:00:00Z');
+
+const first = { date: '2018-01-01T02:00:00Z', title: 'First, "quoted"' };
+const second = { date: '2018-01-01T05:00:00Z', title: 'Second' };
+const hidden = { date: '2018-03-01T00:00:00Z', title: 'Hidden' };
+
+const rows = [
+    { name: 'foo', data: [first, second], fullData: [first, second, hidden] },
+    { name: 'bar', data: [], fullData: [] },
+];
+
+describe('Data export', () => {
+    it('should export visible events, with row name and date by default', () => {
+        const exported = getExportedRecords(
+            createConfig(),
+            hoursScale,
+            'extra',
+            {},
+            rows
+        );
+
+        expect(exported).toEqual({
+            columns: ['row', 'date'],
+            records: [
+                { row: 'foo', date: new Date(first.date) },
+                { row: 'foo', date: new Date(second.date) },
+            ],
+            buckets: false,
+        });
+    });
+
+    it('should export all events with custom columns', () => {
+        const exported = getExportedRecords(
+            createConfig(),
+            hoursScale,
+            'extra',
+            {},
+            rows,
+            {
+                scope: 'all',
+                columns: {
+                    title: d => d.title,
+                    label: (d, row) => row.name.toUpperCase(),
+                },
+            }
+        );
+
+        expect(exported.columns).toEqual(['title', 'label']);
+        expect(exported.records.map(record => record.title)).toEqual([
+            'First, "quoted"',
+            'Second',
+            'Hidden',
+        ]);
+        expect(exported.records[0].label).toBe('FOO');
+    });
+
+    it('should export bucket aggregates when heatmap is displayed', () => {
+        const exported = getExportedRecords(
+            createConfig(),
+            yearScale,
+            'extra',
+            {},
+            rows
+        );
+
+        expect(exported.buckets).toBe(true);
+        expect(exported.columns).toEqual(['row', 'start', 'end', 'count']);
+        expect(exported.records.length).toBe(1);
+
+        const [{ row, start, end, count }] = exported.records;
+        expect(row).toBe('foo');
+        expect(count).toBe(2);
+        expect(start <= new Date(first.date)).toBe(true);
+        expect(end > new Date(second.date)).toBe(true);
+    });
+
+    it('should name rows after their label text', () => {
+        const config = createConfig(
+            {},
+            row => `${row.name} (${row.data.length})`
+        );
+
+        expect(
+            getExportedRecords(
+                config,
+                hoursScale,
+                'extra',
+                {},
+                rows
+            ).records.map(record => record.row)
+        ).toEqual(['foo (2)', 'foo (2)']);
+        expect(
+            getExportedRecords(
+                config,
+                yearScale,
+                'extra',
+                {},
+                rows
+            ).records.map(record => record.row)
+        ).toEqual(['foo (2)']);
+    });
+
+    it('should aggregate buckets still pending in heatmap source right away', () => {
+        const heatmapSource = { getBuckets: () => null };
+
+        const exported = getExportedRecords(
+            createConfig(),
+            yearScale,
+            'extra',
+            { heatmapSource },
+            rows
+        );
+
+        expect(exported.records.map(({ row, count }) => [row, count])).toEqual([
+            ['foo', 2],
+        ]);
+    });
+
+    it('should leave events of hidden categories out of visible events and buckets', () => {
+        const categories = createCategories({
+            d3,
+            drop: { category: d => d.title },
+            category: { hidden: ['Second'] },
+        });
+        const getRecords = (xScale, state, options) =>
+            getExportedRecords(
+                createConfig(),
+                xScale,
+                'extra',
+                { categories, ...state },
+                rows,
+                options
+            ).records;
+
+        expect(getRecords(hoursScale, {}).map(({ date }) => date)).toEqual([
+            new Date(first.date),
+        ]);
+        expect(getRecords(hoursScale, {}, { scope: 'all' }).length).toBe(3);
+        expect(getRecords(yearScale, {}).map(({ count }) => count)).toEqual([
+            1,
+        ]);
+
+        // buckets counted in worker include all events
+        const heatmapWorker = {
+            getBuckets: index =>
+                index.drops.length
+                    ? [
+                          {
+                              date: new Date('2018-01-01T00:00:00Z'),
+                              count: 2,
+                              events: [first, second],
+                          },
+                      ]
+                    : [],
+        };
+        expect(
+            getRecords(yearScale, { heatmapWorker }).map(({ count }) => count)
+        ).toEqual([1]);
+    });
+
+    it('should reject unknown scopes and formats', () => {
+        expect(() =>
+            getExportedRecords(createConfig(), hoursScale, 'extra', {}, rows, {
+                scope: 'foo',
+            })
+        ).toThrow('Unknown export scope "foo". Use one of: visible, all.');
+
+        expect(() =>
+            serializeData('xml', { columns: [], records: [] })
+        ).toThrow('Unknown export format "xml". Use one of: csv, json.');
+    });
+
+    it('should write CSV with escaped values and ISO dates', () => {
+        expect(
+            toCSV(
+                ['title', 'date', 'count'],
+                [
+                    {
+                        title: first.title,
+                        date: new Date(first.date),
+                        count: 1,
+                    },
+                    { title: 'Multi\nline', date: null, count: 0 },
+                ]
+            )
+        ).toBe(
+            [
+                'title,date,count',
+                '"First, ""quoted""",2018-01-01T02:00:00.000Z,1',
+                '"Multi\nline",,0',
+            ].join('\n')
+        );
+    });
+
+    it('should write JSON records', () => {
+        const json = serializeData('json', {
+            columns: ['row', 'date'],
+            records: [{ row: 'foo', date: new Date(first.date) }],
+        });
+
+        expect(JSON.parse(json)).toEqual([
+            { row: 'foo', date: '2018-01-01T02:00:00.000Z' },
+        ]);
+    });
+});
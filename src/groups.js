@@ -0,0 +1,174 @@
+// shared by expanded groups, so that their (empty) drop index is never rebuilt
+const NO_DROPS = [];
+
+/**
+ * @param {Object} row chart row
+ * @returns {boolean} true if row is a group, i.e. has `children` rows
+ */
+export const isGroup = row => !!row && Array.isArray(row.children);
+
+/**
+ * @param {Array} rows chart rows, possibly nested in groups
+ * @returns {Array} rows which are not groups, in display order
+ */
+export const getLeafRows = rows =>
+    rows.reduce(
+        (leaves, row) =>
+            leaves.concat(isGroup(row) ? getLeafRows(row.children) : [row]),
+        []
+    );
+
+/**
+ * @param {Array} rows chart rows, possibly nested in groups
+ * @returns {Array} all groups, including nested ones
+ */
+export const getGroups = rows =>
+    rows
+        .filter(isGroup)
+        .reduce(
+            (groups, group) =>
+                groups.concat([group], getGroups(group.children)),
+            []
+        );
+
+/**
+ * @param {Array} rows chart rows, or displayed rows where children follow their group
+ * @returns {Array} rows which are not the child of another given group
+ */
+export const getRootRows = rows => {
+    const nested = new Set();
+    getGroups(rows).forEach(group =>
+        group.children.forEach(child => nested.add(child))
+    );
+
+    return rows.filter(row => !nested.has(row));
+};
+
+const flattenRows = (rows, isShown, isExpanded) =>
+    rows
+        .filter(isShown)
+        .reduce(
+            (flattened, row) =>
+                flattened.concat(
+                    [row],
+                    isGroup(row) && isExpanded(row)
+                        ? flattenRows(row.children, isShown, isExpanded)
+                        : []
+                ),
+            []
+        );
+
+/**
+ * @param {Array} rows chart rows, possibly nested in groups
+ * @returns {Array} all rows, groups and hidden rows included, in display order
+ */
+export const getAllRows = rows =>
+    flattenRows(getRootRows(rows), () => true, () => true);
+
+/**
+ * @param {Array} rows chart rows, possibly nested in groups
+ * @returns {Array} rows which are not `hidden`, nor part of a hidden group, whether
+ * their group is collapsed or not
+ */
+export const getShownRows = rows =>
+    flattenRows(getRootRows(rows), row => !row.hidden, () => true);
+
+/**
+ * Flattens nested rows into the lines to draw: each group takes a line, followed by
+ * lines of its children unless it is `collapsed`, while `hidden` rows are left out.
+ * Line depth is stored in `_depth`, and row index among all rows (hidden ones included)
+ * in `_index`. Displayed rows can be given again to get the same lines, as long as no
+ * top level row is hidden.
+ *
+ * @param {Array} rows chart rows, possibly nested in groups
+ * @param {WeakMap} parents filled with the group of each row, including rows of
+ * collapsed or hidden groups
+ * @returns {Array} displayed rows
+ */
+export const getDisplayedRows = (rows, parents = new WeakMap()) => {
+    const roots = getRootRows(rows);
+
+    const setParents = (level, depth, group) =>
+        level.forEach(row => {
+            row._depth = depth;
+            if (group) {
+                parents.set(row, group);
+            }
+            if (isGroup(row)) {
+                setParents(row.children, depth + 1, row);
+            }
+        });
+    setParents(roots, 0, null);
+
+    getAllRows(roots).forEach((row, index) => {
+        row._index = index;
+    });
+
+    return flattenRows(roots, row => !row.hidden, row => !row.collapsed);
+};
+
+/**
+ * @param {WeakMap} parents group of each row, as filled by `getDisplayedRows`
+ * @param {Object} row chart row
+ * @returns {Object} line displaying given row: itself, or its outermost collapsed group
+ */
+export const getDisplayedLine = (parents, row) => {
+    let line = row;
+    for (let group = parents.get(row); group; group = parents.get(group)) {
+        if (group.collapsed) {
+            line = group;
+        }
+    }
+
+    return line;
+};
+
+/**
+ * Returns the drops of a group line: drops of all its descendants (but hidden ones) when
+ * collapsed, none when expanded as they are displayed on their own lines. Merged drops
+ * are cached until `fullData` of a descendant changes.
+ *
+ * @param {Object} group group row
+ * @param {Function} loadRow function making sure a row has its `fullData`
+ * @returns {Array} drops to use as group `fullData`
+ */
+export const getGroupData = (group, loadRow) => {
+    if (!group.collapsed) {
+        return NO_DROPS;
+    }
+
+    const sources = getShownRows(group.children)
+        .filter(row => !isGroup(row))
+        .map(leaf => loadRow(leaf).fullData);
+    const cache = group._mergedData;
+    if (
+        !cache ||
+        cache.sources.length !== sources.length ||
+        cache.sources.some((source, i) => source !== sources[i])
+    ) {
+        group._mergedData = { sources, drops: [].concat(...sources) };
+    }
+
+    return group._mergedData.drops;
+};
+
+/**
+ * Toggles groups when clicking their toggle, in the label column. A single listener on
+ * the SVG handles toggles of all lines.
+ *
+ * @param {Object} d3 d3 object
+ * @param {Function} onToggle called with the group whose toggle has been clicked
+ */
+export const addGroupHandling = (d3, onToggle) => svg => {
+    svg.on('click.group', ev => {
+        const element = ev.target.closest && ev.target.closest('.group-toggle');
+        if (!element) {
+            return;
+        }
+
+        const row = d3.select(element).datum();
+        if (isGroup(row)) {
+            onToggle(row);
+        }
+    });
+};
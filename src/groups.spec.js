@@ -0,0 +1,105 @@
+import {
+    getDisplayedLine,
+    getDisplayedRows,
+    getGroupData,
+    getLeafRows,
+    getShownRows,
+} from './groups';
+
+const createRows = () => {
+    const foo = { name: 'foo', fullData: [1, 2] };
+    const bar = { name: 'bar', fullData: [3] };
+    const baz = { name: 'baz', fullData: [4] };
+    const backend = { name: 'backend', children: [bar, baz] };
+    const team = { name: 'team', children: [foo, backend] };
+    const other = { name: 'other', fullData: [] };
+
+    return { foo, bar, baz, backend, team, other, rows: [team, other] };
+};
+
+const names = rows => rows.map(({ name }) => name);
+
+describe('Row groups', () => {
+    it('should display group lines followed by lines of their expanded children', () => {
+        const { rows, backend } = createRows();
+
+        const displayed = getDisplayedRows(rows);
+        expect(names(displayed)).toEqual([
+            'team',
+            'foo',
+            'backend',
+            'bar',
+            'baz',
+            'other',
+        ]);
+        expect(displayed.map(row => row._depth)).toEqual([0, 1, 1, 2, 2, 0]);
+
+        backend.collapsed = true;
+        expect(names(getDisplayedRows(rows))).toEqual([
+            'team',
+            'foo',
+            'backend',
+            'other',
+        ]);
+    });
+
+    it('should give the same lines when given displayed rows again', () => {
+        const { rows } = createRows();
+
+        const displayed = getDisplayedRows(rows);
+        expect(getDisplayedRows(displayed)).toEqual(displayed);
+    });
+
+    it('should find the line displaying rows hidden in collapsed groups', () => {
+        const { rows, team, backend, bar, foo } = createRows();
+        const parents = new WeakMap();
+        backend.collapsed = true;
+
+        getDisplayedRows(rows, parents);
+        expect(getDisplayedLine(parents, bar)).toBe(backend);
+        expect(getDisplayedLine(parents, foo)).toBe(foo);
+
+        team.collapsed = true;
+        expect(getDisplayedLine(parents, bar)).toBe(team);
+    });
+
+    it('should merge drops of all descendants of collapsed groups only', () => {
+        const { rows, team, bar } = createRows();
+        const loadRow = row => row;
+
+        expect(getLeafRows(rows).map(({ name }) => name)).toEqual([
+            'foo',
+            'bar',
+            'baz',
+            'other',
+        ]);
+        expect(getGroupData(team, loadRow)).toEqual([]);
+
+        team.collapsed = true;
+        const merged = getGroupData(team, loadRow);
+        expect(merged).toEqual([1, 2, 3, 4]);
+        expect(getGroupData(team, loadRow)).toBe(merged);
+
+        bar.fullData = [3, 5];
+        expect(getGroupData(team, loadRow)).toEqual([1, 2, 3, 5, 4]);
+    });
+
+    it('should leave hidden rows out, keeping index of all rows', () => {
+        const { rows, team, backend, bar, foo } = createRows();
+        backend.hidden = true;
+        foo.hidden = true;
+
+        const displayed = getDisplayedRows(rows);
+        expect(names(displayed)).toEqual(['team', 'other']);
+        expect(displayed.map(row => row._index)).toEqual([0, 5]);
+        expect(names(getDisplayedRows(displayed))).toEqual(['team', 'other']);
+        expect(names(getShownRows(rows))).toEqual(['team', 'other']);
+
+        backend.hidden = false;
+        team.collapsed = true;
+        expect(getGroupData(team, row => row)).toEqual([3, 4]);
+
+        bar.hidden = true;
+        expect(getGroupData(team, row => row)).toEqual([4]);
+    });
+});
@@ -1,16 +1,22 @@
-import { getTimeInterval, validateDomain } from './timeScale';
+import { filterShownDrops, getDominantCategory } from './category';
+import { getDropIndex } from './dropIndex';
+import { isSpan } from './span';
+import { clipToRange } from './withinRange';
+import { getD3TimeInterval, getTimeScale, validateDomain } from './timeScale';
 
 /**
  * Aggregates events into time buckets based on the current time scale.
  * Only creates buckets for time periods that contain events (empty buckets are excluded).
+ * Spans (events with an end date) are counted in every bucket they overlap.
  *
  * @param {Object} xScale - d3 scaleTime
  * @param {Function} dropDate - Function to extract date from event data
  * @param {Array} events - Array of event data (only for the current row)
  * @param {Function} timeInterval - d3 time interval function (e.g., d3.timeDay, d3.timeWeek)
+ * @param {Function} dropEndDate - Optional function to extract end date from event data
  * @returns {Array} Array of bucket objects: { date: Date, count: number, events: Array }
  */
-const aggregateEvents = (xScale, dropDate, events, timeInterval) => {
+const aggregateEvents = (xScale, dropDate, events, timeInterval, dropEndDate) => {
     const domain = xScale.domain();
     const domainInfo = validateDomain(domain);
     
@@ -22,6 +28,30 @@ const aggregateEvents = (xScale, dropDate, events, timeInterval) => {
     const { start: domainStart, end: domainEnd } = domainInfo;
     const bucketStartBound = timeInterval.floor(domainStart);
     const bucketEndBound = timeInterval.ceil(domainEnd);
+    const spanning = isSpan(dropDate, dropEndDate);
+
+    const getBucketDates = (event, eventDate) => {
+        if (spanning(event)) {
+            const endDate = new Date(dropEndDate(event));
+            if (endDate < domainStart || eventDate >= domainEnd) {
+                return [];
+            }
+
+            // every bucket overlapped by the visible part of the span
+            const [start, end] = clipToRange(eventDate, endDate, [domainStart, domainEnd]);
+            return timeInterval.range(
+                timeInterval.floor(start),
+                new Date(Math.min(end.getTime() + 1, domainEnd.getTime()))
+            );
+        }
+
+        // Check if event is within domain range
+        if (eventDate < domainStart || eventDate >= domainEnd) {
+            return [];
+        }
+
+        return [timeInterval.floor(eventDate)];
+    };
 
     const buckets = new Map();
 
@@ -33,16 +63,13 @@ const aggregateEvents = (xScale, dropDate, events, timeInterval) => {
                 return; // Skip invalid dates
             }
 
-            // Check if event is within domain range
-            if (eventDate < domainStart || eventDate >= domainEnd) {
-                return;
-            }
+            getBucketDates(event, eventDate).forEach(bucketDate => {
+                if (bucketDate < bucketStartBound || bucketDate > bucketEndBound) {
+                    return;
+                }
 
-            const bucketDate = timeInterval.floor(eventDate);
-            
-            if (bucketDate >= bucketStartBound && bucketDate <= bucketEndBound) {
                 const bucketKey = bucketDate.getTime();
-                
+
                 if (!buckets.has(bucketKey)) {
                     buckets.set(bucketKey, {
                         date: bucketDate,
@@ -50,11 +77,11 @@ const aggregateEvents = (xScale, dropDate, events, timeInterval) => {
                         events: [],
                     });
                 }
-                
+
                 const bucket = buckets.get(bucketKey);
                 bucket.count += 1;
                 bucket.events.push(event);
-            }
+            });
         });
     }
 
@@ -77,10 +104,28 @@ const getMaxIntensity = (buckets) => {
         return 1;
     }
 
-    const maxCount = Math.max(...buckets.map(b => b.count), 0);
+    // no spread into Math.max, which overflows the call stack on huge arrays
+    const maxCount = buckets.reduce((max, b) => Math.max(max, b.count), 0);
     return maxCount > 0 ? maxCount : 1;
 };
 
+/**
+ * Adds normalized intensity (count relative to the row maximum) to each bucket, and
+ * marks it as a bucket, whether it comes with its events or not.
+ *
+ * @param {Array} buckets - Array of bucket objects for this row
+ * @returns {Array} Array of bucket objects with an `intensity` between 0 and 1
+ */
+const addIntensity = buckets => {
+    const maxCount = getMaxIntensity(buckets);
+
+    return buckets.map(bucket => ({
+        ...bucket,
+        intensity: maxCount > 0 ? Math.min(bucket.count / maxCount, 1) : 0,
+        _bucket: true,
+    }));
+};
+
 /**
  * Resolves the drop color for a row, matching drop.js behavior.
  * When dropColor is null, it inherits from lineColor (parent fill).
@@ -92,7 +137,7 @@ const getMaxIntensity = (buckets) => {
  * @param {number} rowIndex - Row index
  * @returns {string} Resolved color string
  */
-const resolveDropColor = (dropColor, lineColor, rowData, rowIndex) => {
+export const resolveDropColor = (dropColor, lineColor, rowData, rowIndex) => {
     if (dropColor === null || dropColor === undefined) {
         // When dropColor is null, it inherits from lineColor (parent fill)
         return typeof lineColor === 'function' 
@@ -126,7 +171,7 @@ const resolveDropColor = (dropColor, lineColor, rowData, rowIndex) => {
  * @param {string} baseColor - Base color to use (drop color or line color)
  * @returns {string} Color string
  */
-const getBucketColor = (config, intensity, baseColor) => {
+export const getBucketColor = (config, intensity, baseColor) => {
     const { heatmap: { colorScale } } = config;
 
     if (colorScale && typeof colorScale === 'function') {
@@ -159,6 +204,38 @@ const getBucketColor = (config, intensity, baseColor) => {
     return baseColor;
 };
 
+/**
+ * Gets the base color of a bucket: the color of its dominant category (the one with the
+ * most events) when `heatmap.colorBy` is `'category'`, given base color otherwise.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} categories - Categories state, if `drop.category` is configured
+ * @param {Object} bucket - Bucket datum
+ * @param {string} baseColor - Base color to use (drop color or line color)
+ * @returns {string} Color string
+ */
+export const getBucketBaseColor = (config, categories, bucket, baseColor) => {
+    const { heatmap: { colorBy } } = config;
+
+    // buckets of `heatmap.source` may come without their events
+    if (colorBy !== 'category' || !categories || !Array.isArray(bucket.events)) {
+        return baseColor;
+    }
+
+    const dominant = getDominantCategory(categories, bucket.events);
+
+    return dominant === null ? baseColor : categories.getStyle(dominant).color;
+};
+
+/**
+ * Tells heatmap buckets apart from single events, e.g. in event handlers. Buckets of
+ * `heatmap.source` have no `events`, hence the explicit mark.
+ *
+ * @param {*} d - Datum of a drop or of a heatmap bucket
+ * @returns {boolean} Whether datum is a heatmap bucket
+ */
+export const isBucket = d => !!d && d._bucket === true;
+
 /**
  * Calculates bucket position and width for rendering.
  *
@@ -168,7 +245,7 @@ const getBucketColor = (config, intensity, baseColor) => {
  * @param {number} minBucketWidth - Minimum bucket width in pixels
  * @returns {Object} Object with { x, width }
  */
-const calculateBucketPosition = (d, xScale, timeInterval, minBucketWidth) => {
+export const calculateBucketPosition = (d, xScale, timeInterval, minBucketWidth) => {
     const bucketStartDate = d.date;
     const bucketEndDate = timeInterval.offset(bucketStartDate, 1);
     
@@ -233,6 +310,12 @@ const getRowDataFromElement = (d3, rectElement) => {
             rowIndex = dropsData && dropsData._rowIndex !== undefined ? dropsData._rowIndex : 0;
         }
     }
+
+    // index among all chart rows, so that colors do not change when rows are hidden,
+    // collapsed or scrolled out of view
+    if (dropLineData && dropLineData._index !== undefined) {
+        rowIndex = dropLineData._index;
+    }
     
     return { rowData: dropLineData, rowIndex };
 };
@@ -245,31 +328,119 @@ const getRowDataFromElement = (d3, rectElement) => {
  * @param {Object} xScale - d3 scaleTime
  * @param {Function} dropDate - Function to extract date from event data
  * @param {Function} timeInterval - d3 time interval function (e.g., d3.timeDay, d3.timeWeek)
+ * @param {Function} dropEndDate - Optional function to extract end date from event data
+ * @param {Object} categories - Categories state, if any: events of hidden categories are not counted
  * @returns {Function} Data accessor function
  */
-const getHeatmapBucketData = (xScale, dropDate, timeInterval) => d => {
+export const getHeatmapBucketData = (xScale, dropDate, timeInterval, dropEndDate, categories) => d => {
     // d is the datum of each .drops element (row data)
     if (!d || !d.data) {
         return [];
     }
     
-    const buckets = aggregateEvents(xScale, dropDate, d.data, timeInterval);
-    
-    const maxCount = getMaxIntensity(buckets);
+    const events = filterShownDrops(categories)(d.data);
+    return addIntensity(aggregateEvents(xScale, dropDate, events, timeInterval, dropEndDate));
+};
 
-    return buckets.map(bucket => ({
-        ...bucket,
-        intensity: maxCount > 0 ? Math.min(bucket.count / maxCount, 1) : 0,
-    }));
+// buckets counted by the worker include events of hidden categories, left out here
+const filterShownBuckets = (categories, buckets) => {
+    if (!categories) {
+        return buckets;
+    }
+
+    return buckets
+        .map(bucket => {
+            const events = bucket.events.filter(categories.isShown);
+            return events.length === bucket.events.length
+                ? bucket
+                : { ...bucket, count: events.length, events };
+        })
+        .filter(bucket => bucket.count > 0);
+};
+
+/**
+ * Creates the bucket data accessor for the current rendering. Buckets are aggregated
+ * on the main thread, unless they come from the `heatmap.source` hook or a heatmap
+ * worker is running: in these cases, the accessor returns `null` for rows whose
+ * buckets are still being loaded or counted.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} xScale - d3 scaleTime
+ * @param {string} timeScale - Bucket scale (e.g. 'days'), as returned by getTimeScale
+ * @param {Function} timeInterval - d3 time interval matching the bucket scale
+ * @param {Object} state - Chart runtime state
+ * @returns {Function} Data accessor function `(d, row)`, where `row` is the `.drop-line`
+ * datum, returning buckets or null if pending
+ */
+export const getBucketData = (config, xScale, timeScale, timeInterval, state = {}) => {
+    const { drop: { date: dropDate, endDate: dropEndDate } } = config;
+    const { heatmapSource, heatmapWorker, categories } = state;
+
+    if (heatmapSource) {
+        return (d, row = d) => {
+            if (!d) {
+                return [];
+            }
+
+            const buckets = heatmapSource.getBuckets(
+                row,
+                timeScale,
+                timeInterval,
+                xScale.domain()
+            );
+
+            return buckets && addIntensity(buckets);
+        };
+    }
+
+    if (!heatmapWorker) {
+        return getHeatmapBucketData(xScale, dropDate, timeInterval, dropEndDate, categories);
+    }
+
+    return d => {
+        if (!d || !d.fullData) {
+            return [];
+        }
+
+        const buckets = heatmapWorker.getBuckets(
+            getDropIndex(d, dropDate, dropEndDate),
+            timeScale,
+            timeInterval,
+            xScale.domain()
+        );
+
+        return buckets && addIntensity(filterShownBuckets(categories, buckets));
+    };
+};
+
+/**
+ * Returns the bucket interval and bucket data accessor for the current zoom level, for
+ * consumers rendering buckets outside of the SVG heatmap (canvas, data table).
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} xScale - d3 scaleTime
+ * @param {string} breakpointLabel - Current breakpoint label
+ * @param {Object} state - Chart runtime state
+ * @returns {Object} { timeInterval, bucketData }, see getBucketData for `bucketData`
+ */
+export const getHeatmap = (config, xScale, breakpointLabel, state = {}) => {
+    const { d3, numberDisplayedTicks, bucketSize } = config;
+
+    const timeScale = getTimeScale(d3, xScale, numberDisplayedTicks, breakpointLabel, bucketSize);
+    const timeInterval = getD3TimeInterval(d3, timeScale);
+
+    return {
+        timeInterval,
+        bucketData: getBucketData(config, xScale, timeScale, timeInterval, state),
+    };
 };
 
-export default (config, xScale, breakpointLabel) => selection => {
+export default (config, xScale, breakpointLabel, state = {}) => selection => {
     
     const {
         d3,
         drop: {
             color: dropColor,
-            date: dropDate,
             onClick,
             onMouseOver,
             onMouseOut,
@@ -291,57 +462,71 @@ export default (config, xScale, breakpointLabel) => selection => {
         return;
     }
 
-    const timeInterval = getTimeInterval(d3, xScale, numberDisplayedTicks, breakpointLabel, bucketSize);
+    const timeScale = getTimeScale(d3, xScale, numberDisplayedTicks, breakpointLabel, bucketSize);
+    const timeInterval = getD3TimeInterval(d3, timeScale);
 
-    const heatmapBucketData = getHeatmapBucketData(xScale, dropDate, timeInterval);
+    const heatmapBucketData = getBucketData(config, xScale, timeScale, timeInterval, state);
 
     const getBucketAttributes = (d) => {
         return calculateBucketPosition(d, xScale, timeInterval, minBucketWidth);
     };
 
-    const heatmapRects = selection
-        .selectAll('.heatmap-rect')
-        .data(heatmapBucketData);
-
-    const enterRects = heatmapRects
-        .enter()
-        .append('rect')
-        .classed('heatmap-rect', true)
-        .on('click', (ev, d) => onClick(ev, d))
-        .on('mouseover', (ev, d) => onMouseOver(ev, d))
-        .on('mousemove', (ev, d) => onMouseOver(ev, d))
-        .on('mouseout', (ev, d) => onMouseOut(ev, d));
-    
-    enterRects.merge(heatmapRects)
-        .attr('x', d => {
-            const position = getBucketAttributes(d);
-            return position.x;
-        })
-        .attr('width', d => {
-            const position = getBucketAttributes(d);
-            return position.width;
-        })
-        .attr('y', -lineHeight / 2)
-        .attr('height', lineHeight)
-        .attr('fill', function(d) {
-            const { rowData, rowIndex } = getRowDataFromElement(d3, this);
-            const intensity = d.count > 0 ? d.intensity : 0;
-            const resolvedDropColor = resolveDropColor(dropColor, lineColor, rowData, rowIndex);
-            return getBucketColor(config, intensity, resolvedDropColor);
-        })
-        .attr('stroke', 'none');
+    selection.each(function(d) {
+        const lineNode = this.parentNode;
+        const buckets = heatmapBucketData(d, (lineNode && d3.select(lineNode).datum()) || d);
+        if (!buckets) {
+            // Buckets are still being aggregated: keep the last rendered ones on screen
+            return;
+        }
 
-    heatmapRects
-        .exit()
-        .each(function() {
-            if (onMouseOut) {
-                onMouseOut();
-            }
-        })
-        .on('click', null)
-        .on('mouseover', null)
-        .on('mousemove', null)
-        .on('mouseout', null)
-        .remove();
-};
+        const heatmapRects = d3
+            .select(this)
+            .selectAll('.heatmap-rect')
+            .data(buckets);
+
+        const enterRects = heatmapRects
+            .enter()
+            .append('rect')
+            .classed('heatmap-rect', true)
+            .on('click', (ev, d) => onClick(ev, d))
+            .on('mouseover', (ev, d) => onMouseOver(ev, d))
+            .on('mousemove', (ev, d) => onMouseOver(ev, d))
+            .on('mouseout', (ev, d) => onMouseOut(ev, d));
 
+        enterRects.merge(heatmapRects)
+            .attr('x', d => {
+                const position = getBucketAttributes(d);
+                return position.x;
+            })
+            .attr('width', d => {
+                const position = getBucketAttributes(d);
+                return position.width;
+            })
+            .attr('y', -lineHeight / 2)
+            .attr('height', lineHeight)
+            .attr('fill', function(d) {
+                const { rowData, rowIndex } = getRowDataFromElement(d3, this);
+                const intensity = d.count > 0 ? d.intensity : 0;
+                const resolvedDropColor = resolveDropColor(dropColor, lineColor, rowData, rowIndex);
+                return getBucketColor(
+                    config,
+                    intensity,
+                    getBucketBaseColor(config, state.categories, d, resolvedDropColor)
+                );
+            })
+            .attr('stroke', 'none');
+
+        heatmapRects
+            .exit()
+            .each(function() {
+                if (onMouseOut) {
+                    onMouseOut();
+                }
+            })
+            .on('click', null)
+            .on('mouseover', null)
+            .on('mousemove', null)
+            .on('mouseout', null)
+            .remove();
+    });
+};
@@ -0,0 +1,230 @@
+import debounce from 'debounce';
+
+const isThenable = value => value && typeof value.then === 'function';
+
+// failing rows wait at most 64 times `retryDelay` before requesting buckets again
+const MAX_BACKOFF = 6;
+
+/**
+ * Wraps the `heatmap.source` hook, which provides pre-aggregated buckets (for instance
+ * counted by a server) instead of counting raw events.
+ *
+ * Buckets are cached per row and per time scale, keyed by bucket start, so the hook is
+ * only called for buckets which have never been displayed at the current zoom level.
+ * Buckets requested but not returned by the hook are considered empty.
+ *
+ * Once the hook returned a promise, requests are only sent when zooming stopped for
+ * `wait` milliseconds, for the latest domain. After a failure (the hook throwing or
+ * its promise being rejected), buckets of the row are not requested again before
+ * `retryDelay` milliseconds, a delay doubling with each consecutive failure.
+ *
+ * @param {Function} source `(row, interval, [start, end])` returning buckets, or a promise of buckets
+ * @param {Function} onUpdate called with the row whose asynchronous buckets arrived
+ * @param {Object} options { wait, retryDelay } in milliseconds
+ * @returns {Object} aggregator
+ */
+export const createHeatmapSource = (
+    source,
+    onUpdate,
+    { wait = 250, retryDelay = 1000 } = {}
+) => {
+    const rows = new WeakMap(); // row => { cache, pending, failures, retryAt }
+    const waitingRows = new Map(); // row => latest request arguments
+    let isAsync = false;
+    let cancelled = false;
+
+    const getRow = row => {
+        if (!rows.has(row)) {
+            rows.set(row, {
+                cache: new Map(),
+                pending: new Set(),
+                failures: 0,
+                retryAt: 0,
+            });
+        }
+
+        return rows.get(row);
+    };
+
+    const getCache = (state, timeScale) => {
+        if (!state.cache.has(timeScale)) {
+            state.cache.set(timeScale, new Map());
+        }
+
+        return state.cache.get(timeScale);
+    };
+
+    const getStarts = (timeInterval, [domainStart, domainEnd]) =>
+        timeInterval
+            .range(timeInterval.floor(domainStart), domainEnd)
+            .map(Number);
+
+    // buckets of the domain which are neither cached nor being loaded
+    const getRequestedStarts = (state, timeScale, timeInterval, domain) => {
+        const cache = getCache(state, timeScale);
+
+        return getStarts(timeInterval, domain).filter(
+            start =>
+                !cache.has(start) && !state.pending.has(`${timeScale}:${start}`)
+        );
+    };
+
+    const store = (cache, timeInterval, starts, buckets) => {
+        starts.forEach(start => cache.set(start, 0));
+
+        (buckets || []).forEach(({ date, count }) => {
+            const start = +timeInterval.floor(new Date(date));
+            if (cache.has(start)) {
+                cache.set(start, cache.get(start) + count);
+            }
+        });
+    };
+
+    // row buckets are only requested again once the backoff delay elapsed
+    const fail = (state, error) => {
+        state.failures += 1;
+        state.retryAt =
+            Date.now() +
+            retryDelay * Math.pow(2, Math.min(state.failures - 1, MAX_BACKOFF));
+
+        // a failing source is only reported once, until it answers again
+        if (state.failures === 1) {
+            console.error(
+                '[Heatmap] Unable to load buckets from heatmap source.',
+                error
+            );
+        }
+    };
+
+    const request = (row, timeScale, timeInterval, domain) => {
+        const state = getRow(row);
+        const cache = getCache(state, timeScale);
+        const requested = getRequestedStarts(
+            state,
+            timeScale,
+            timeInterval,
+            domain
+        );
+        if (!requested.length) {
+            return;
+        }
+
+        const start = new Date(requested[0]);
+        const end = timeInterval.offset(
+            new Date(requested[requested.length - 1]),
+            1
+        );
+        // ask for the whole span at once, buckets already known included
+        const spanStarts = timeInterval.range(start, end).map(Number);
+
+        let result;
+        try {
+            result = source(row, timeScale, [start, end]);
+        } catch (error) {
+            // thrown during draw, which must not break
+            fail(state, error);
+            return;
+        }
+
+        if (!isThenable(result)) {
+            state.failures = 0;
+            store(cache, timeInterval, spanStarts, result);
+            return;
+        }
+
+        isAsync = true;
+        spanStarts.forEach(s => state.pending.add(`${timeScale}:${s}`));
+
+        // buckets can be requested again whatever happens
+        const clearPending = () =>
+            spanStarts.forEach(s => state.pending.delete(`${timeScale}:${s}`));
+
+        result
+            .then(
+                buckets => {
+                    clearPending();
+                    if (cancelled) {
+                        return;
+                    }
+
+                    state.failures = 0;
+                    store(cache, timeInterval, spanStarts, buckets);
+                    onUpdate(row);
+                },
+                error => {
+                    clearPending();
+                    if (cancelled) {
+                        return;
+                    }
+
+                    fail(state, error);
+                }
+            )
+            .catch(error =>
+                console.error(
+                    '[Heatmap] Unable to redraw line with loaded buckets.',
+                    error
+                )
+            );
+    };
+
+    const flush = () => {
+        const requests = [...waitingRows];
+        waitingRows.clear();
+
+        requests.forEach(([row, args]) => request(row, ...args));
+    };
+
+    const debouncedFlush = debounce(flush, wait);
+
+    return {
+        /**
+         * Returns buckets of a row for given domain, or null if some of them are still
+         * being loaded (in which case they are requested to the source hook).
+         *
+         * @param {Object} row row object
+         * @param {string} timeScale bucket scale (e.g. 'days'), given to the hook as `interval`
+         * @param {Function} timeInterval d3 time interval matching the bucket scale
+         * @param {Array} domain `[start, end]` dates
+         * @returns {Array|null} buckets: { date, count }
+         */
+        getBuckets(row, timeScale, timeInterval, domain) {
+            const state = getRow(row);
+            const cache = getCache(state, timeScale);
+
+            const isRequested =
+                Date.now() >= state.retryAt &&
+                getRequestedStarts(state, timeScale, timeInterval, domain)
+                    .length > 0;
+
+            if (isRequested && isAsync) {
+                // latest domain is used when requesting
+                waitingRows.set(row, [timeScale, timeInterval, domain]);
+                debouncedFlush();
+            } else if (isRequested) {
+                request(row, timeScale, timeInterval, domain);
+            }
+
+            const starts = getStarts(timeInterval, domain);
+            if (starts.some(start => !cache.has(start))) {
+                return null;
+            }
+
+            return starts
+                .map(start => ({
+                    date: new Date(start),
+                    count: cache.get(start),
+                }))
+                .filter(bucket => bucket.count > 0);
+        },
+
+        /**
+         * Stops sending requests, results of pending ones being ignored.
+         */
+        cancel() {
+            cancelled = true;
+            debouncedFlush.clear();
+            waitingRows.clear();
+        },
+    };
+};
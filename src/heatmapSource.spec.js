@@ -0,0 +1,201 @@
+import { createHeatmapSource } from './heatmapSource';
+
+const row = { name: 'foo' };
+const domain = [
+    new Date('2010-01-01T00:00:00'),
+    new Date('2010-01-04T00:00:00'),
+];
+
+// in-memory server, counting per day
+const serverBuckets = [
+    { date: new Date('2010-01-01T00:00:00'), count: 12 },
+    { date: new Date('2010-01-03T00:00:00'), count: 4 },
+    { date: new Date('2010-01-05T00:00:00'), count: 1 },
+];
+const fetchBuckets = (row, interval, [start, end]) =>
+    serverBuckets.filter(({ date }) => date >= start && date < end);
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const flushPromises = () => wait(0);
+
+describe('Heatmap Source', () => {
+    it('should use buckets returned synchronously right away', () => {
+        const source = jest.fn(fetchBuckets);
+        const aggregator = createHeatmapSource(source, () => {});
+
+        const buckets = aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+
+        expect(source).toHaveBeenCalledWith(row, 'days', [
+            new Date('2010-01-01T00:00:00'),
+            new Date('2010-01-04T00:00:00'),
+        ]);
+        expect(buckets).toEqual([
+            { date: new Date('2010-01-01T00:00:00'), count: 12 },
+            { date: new Date('2010-01-03T00:00:00'), count: 4 },
+        ]);
+    });
+
+    it('should return null until asynchronous buckets arrive, then notify', async () => {
+        const onUpdate = jest.fn();
+        const aggregator = createHeatmapSource(
+            (...args) => Promise.resolve(fetchBuckets(...args)),
+            onUpdate
+        );
+
+        expect(aggregator.getBuckets(row, 'days', d3.timeDay, domain)).toBe(
+            null
+        );
+
+        await flushPromises();
+
+        expect(onUpdate).toHaveBeenCalledWith(row);
+        expect(
+            aggregator.getBuckets(row, 'days', d3.timeDay, domain).length
+        ).toBe(2);
+    });
+
+    it('should only request buckets which are not cached yet', async () => {
+        const source = jest.fn((...args) =>
+            Promise.resolve(fetchBuckets(...args))
+        );
+        const aggregator = createHeatmapSource(source, () => {}, { wait: 5 });
+
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        expect(source).toHaveBeenCalledTimes(1);
+
+        await flushPromises();
+
+        aggregator.getBuckets(row, 'days', d3.timeDay, [
+            new Date('2010-01-02T00:00:00'),
+            new Date('2010-01-06T00:00:00'),
+        ]);
+        await wait(20);
+        expect(source).toHaveBeenLastCalledWith(row, 'days', [
+            new Date('2010-01-04T00:00:00'),
+            new Date('2010-01-06T00:00:00'),
+        ]);
+
+        aggregator.getBuckets(row, 'hours', d3.timeHour, domain);
+        await wait(20);
+        expect(source).toHaveBeenLastCalledWith(row, 'hours', domain);
+    });
+
+    it('should debounce requests of asynchronous sources, for the latest domain', async () => {
+        const source = jest.fn((...args) =>
+            Promise.resolve(fetchBuckets(...args))
+        );
+        const aggregator = createHeatmapSource(source, () => {}, { wait: 5 });
+
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        await flushPromises();
+
+        // panning
+        [5, 6, 7].forEach(day =>
+            aggregator.getBuckets(row, 'days', d3.timeDay, [
+                new Date(`2010-01-0${day - 3}T00:00:00`),
+                new Date(`2010-01-0${day}T00:00:00`),
+            ])
+        );
+        expect(source).toHaveBeenCalledTimes(1);
+
+        await wait(20);
+        expect(source).toHaveBeenCalledTimes(2);
+        expect(source).toHaveBeenLastCalledWith(row, 'days', [
+            new Date('2010-01-04T00:00:00'),
+            new Date('2010-01-07T00:00:00'),
+        ]);
+    });
+
+    it('should log an error once and wait before requesting buckets again if source fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const source = jest.fn(() => Promise.reject(new Error('Boom')));
+        const aggregator = createHeatmapSource(source, () => {}, {
+            wait: 0,
+            retryDelay: 50,
+        });
+
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        await flushPromises();
+        expect(console.error).toHaveBeenCalledTimes(1);
+
+        // draws happening before retry delay do not request anything
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        await wait(10);
+        expect(source).toHaveBeenCalledTimes(1);
+
+        await wait(50);
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        await wait(10);
+        expect(source).toHaveBeenCalledTimes(2);
+        expect(console.error).toHaveBeenCalledTimes(1);
+
+        // delay doubles with each failure
+        await wait(50);
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        await wait(10);
+        expect(source).toHaveBeenCalledTimes(2);
+    });
+
+    it('should handle a source throwing synchronously as a failure', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const source = jest.fn(() => {
+            throw new Error('Boom');
+        });
+        const aggregator = createHeatmapSource(source, () => {}, {
+            retryDelay: 50,
+        });
+
+        expect(aggregator.getBuckets(row, 'days', d3.timeDay, domain)).toBe(
+            null
+        );
+        expect(aggregator.getBuckets(row, 'days', d3.timeDay, domain)).toBe(
+            null
+        );
+        expect(source).toHaveBeenCalledTimes(1);
+        expect(console.error).toHaveBeenCalledTimes(1);
+
+        await wait(60);
+        source.mockImplementation(fetchBuckets);
+        expect(
+            aggregator.getBuckets(row, 'days', d3.timeDay, domain).length
+        ).toBe(2);
+    });
+
+    it('should log errors thrown when notifying buckets arrival', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const aggregator = createHeatmapSource(
+            (...args) => Promise.resolve(fetchBuckets(...args)),
+            () => {
+                throw new Error('Boom');
+            }
+        );
+
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        await flushPromises();
+        expect(console.error).toHaveBeenCalledTimes(1);
+        expect(
+            aggregator.getBuckets(row, 'days', d3.timeDay, domain).length
+        ).toBe(2);
+    });
+
+    it('should ignore results arriving after being cancelled', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const onUpdate = jest.fn();
+        const aggregator = createHeatmapSource(
+            (...args) => Promise.resolve(fetchBuckets(...args)),
+            onUpdate
+        );
+
+        aggregator.getBuckets(row, 'days', d3.timeDay, domain);
+        aggregator.cancel();
+        await flushPromises();
+
+        expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,316 @@
+import { bisectLeft } from './dropIndex';
+
+/**
+ * Creates the message handler running inside the heatmap worker. The worker keeps
+ * sorted timestamps of each row (sent once, along with end timestamps for rows having
+ * spans), and aggregates requested buckets: for each of them, it answers with the
+ * positions (`ids`) of the events starting in `[low, end)` and still running at bucket
+ * start, where `low` is the bucket start minus the longest span duration of the row.
+ * Positions of all buckets are sent in a single array, bucket `i` owning
+ * `ids[offsets[i]]` to `ids[offsets[i + 1]]`.
+ *
+ * This function is serialized into the worker source: it must stay self-contained
+ * (no imports, no closure over module variables) and avoid syntax requiring
+ * transpilation helpers (spread, array destructuring, for...of).
+ *
+ * @param {Function} post function sending a message (and transferable objects) back to
+ * the main thread
+ * @returns {Function} `onmessage` handler
+ */
+export const createWorkerHandler = post => {
+    var rows = {};
+
+    var bisect = function(times, time) {
+        var low = 0;
+        var high = times.length;
+        while (low < high) {
+            var middle = (low + high) >>> 1;
+            if (times[middle] < time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    };
+
+    return function(event) {
+        var message = event.data;
+
+        if (message.type === 'times') {
+            rows[message.rowId] = {
+                times: message.times,
+                ends: message.ends || null,
+            };
+            return;
+        }
+
+        if (message.type === 'forget') {
+            delete rows[message.rowId];
+            return;
+        }
+
+        if (message.type === 'count') {
+            var row = rows[message.rowId] || { times: [], ends: null };
+            var ids = [];
+            var offsets = [0];
+            for (var i = 0; i < message.starts.length; i++) {
+                var from = bisect(row.times, message.lows[i]);
+                var to = bisect(row.times, message.ends[i]);
+                for (var j = from; j < to; j++) {
+                    // spans starting before the bucket are kept if they overlap it
+                    if (!row.ends || row.ends[j] >= message.starts[i]) {
+                        ids.push(j);
+                    }
+                }
+                offsets.push(ids.length);
+            }
+
+            var idArray = Int32Array.from(ids);
+            post(
+                {
+                    rowId: message.rowId,
+                    timeScale: message.timeScale,
+                    starts: message.starts,
+                    ids: idArray,
+                    offsets: offsets,
+                },
+                [idArray.buffer]
+            );
+        }
+    };
+};
+
+export const WORKER_SOURCE = `self.onmessage = (${createWorkerHandler.toString()})(function(message, transfer) { self.postMessage(message, transfer); });`;
+
+// buckets kept per row, least recently used ones being evicted first
+const MAX_CACHED_BUCKETS = 2000;
+
+const getCached = (cache, key) => {
+    const entry = cache.get(key);
+    if (entry) {
+        cache.delete(key);
+        cache.set(key, entry);
+    }
+
+    return entry;
+};
+
+const setCached = (cache, key, entry) => {
+    cache.set(key, entry);
+    for (const oldest of cache.keys()) {
+        if (cache.size <= MAX_CACHED_BUCKETS) {
+            break;
+        }
+        cache.delete(oldest);
+    }
+};
+
+/**
+ * Starts the worker aggregating heatmap buckets when `heatmap.worker` is enabled.
+ *
+ * Row timestamps are transferred to the worker once per drop index (i.e. again only if
+ * the row drops change). The worker sends back positions of bucket events, which are
+ * cached per row, keyed by time scale and bucket start, so panning at a given zoom
+ * level only asks the worker for new buckets. The main thread only turns positions
+ * into events, once per cached bucket.
+ *
+ * If the worker fails once started (e.g. script error, or blocked by a content
+ * security policy), it is terminated and `onError` is called, so that buckets can be
+ * aggregated on the main thread instead.
+ *
+ * @param {Object} global global object providing `Worker`, `Blob` and `URL`
+ * @param {Function} onUpdate called with the drop index of a row whose buckets arrived
+ * @param {Function} onError called once the worker failed and has been terminated
+ * @returns {Object|null} aggregator, or null if workers are not available
+ */
+export const createHeatmapWorker = (global, onUpdate, onError = () => {}) => {
+    let worker;
+    try {
+        const blob = new global.Blob([WORKER_SOURCE], {
+            type: 'application/javascript',
+        });
+        const url = global.URL.createObjectURL(blob);
+        try {
+            worker = new global.Worker(url);
+        } finally {
+            // the worker keeps its script once constructed
+            global.URL.revokeObjectURL(url);
+        }
+    } catch (error) {
+        console.warn(
+            '[Heatmap] Unable to start heatmap worker, aggregating buckets on main thread instead.',
+            error
+        );
+        return null;
+    }
+
+    let lastRowId = 0;
+    const rows = new Map(); // drop index => { id, cache, pending }
+    const indexes = new Map(); // row id => drop index
+
+    const getRow = index => {
+        if (!rows.has(index)) {
+            const id = ++lastRowId;
+            const times = Float64Array.from(index.times);
+            // end timestamps are only needed to find spans overlapping a bucket
+            const ends = index.maxDuration
+                ? Float64Array.from(index.ends)
+                : null;
+
+            worker.postMessage(
+                { type: 'times', rowId: id, times, ends },
+                ends ? [times.buffer, ends.buffer] : [times.buffer]
+            );
+
+            rows.set(index, { id, cache: new Map(), pending: new Set() });
+            indexes.set(id, index);
+        }
+
+        return rows.get(index);
+    };
+
+    worker.onmessage = ({
+        data: { rowId, timeScale, starts, ids, offsets },
+    }) => {
+        const index = indexes.get(rowId);
+        if (!index) {
+            return; // row has been pruned in the meantime
+        }
+
+        const row = rows.get(index);
+        starts.forEach((start, i) => {
+            const key = `${timeScale}:${start}`;
+            row.pending.delete(key);
+            setCached(row.cache, key, {
+                ids: ids.subarray(offsets[i], offsets[i + 1]),
+                bucket: null,
+            });
+        });
+
+        onUpdate(index);
+    };
+
+    worker.onerror = error => {
+        console.warn(
+            '[Heatmap] Heatmap worker failed, aggregating buckets on main thread instead.',
+            error
+        );
+        worker.terminate();
+        rows.clear();
+        indexes.clear();
+        onError(error);
+    };
+
+    const createBucket = (index, start, ids) => {
+        const events = new Array(ids.length);
+        for (let i = 0; i < ids.length; i++) {
+            events[i] = index.drops[ids[i]];
+        }
+
+        return { date: new Date(start), count: events.length, events };
+    };
+
+    return {
+        /**
+         * Returns buckets of a row for given domain, or null if some of them are still
+         * being counted (in which case they are requested to the worker).
+         *
+         * @param {Object} index drop index of the row
+         * @param {string} timeScale bucket scale (e.g. 'days')
+         * @param {Function} timeInterval d3 time interval matching the bucket scale
+         * @param {Array} domain `[start, end]` dates
+         * @returns {Array|null} buckets: { date, count, events }
+         */
+        getBuckets(index, timeScale, timeInterval, domain) {
+            const [domainStart, domainEnd] = domain;
+            const row = getRow(index);
+
+            const starts = timeInterval
+                .range(timeInterval.floor(domainStart), domainEnd)
+                .map(Number);
+            const entries = starts.map(start =>
+                getCached(row.cache, `${timeScale}:${start}`)
+            );
+            const missing = starts.filter((start, i) => !entries[i]);
+
+            if (missing.length) {
+                const requested = missing.filter(
+                    start => !row.pending.has(`${timeScale}:${start}`)
+                );
+
+                if (requested.length) {
+                    requested.forEach(start =>
+                        row.pending.add(`${timeScale}:${start}`)
+                    );
+                    worker.postMessage({
+                        type: 'count',
+                        rowId: row.id,
+                        timeScale,
+                        starts: requested,
+                        lows: requested.map(start => start - index.maxDuration),
+                        ends: requested.map(
+                            start => +timeInterval.offset(new Date(start), 1)
+                        ),
+                    });
+                }
+
+                return null;
+            }
+
+            // edge buckets only count events within the domain, as on main thread
+            const low = bisectLeft(
+                index.times,
+                +domainStart - index.maxDuration
+            );
+            const high = bisectLeft(index.times, +domainEnd);
+            const isInDomain = (start, id) =>
+                id >= low &&
+                id < high &&
+                (!index.maxDuration ||
+                    index.ends[id] >= Math.max(start, +domainStart));
+
+            return starts
+                .map((start, i) => {
+                    const entry = entries[i];
+                    const end = +timeInterval.offset(new Date(start), 1);
+                    if (start < +domainStart || end > +domainEnd) {
+                        return createBucket(
+                            index,
+                            start,
+                            entry.ids.filter(id => isInDomain(start, id))
+                        );
+                    }
+
+                    if (!entry.bucket) {
+                        entry.bucket = createBucket(index, start, entry.ids);
+                    }
+
+                    return entry.bucket;
+                })
+                .filter(bucket => bucket.count > 0);
+        },
+
+        /**
+         * Forgets rows which are not displayed anymore, in both threads.
+         *
+         * @param {Array} activeIndexes drop indexes of currently displayed rows
+         */
+        prune(activeIndexes) {
+            [...rows.keys()]
+                .filter(index => !activeIndexes.includes(index))
+                .forEach(index => {
+                    const { id } = rows.get(index);
+                    worker.postMessage({ type: 'forget', rowId: id });
+                    rows.delete(index);
+                    indexes.delete(id);
+                });
+        },
+
+        terminate() {
+            worker.terminate();
+            rows.clear();
+            indexes.clear();
+        },
+    };
+};
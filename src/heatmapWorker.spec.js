@@ -0,0 +1,284 @@
+import defaultConfiguration from './config';
+import heatmap from './heatmap';
+import { getDropIndex } from './dropIndex';
+import {
+    createHeatmapWorker,
+    createWorkerHandler,
+    WORKER_SOURCE,
+} from './heatmapWorker';
+
+// runs the worker handler in the same thread, answering only when flushed
+class FakeWorker {
+    constructor() {
+        this.messages = [];
+        this.answers = [];
+        this.handler = createWorkerHandler(message =>
+            this.answers.push(message)
+        );
+        FakeWorker.instance = this;
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+        this.handler({ data: message });
+    }
+
+    flush() {
+        const answers = this.answers;
+        this.answers = [];
+        answers.forEach(data => this.onmessage({ data }));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+const fakeGlobal = {
+    Blob: class {},
+    URL: {
+        createObjectURL: () => 'blob:heatmap-worker',
+        revokeObjectURL: () => {},
+    },
+    Worker: FakeWorker,
+};
+
+const row = {
+    fullData: [
+        new Date('2010-01-01T10:00:00'),
+        new Date('2010-01-01T11:00:00'),
+        new Date('2010-01-03T10:00:00'),
+        new Date('2010-01-05T10:00:00'),
+    ],
+};
+const index = getDropIndex(row, d => d);
+const domain = [
+    new Date('2010-01-01T00:00:00'),
+    new Date('2010-01-04T00:00:00'),
+];
+
+describe('Heatmap Worker', () => {
+    it('should evaluate worker source as a standalone script', () => {
+        const self = { postMessage: jest.fn() };
+        new Function('self', WORKER_SOURCE)(self);
+
+        self.onmessage({ data: { type: 'times', rowId: 1, times: [1, 2, 3] } });
+        self.onmessage({
+            data: {
+                type: 'count',
+                rowId: 1,
+                timeScale: 'days',
+                starts: [0, 2],
+                lows: [0, 2],
+                ends: [2, 10],
+            },
+        });
+
+        expect(self.postMessage).toHaveBeenCalledWith(
+            {
+                rowId: 1,
+                timeScale: 'days',
+                starts: [0, 2],
+                ids: Int32Array.from([0, 1, 2]),
+                offsets: [0, 1, 3],
+            },
+            [expect.any(ArrayBuffer)]
+        );
+    });
+
+    it('should only keep spans overlapping each bucket in worker', () => {
+        const post = jest.fn();
+        const handler = createWorkerHandler(post);
+
+        // spans [0, 5], [1, 1] and [3, 12]
+        handler({
+            data: {
+                type: 'times',
+                rowId: 1,
+                times: [0, 1, 3],
+                ends: [5, 1, 12],
+            },
+        });
+        handler({
+            data: {
+                type: 'count',
+                rowId: 1,
+                timeScale: 'days',
+                starts: [2, 10],
+                lows: [-9, -1],
+                ends: [10, 20],
+            },
+        });
+
+        const [{ ids, offsets }] = post.mock.calls[0];
+        expect([...ids]).toEqual([0, 2, 2]);
+        expect(offsets).toEqual([0, 2, 3]);
+    });
+
+    it('should return null if workers are not available', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(createHeatmapWorker({}, () => {})).toBe(null);
+        expect(console.warn).toHaveBeenCalled();
+    });
+
+    it('should send row timestamps once and return null until buckets are counted', () => {
+        const onUpdate = jest.fn();
+        const aggregator = createHeatmapWorker(fakeGlobal, onUpdate);
+        const worker = FakeWorker.instance;
+
+        expect(aggregator.getBuckets(index, 'days', d3.timeDay, domain)).toBe(
+            null
+        );
+        expect(aggregator.getBuckets(index, 'days', d3.timeDay, domain)).toBe(
+            null
+        );
+        expect(worker.messages.map(({ type }) => type)).toEqual([
+            'times',
+            'count',
+        ]);
+
+        worker.flush();
+        expect(onUpdate).toHaveBeenCalledWith(index);
+
+        const buckets = aggregator.getBuckets(
+            index,
+            'days',
+            d3.timeDay,
+            domain
+        );
+        expect(buckets.map(({ date, count }) => [date, count])).toEqual([
+            [new Date('2010-01-01T00:00:00'), 2],
+            [new Date('2010-01-03T00:00:00'), 1],
+        ]);
+        expect(buckets[1].events).toEqual([new Date('2010-01-03T10:00:00')]);
+    });
+
+    it('should revoke worker script URL once worker is constructed', () => {
+        const global = {
+            ...fakeGlobal,
+            URL: {
+                createObjectURL: () => 'blob:heatmap-worker',
+                revokeObjectURL: jest.fn(),
+            },
+        };
+
+        createHeatmapWorker(global, () => {});
+        expect(global.URL.revokeObjectURL).toHaveBeenCalledWith(
+            'blob:heatmap-worker'
+        );
+    });
+
+    it('should terminate failing worker and notify it', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const onUpdate = jest.fn();
+        const onError = jest.fn();
+        const aggregator = createHeatmapWorker(fakeGlobal, onUpdate, onError);
+        const worker = FakeWorker.instance;
+
+        expect(aggregator.getBuckets(index, 'days', d3.timeDay, domain)).toBe(
+            null
+        );
+
+        const error = new Error('Script error');
+        worker.onerror(error);
+        expect(worker.terminated).toBe(true);
+        expect(onError).toHaveBeenCalledWith(error);
+        expect(console.warn).toHaveBeenCalled();
+
+        // answers sent before failing are ignored
+        worker.flush();
+        expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should only request buckets missing from cache for each time scale', () => {
+        const aggregator = createHeatmapWorker(fakeGlobal, () => {});
+        const worker = FakeWorker.instance;
+
+        aggregator.getBuckets(index, 'days', d3.timeDay, domain);
+        worker.flush();
+
+        const pannedDomain = [
+            new Date('2010-01-02T00:00:00'),
+            new Date('2010-01-06T00:00:00'),
+        ];
+        expect(
+            aggregator.getBuckets(index, 'days', d3.timeDay, pannedDomain)
+        ).toBe(null);
+        expect(worker.messages[2].starts).toEqual([
+            +new Date('2010-01-04T00:00:00'),
+            +new Date('2010-01-05T00:00:00'),
+        ]);
+
+        aggregator.getBuckets(index, 'hours', d3.timeHour, domain);
+        expect(worker.messages[3].timeScale).toBe('hours');
+    });
+
+    it('should evict least recently used buckets from cache', () => {
+        const aggregator = createHeatmapWorker(fakeGlobal, () => {});
+        const worker = FakeWorker.instance;
+
+        aggregator.getBuckets(index, 'days', d3.timeDay, domain);
+        worker.flush();
+
+        // 2000 hours, the most buckets kept per row
+        const start = new Date('2010-01-10T00:00:00');
+        const hours = [start, d3.timeHour.offset(start, 2000)];
+        aggregator.getBuckets(index, 'hours', d3.timeHour, hours);
+        worker.flush();
+        expect(
+            aggregator.getBuckets(index, 'hours', d3.timeHour, hours)
+        ).toEqual([]);
+
+        expect(aggregator.getBuckets(index, 'days', d3.timeDay, domain)).toBe(
+            null
+        );
+        expect(worker.messages).toHaveLength(4);
+    });
+
+    it('should forget rows which are not displayed anymore', () => {
+        const aggregator = createHeatmapWorker(fakeGlobal, () => {});
+        const worker = FakeWorker.instance;
+
+        aggregator.getBuckets(index, 'days', d3.timeDay, domain);
+        aggregator.prune([]);
+
+        expect(worker.messages[2]).toEqual({ type: 'forget', rowId: 1 });
+
+        aggregator.terminate();
+        expect(worker.terminated).toBe(true);
+    });
+
+    it('should keep rendered buckets while worker is counting new ones', () => {
+        document.body.innerHTML = '<svg><g class="drops"></g></svg>';
+
+        const config = { ...defaultConfiguration(d3), d3 };
+        const xScale = d3
+            .scaleTime()
+            .domain(domain)
+            .range([0, 300]);
+        const selection = d3.select('.drops').datum(row);
+
+        const pending = { getBuckets: () => null };
+        const ready = {
+            getBuckets: () => [
+                { date: new Date('2010-01-01T00:00:00'), count: 2 },
+            ],
+        };
+
+        selection.call(
+            heatmap(config, xScale, 'extra', { heatmapWorker: ready })
+        );
+        expect(document.querySelectorAll('.heatmap-rect').length).toBe(1);
+
+        selection.call(
+            heatmap(config, xScale, 'extra', { heatmapWorker: pending })
+        );
+        expect(document.querySelectorAll('.heatmap-rect').length).toBe(1);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+        jest.restoreAllMocks();
+    });
+});
@@ -3,14 +3,98 @@ import defaultsDeep from 'lodash.defaultsdeep';
 import axis from './axis';
 import { getBreakpointLabel } from './breakpoint';
 import bounds from './bounds';
+import brush, { createBrush } from './brush';
+import applySelection, { addSelectionHandling } from './selection';
+import { addTooltipHandling, createTooltip } from './tooltip';
+import { createKeyboardNavigation } from './keyboard';
+import dataTable, { createDataTable } from './dataTable';
+import { getExportedSVG, rasterize } from './export';
+import serializeData, { getExportedRecords } from './exportData';
+import {
+    createHashSync,
+    findDrops,
+    getViewState,
+    normalizeState,
+} from './state';
+import {
+    addCanvasHitTesting,
+    createCanvasLayer,
+    moveCanvasLayer,
+    resizeCanvasLayer,
+} from './canvas';
 import defaultConfiguration from './config';
-import dropLine from './dropLine';
+import dropLine, { updateLines } from './dropLine';
 import zoomFactory from './zoom';
 import { getDomainTransform } from './zoom';
+import { createZoomHistory } from './zoomHistory';
+import zoomToolbar from './toolbar';
+import { createMinimap, getMinimapHeight } from './minimap';
+import { addIndicatorHandling } from './indicator';
+import { createCategoryLegend, createLegend, createSizeLegend } from './legend';
+import { createCategories } from './category';
+import { createSizes } from './size';
+import { addClusterHandling, createExpandedClusters } from './overlap';
+import {
+    addRowDragging,
+    getLinePositions,
+    getSiblingTarget,
+    moveRow,
+    sortRows,
+} from './rowOrder';
+import {
+    createVerticalScroll,
+    getVisibleLineCount,
+    getVisibleRows,
+} from './scroll';
 import { addMetaballsDefs } from './metaballs';
+import {
+    addGroupHandling,
+    getAllRows,
+    getDisplayedLine,
+    getDisplayedRows,
+    getGroupData,
+    getGroups,
+    getLeafRows,
+    getRootRows,
+    getShownRows,
+    isGroup,
+} from './groups';
 
 import './style.css';
-import { withinRange } from './withinRange';
+import { getDropIndex, sliceDrops } from './dropIndex';
+import { createHeatmapSource } from './heatmapSource';
+import { createHeatmapWorker } from './heatmapWorker';
+import { createLoader, isLoader } from './loader';
+
+const loadRow = config => row => {
+    if (isGroup(row)) {
+        row.fullData = getGroupData(row, loadRow(config));
+        return row;
+    }
+
+    if (!row.fullData) {
+        // lazy loaded rows start empty, drops are added as periods get loaded
+        row.fullData = isLoader(config.drops) ? [] : config.drops(row);
+        if (!row.fullData) {
+            throw new Error(
+                'No drops data has been found. It looks by default in the `data` property. You can use the `drops` configuration parameter to tune it.'
+            );
+        }
+    }
+
+    return row;
+};
+
+const filterRow = (config, dateBounds) => row => {
+    const { drop: { date: dropDate, endDate: dropEndDate } } = config;
+
+    loadRow(config)(row);
+
+    // sorted index is only rebuilt when `row.fullData` changes, hence binary search at each zoom
+    row.data = sliceDrops(getDropIndex(row, dropDate, dropEndDate), dateBounds);
+
+    return row;
+};
 
 // do not export anything else here to keep window.eventDrops as a function
 export default ({
@@ -32,13 +116,36 @@ export default ({
         const {
             drops,
             zoom: zoomConfig,
-            drop: { onClick, onMouseOut, onMouseOver },
+            drop: {
+                onClick,
+                onMouseOut,
+                onMouseOver,
+                category: dropCategory,
+                size: dropSize,
+                overlap,
+            },
             metaballs,
-            label: { width: labelWidth },
+            label: { width: labelWidth, padding: labelPadding },
             line: { height: lineHeight },
             range: { start: rangeStart, end: rangeEnd },
             margin,
             breakpoints,
+            renderer,
+            heatmap: { worker: heatmapWorker, source: heatmapSource },
+            brush: brushConfig,
+            selection: { enabled: selectionEnabled, onSelectionChange },
+            tooltip: tooltipConfig,
+            keyboard: keyboardConfig,
+            dataTable: dataTableConfig,
+            hash: hashConfig,
+            minimap: minimapConfig,
+            indicator: indicatorConfig,
+            group: groupConfig,
+            maxHeight,
+            rows: rowsConfig,
+            legend: legendConfig,
+            category: categoryConfig,
+            size: sizeConfig,
         } = config;
 
         const getEvent = () => d3.event; // keep d3.event mutable see https://github.com/d3/d3/issues/2733
@@ -65,8 +172,49 @@ export default ({
 
         const height = parseFloat(svg.style('height'));
 
+        const zoom = zoomConfig ? d3.zoom() : null;
+        const zoomHistory = zoomConfig
+            ? createZoomHistory(xScale.domain(), zoomConfig.historyLength, () =>
+                  chart._redrawToolbar()
+              )
+            : null;
+
         if (zoomConfig) {
-            const zoom = d3.zoom();
+            if (maxHeight) {
+                // wheel scrolls lines, ctrl + wheel zooms
+                const zoomFilter = zoom.filter();
+                zoom.filter(function(ev) {
+                    return (
+                        (ev.type !== 'wheel' || ev.ctrlKey) &&
+                        zoomFilter.apply(this, arguments)
+                    );
+                });
+            }
+
+            if (rowsConfig.draggable) {
+                // labels are dragged to reorder rows
+                const zoomFilter = zoom.filter();
+                zoom.filter(function(ev) {
+                    return (
+                        !(
+                            ev.target.closest &&
+                            ev.target.closest('.line-label')
+                        ) && zoomFilter.apply(this, arguments)
+                    );
+                });
+            }
+
+            if (brushConfig) {
+                // let brush handle its own gestures
+                const zoomFilter = zoom.filter();
+                zoom.filter(function(ev) {
+                    return (
+                        !chart._state.brush.isGesture(ev) &&
+                        zoomFilter.apply(this, arguments)
+                    );
+                });
+            }
+
             svg.call(
                 zoomFactory(
                     d3,
@@ -77,10 +225,19 @@ export default ({
                     draw,
                     getEvent,
                     width,
-                    height
+                    height,
+                    zoomHistory
                 )
             );
 
+            zoom.on('end.dataTable', () => chart._updateDataTable());
+            zoom.on('end.hash', () => {
+                if (chart._state.hash) {
+                    chart._state.hash.push();
+                }
+            });
+            zoom.on('end.sort', () => chart._sortRows());
+
             chart._zoomToDomain = (domain, duration, delay, ease) => {
                 const zoomIdentity = getDomainTransform(
                     d3,
@@ -98,22 +255,658 @@ export default ({
             };
         }
 
+        chart._getTransform = () =>
+            zoom ? d3.zoomTransform(svg.node()) : null;
+
+        // restore a view at once, without any transition
+        chart._setView = (domain, transform) => {
+            if (zoom) {
+                svg.call(
+                    zoom.transform,
+                    domain
+                        ? getDomainTransform(d3, config, domain, xScale, width)
+                        : d3.zoomIdentity
+                              .translate(transform.x, transform.y)
+                              .scale(transform.k)
+                );
+                return;
+            }
+
+            if (!domain) {
+                return;
+            }
+
+            svg
+                .select('.viewport')
+                .call(draw(config, xScale.copy().domain(domain)));
+            chart._updateDataTable();
+        };
+
+        chart._zoomHistory = zoomHistory;
+
+        chart._redrawToolbar = () => {
+            if (!zoomConfig || !zoomConfig.toolbar) {
+                return;
+            }
+
+            // zoom around the center of the drawing area
+            const center = [
+                labelWidth + labelPadding + (width - labelWidth) / 2,
+                0,
+            ];
+
+            svg.call(
+                zoomToolbar(
+                    config,
+                    {
+                        back: chart.zoomBack,
+                        forward: chart.zoomForward,
+                        zoomIn: () => svg.call(zoom.scaleBy, 2, center),
+                        zoomOut: () => svg.call(zoom.scaleBy, 0.5, center),
+                        reset: chart.resetZoom,
+                    },
+                    action =>
+                        (action === 'back' && !zoomHistory.canGoBack()) ||
+                        (action === 'forward' && !zoomHistory.canGoForward())
+                )
+            );
+        };
+
+        chart._redrawToolbar();
+
         if (metaballs) {
             svg.call(addMetaballsDefs(config));
         }
 
-        svg
-            .merge(root)
-            .attr(
-                'height',
-                d => (d.length + 1) * lineHeight + margin.top + margin.bottom
+        const getLineCount = rows =>
+            getVisibleLineCount(config, getDisplayedRows(rows).length);
+
+        const getHeight = rows =>
+            (getLineCount(rows) + 1) * lineHeight +
+            margin.top +
+            margin.bottom +
+            getMinimapHeight(config);
+
+        svg.merge(root).attr('height', getHeight);
+
+        // worker and loader are created again at each initialization (e.g. on resize)
+        disposeState();
+
+        const previousState = chart._state || {};
+        chart._state = {
+            // selected drops are kept on resize
+            selection: previousState.selection || new Set(),
+            // rows reordered by hand are not sorted again, even on resize
+            manualOrder: !!previousState.manualOrder,
+        };
+        chart._config = config;
+        chart._svg = svg;
+
+        if (dropCategory) {
+            // category styles and hidden categories are kept on resize
+            chart._state.categories =
+                previousState.categories || createCategories(config);
+        }
+
+        if (dropSize) {
+            chart._state.sizes = createSizes(config);
+        }
+
+        if (overlap === 'cluster') {
+            // expanded clusters are kept on resize
+            chart._state.expandedClusters =
+                previousState.expandedClusters || createExpandedClusters();
+            svg.call(
+                addClusterHandling(d3, (cluster, row) =>
+                    chart._expandCluster(cluster, row)
+                )
+            );
+        }
+
+        if (renderer === 'canvas') {
+            const canvas = createCanvasLayer(selection);
+            svg.call(
+                addCanvasHitTesting(d3, config, canvas, (cluster, row) =>
+                    chart._expandCluster(cluster, row)
+                )
+            );
+            chart._state.canvas = canvas;
+        }
+
+        // legends at `top` position are added above the SVG, hence before canvas layout
+        if (legendConfig) {
+            chart._state.legend = createLegend(config, selection.node(), {
+                onToggle: row => chart._toggleRow(row),
+            });
+        }
+
+        if (dropCategory && categoryConfig.legend) {
+            chart._state.categoryLegend = createCategoryLegend(
+                config,
+                selection.node(),
+                { onToggle: category => chart._toggleCategory(category) }
+            );
+        }
+
+        if (dropSize && sizeConfig.legend) {
+            chart._state.sizeLegend = createSizeLegend(
+                config,
+                selection.node()
+            );
+        }
+
+        // drops area position in the container, which may be preceded by legends
+        const getCanvasPosition = () => {
+            const containerBox = selection.node().getBoundingClientRect();
+            const svgBox = svg.node().getBoundingClientRect();
+
+            return {
+                left:
+                    svgBox.left - containerBox.left + margin.left + labelWidth,
+                top: svgBox.top - containerBox.top + margin.top,
+            };
+        };
+
+        const layoutCanvas = rows => {
+            const { canvas } = chart._state;
+            if (!canvas) {
+                return;
+            }
+
+            resizeCanvasLayer(
+                canvas,
+                {
+                    ...getCanvasPosition(),
+                    width: width - labelWidth,
+                    height: getLineCount(rows) * lineHeight,
+                },
+                global.devicePixelRatio || 1
+            );
+        };
+
+        layoutCanvas(selection.datum());
+
+        if (maxHeight) {
+            chart._state.scroll = createVerticalScroll(config, svg, {
+                // keep scroll position on resize
+                first: previousState.scroll ? previousState.scroll.first : 0,
+                width,
+                onScroll: () =>
+                    svg.select('.viewport').call(draw(config, chart._scale)),
+            });
+        }
+
+        if (brushConfig) {
+            chart._state.brush = createBrush(
+                config,
+                () => chart._scale,
+                () => chart._filteredData
+            );
+
+            // keep brushed period on resize
+            if (previousState.brush) {
+                chart._state.brush.extent = previousState.brush.extent;
+                chart._state.brush.enabled = previousState.brush.enabled;
+            }
+        }
+
+        chart._redrawBrush = () => {
+            if (chart._state.brush) {
+                svg.call(brush(config, chart._scale, chart._state.brush));
+            }
+        };
+
+        chart._refreshSelection = () => {
+            if (chart._state.canvas) {
+                chart._redrawLines(chart._filteredData);
+                return;
+            }
+
+            svg
+                .selectAll('.drops')
+                .call(applySelection(chart._state.selection));
+        };
+
+        if (selectionEnabled) {
+            svg.call(
+                addSelectionHandling(d3, chart._state, () => {
+                    chart._refreshSelection();
+                    if (chart._state.hash) {
+                        chart._state.hash.replace();
+                    }
+                    if (onSelectionChange) {
+                        onSelectionChange(chart.selection());
+                    }
+                })
             );
+        }
+
+        chart._toggleGroup = (group, collapsed) => {
+            group.collapsed =
+                collapsed === undefined ? !group.collapsed : !!collapsed;
+
+            // chart height changes along with the number of displayed lines
+            chart._setRows(chart._rows);
+            if (chart._state.hash) {
+                chart._state.hash.replace();
+            }
+
+            if (groupConfig && groupConfig.onToggleGroup) {
+                groupConfig.onToggleGroup(group, group.collapsed);
+            }
+        };
+
+        if (groupConfig) {
+            svg.call(addGroupHandling(d3, group => chart._toggleGroup(group)));
+        }
+
+        if (indicatorConfig && zoom) {
+            svg.call(
+                addIndicatorHandling(
+                    d3,
+                    config,
+                    () => chart._scale,
+                    chart.zoomToDomain
+                )
+            );
+        }
+
+        if (tooltipConfig) {
+            chart._state.tooltip = createTooltip(
+                config,
+                selection.node(),
+                global
+            );
+            svg.call(addTooltipHandling(d3, chart._state));
+        }
+
+        if (keyboardConfig) {
+            chart._state.keyboard = createKeyboardNavigation(
+                config,
+                svg,
+                selection.node(),
+                {
+                    state: chart._state,
+                    getScale: () => chart._scale,
+                    zoom,
+                    zoomHistory: zoom
+                        ? {
+                              back: chart.zoomBack,
+                              forward: chart.zoomForward,
+                              reset: chart.resetZoom,
+                          }
+                        : null,
+                    scrollBy: chart._state.scroll
+                        ? chart._state.scroll.scrollBy
+                        : null,
+                    expandCluster:
+                        overlap === 'cluster'
+                            ? (cluster, row) =>
+                                  chart._expandCluster(cluster, row)
+                            : null,
+                }
+            );
+        }
+
+        if (dataTableConfig) {
+            chart._state.dataTable = createDataTable(config, selection.node());
+
+            // keep table visibility on resize
+            if (previousState.dataTable) {
+                chart._state.dataTable.visible =
+                    previousState.dataTable.visible;
+            }
+        }
+
+        if (minimapConfig) {
+            chart._state.minimap = createMinimap(config, svg, {
+                scale: xScale,
+                breakpointLabel: chart.currentBreakpointLabel,
+                // follow dragged window, zoom being updated once dragging ends
+                onPreview: domain =>
+                    svg
+                        .select('.viewport')
+                        .call(draw(config, xScale.copy().domain(domain))),
+                onChange: domain => chart._setView(domain),
+            });
+        }
+
+        chart._redrawLegend = () => {
+            if (chart._state.legend) {
+                chart._state.legend.draw(getAllRows(chart._rows));
+            }
+
+            const { categories, categoryLegend } = chart._state;
+            if (categoryLegend) {
+                // categories of all drops are listed, not only visible ones
+                getLeafRows(chart._rows).forEach(row =>
+                    categories.register(loadRow(config)(row).fullData)
+                );
+                categoryLegend.draw(categories.list());
+            }
+
+            if (chart._state.sizeLegend) {
+                chart._state.sizeLegend.draw(chart._state.sizes);
+            }
+
+            // legend entries above the SVG may have moved it
+            if (chart._state.canvas) {
+                moveCanvasLayer(chart._state.canvas, getCanvasPosition());
+            }
+        };
+
+        chart._expandCluster = (cluster, row) => {
+            chart._state.expandedClusters.expand(
+                cluster,
+                chart._scale.domain()
+            );
+            chart._redrawLines([row]);
+        };
+
+        chart._toggleCategory = (category, hidden) => {
+            chart._state.categories.toggle(category, hidden);
+            chart._setRows(chart._rows);
+        };
+
+        chart._toggleRow = (row, hidden) => {
+            row.hidden = hidden === undefined ? !row.hidden : !!hidden;
+
+            // chart height changes along with the number of displayed lines
+            chart._setRows(chart._rows);
+            if (chart._state.hash) {
+                chart._state.hash.replace();
+            }
+        };
+
+        chart._redrawMinimap = () => {
+            if (chart._state.minimap) {
+                chart._state.minimap.draw(
+                    chart._filteredData,
+                    getVisibleLineCount(config, chart._filteredData.length)
+                );
+            }
+        };
+
+        chart._updateDataTable = () => {
+            const { dataTable: dataTableState } = chart._state;
+            if (!dataTableState) {
+                return;
+            }
+
+            d3
+                .select(dataTableState.node)
+                .datum(chart._filteredData)
+                .call(
+                    dataTable(
+                        config,
+                        chart._scale,
+                        chart.currentBreakpointLabel,
+                        chart._state
+                    )
+                );
+        };
+
+        if (isLoader(drops)) {
+            chart._state.loader = createLoader(drops, rows =>
+                chart._redrawLines(rows)
+            );
+        }
+
+        if (typeof heatmapSource === 'function') {
+            chart._state.heatmapSource = createHeatmapSource(
+                heatmapSource,
+                row => {
+                    if (chart._filteredData.includes(row)) {
+                        chart._redrawLines([row]);
+                    }
+                }
+            );
+        }
+
+        if (heatmapWorker) {
+            // redraw lines whose buckets just arrived from the worker
+            chart._state.heatmapWorker = createHeatmapWorker(
+                global,
+                index =>
+                    chart._redrawLines(
+                        chart._filteredData.filter(
+                            row => row._dropIndex === index
+                        )
+                    ),
+                () => {
+                    // buckets are aggregated on main thread from now on
+                    chart._state.heatmapWorker = null;
+                    chart._redrawLines(chart._filteredData);
+                }
+            );
+        }
+
+        chart._redrawLines = rows => {
+            const scale = chart._scale;
+            const dateBounds = scale.domain().map(d => new Date(d));
+
+            // rows hidden in a collapsed group are redrawn through this group, while
+            // rows which are not part of the chart anymore (e.g. after `setRows`) are ignored
+            const lines = [
+                ...new Set(
+                    rows.map(row =>
+                        getDisplayedLine(chart._state.groupParents, row)
+                    )
+                ),
+            ].filter(line => chart._filteredData.includes(line));
+            lines.forEach(filterRow(config, dateBounds));
+
+            // added drops may change the radius of all drops, sized by value
+            const { sizes } = chart._state;
+            if (sizes && sizes.update(getLeafRows(chart._rows))) {
+                chart._setRows(chart._rows);
+                return;
+            }
+
+            svg
+                .selectAll('.drop-line')
+                .filter(row => lines.includes(row))
+                .call(
+                    updateLines(
+                        config,
+                        scale,
+                        chart.currentBreakpointLabel,
+                        chart._state
+                    )
+                );
+
+            chart._redrawMinimap();
+            chart._redrawLegend();
+            chart._updateDataTable();
+        };
+
+        // draws reordered rows, lines sliding from their current position
+        const reorderRows = rows => {
+            chart._state.lineTransition = {
+                duration: rowsConfig.duration,
+                positions: getLinePositions(svg),
+            };
+            chart._setRows(rows);
+            chart._state.lineTransition = null;
+
+            if (rowsConfig.onRowOrderChange) {
+                rowsConfig.onRowOrderChange(chart._rows);
+            }
+        };
+
+        chart._sortRows = () => {
+            if (!rowsConfig.sort || chart._state.manualOrder) {
+                return;
+            }
+
+            const displayedRows = chart._filteredData;
+            const rows = sortRows(
+                config,
+                chart._rows,
+                chart._scale.domain(),
+                loadRow(config)
+            );
+
+            const sortedRows = getDisplayedRows(rows);
+            if (sortedRows.some((row, index) => row !== displayedRows[index])) {
+                reorderRows(rows);
+            }
+        };
+
+        chart._moveRow = (row, target) => {
+            const group = chart._state.groupParents.get(row);
+            const siblings = group ? group.children : chart._rows;
+            const sibling = getSiblingTarget(
+                chart._state.groupParents,
+                row,
+                target
+            );
+
+            if (!sibling || sibling === row) {
+                // put dragged line back in place
+                chart._setRows(chart._rows);
+                return;
+            }
+
+            // sorting would undo the order chosen by the user
+            chart._state.manualOrder = true;
+
+            const reordered = moveRow(siblings, row, siblings.indexOf(sibling));
+            if (!group) {
+                reorderRows(reordered);
+                return;
+            }
+
+            group.children = reordered;
+            reorderRows(chart._rows);
+        };
+
+        if (rowsConfig.draggable) {
+            svg.call(
+                addRowDragging(d3, config, (row, target) =>
+                    chart._moveRow(row, target)
+                )
+            );
+        }
+
+        chart._setRows = rows => {
+            // keep container data in sync, as it is used again on resize
+            selection.datum(rows);
+            svg.datum(rows).attr('height', getHeight);
+            layoutCanvas(rows);
+
+            // current scale is kept, hence current zoom transform too
+            svg
+                .select('.viewport')
+                .datum(rows)
+                .call(draw(config, chart._scale));
+
+            chart._redrawMinimap();
+            chart._redrawLegend();
+            chart._updateDataTable();
+        };
+
+        if (rowsConfig.sort && !chart._state.manualOrder) {
+            const sortedRows = sortRows(
+                config,
+                selection.datum(),
+                xScale.domain(),
+                loadRow(config)
+            );
+            selection.datum(sortedRows);
+            svg.datum(sortedRows);
+        }
 
         svg
             .append('g')
             .classed('viewport', true)
             .attr('transform', `translate(${margin.left},${margin.top})`)
             .call(draw(config, xScale));
+
+        chart._redrawMinimap();
+        chart._redrawLegend();
+        chart._updateDataTable();
+
+        if (hashConfig) {
+            chart._state.hash = createHashSync(
+                config,
+                global,
+                chart.getState,
+                chart.setState
+            );
+            chart._state.hash.restore();
+        }
+    };
+
+    const disposeState = () => {
+        if (!chart._state) {
+            return;
+        }
+
+        if (chart._state.canvas) {
+            chart._state.canvas.remove();
+            chart._state.canvas = null;
+        }
+
+        if (chart._state.heatmapWorker) {
+            chart._state.heatmapWorker.terminate();
+            chart._state.heatmapWorker = null;
+        }
+
+        if (chart._state.heatmapSource) {
+            chart._state.heatmapSource.cancel();
+            chart._state.heatmapSource = null;
+        }
+
+        if (chart._state.loader) {
+            chart._state.loader.cancel();
+            chart._state.loader = null;
+        }
+
+        if (chart._state.tooltip) {
+            chart._state.tooltip.remove();
+            chart._state.tooltip = null;
+        }
+
+        if (chart._state.keyboard) {
+            chart._state.keyboard.remove();
+            chart._state.keyboard = null;
+        }
+
+        if (chart._state.dataTable) {
+            chart._state.dataTable.remove();
+            chart._state.dataTable = null;
+        }
+
+        if (chart._state.hash) {
+            chart._state.hash.remove();
+            chart._state.hash = null;
+        }
+
+        if (chart._state.minimap) {
+            chart._state.minimap.remove();
+            chart._state.minimap = null;
+        }
+
+        if (chart._state.legend) {
+            chart._state.legend.remove();
+            chart._state.legend = null;
+        }
+
+        if (chart._state.categoryLegend) {
+            chart._state.categoryLegend.remove();
+            chart._state.categoryLegend = null;
+        }
+
+        if (chart._state.sizeLegend) {
+            chart._state.sizeLegend.remove();
+            chart._state.sizeLegend = null;
+        }
+
+        // scroll state is kept, so that scroll position survives resize
+        if (chart._state.scroll) {
+            chart._state.scroll.remove();
+        }
     };
 
     const chart = selection => {
@@ -139,48 +932,449 @@ export default ({
             );
         }
     };
+
     chart.destroy = (callback = () => {}) => {
         global.removeEventListener('resize', chart._initialize, true);
+        disposeState();
         callback();
     };
 
-    const draw = (config, scale) => selection => {
-        const { drop: { date: dropDate } } = config;
+    const getRow = rowName => {
+        const row = getLeafRows(chart._rows).find(
+            ({ name }) => name === rowName
+        );
+        if (!row) {
+            throw new Error(`No row named "${rowName}" has been found.`);
+        }
+
+        return row;
+    };
+
+    const requireDrawnChart = methodName => {
+        if (typeof chart._redrawLines !== 'function') {
+            throw new Error(
+                `Calling "${methodName}" requires the chart to be drawn first.`
+            );
+        }
+    };
+
+    const requireZoom = methodName => {
+        requireDrawnChart(methodName);
+        if (!chart._zoomHistory) {
+            throw new Error(
+                `Calling "${methodName}" requires zooming to be enabled.`
+            );
+        }
+    };
+
+    chart.zoomBack = () => {
+        requireZoom('zoomBack');
+        return chart._zoomHistory.go(-1, domain => chart._setView(domain));
+    };
+    chart.zoomForward = () => {
+        requireZoom('zoomForward');
+        return chart._zoomHistory.go(1, domain => chart._setView(domain));
+    };
+    chart.resetZoom = () => {
+        requireZoom('resetZoom');
+        chart._setView(null, d3.zoomIdentity);
+    };
+
+    chart.addDrops = (rowName, drops) => {
+        requireDrawnChart('addDrops');
+
+        const row = getRow(rowName);
+        row.fullData = row.fullData.concat(drops);
+
+        chart._redrawLines([row]);
+    };
+    chart.removeDrops = predicate => {
+        requireDrawnChart('removeDrops');
+
+        const updatedRows = getLeafRows(chart._rows).filter(row => {
+            const fullData = row.fullData.filter(d => !predicate(d, row));
+            if (fullData.length === row.fullData.length) {
+                return false;
+            }
+
+            row.fullData = fullData;
+            return true;
+        });
+
+        pruneSelection();
+        chart._redrawLines(updatedRows);
+    };
+    chart.setRows = rows => {
+        requireDrawnChart('setRows');
+        chart._state.manualOrder = false;
+        chart._setRows(rows);
+        chart._sortRows();
+        pruneSelection();
+    };
+
+    // forget selected drops which are not part of the chart anymore
+    const pruneSelection = () => {
+        const { selection } = chart._state;
+        const drops = new Set();
+        getLeafRows(chart._rows).forEach(row =>
+            row.fullData.forEach(d => drops.add(d))
+        );
+
+        [...selection]
+            .filter(d => !drops.has(d))
+            .forEach(d => selection.delete(d));
+    };
+
+    chart.selection = () => {
+        requireDrawnChart('selection');
+        return [...chart._state.selection];
+    };
+    chart.select = predicate => {
+        requireDrawnChart('select');
+
+        const { selection } = chart._state;
+        selection.clear();
+        getLeafRows(chart._rows).forEach(row =>
+            row.fullData
+                .filter(d => predicate(d, row))
+                .forEach(d => selection.add(d))
+        );
+
+        chart._refreshSelection();
+    };
+
+    chart.toggleGroup = (groupName, collapsed) => {
+        requireDrawnChart('toggleGroup');
+
+        const group = getGroups(chart._rows).find(
+            ({ name }) => name === groupName
+        );
+        if (!group) {
+            throw new Error(`No group named "${groupName}" has been found.`);
+        }
+
+        chart._toggleGroup(group, collapsed);
+    };
+
+    chart.scrollToRow = rowName => {
+        requireDrawnChart('scrollToRow');
+
+        const { scroll } = chart._state;
+        if (!scroll) {
+            throw new Error(
+                'Calling "scrollToRow" requires maxHeight to be set.'
+            );
+        }
+
+        const index = chart._filteredData.findIndex(
+            ({ name }) => name === rowName
+        );
+        if (index === -1) {
+            throw new Error(`No row named "${rowName}" has been found.`);
+        }
+
+        const visibleCount = getVisibleLineCount(
+            chart._config,
+            chart._filteredData.length
+        );
+        if (index < scroll.first) {
+            scroll.scrollTo(index);
+        } else if (index >= scroll.first + visibleCount) {
+            scroll.scrollTo(index - visibleCount + 1);
+        }
+    };
+
+    const findRow = (methodName, rowName) => {
+        requireDrawnChart(methodName);
+
+        const row = getAllRows(chart._rows).find(
+            ({ name }) => name === rowName
+        );
+        if (!row) {
+            throw new Error(`No row named "${rowName}" has been found.`);
+        }
+
+        return row;
+    };
+
+    chart.hideRow = rowName => {
+        chart._toggleRow(findRow('hideRow', rowName), true);
+    };
+    chart.showRow = rowName => {
+        chart._toggleRow(findRow('showRow', rowName), false);
+    };
+    chart.visibleRows = () => {
+        requireDrawnChart('visibleRows');
+        return getShownRows(chart._rows);
+    };
+
+    chart.toggleCategory = (category, hidden) => {
+        requireDrawnChart('toggleCategory');
+        if (!chart._state.categories) {
+            throw new Error(
+                'Calling "toggleCategory" requires drop.category to be set.'
+            );
+        }
+
+        chart._toggleCategory(category, hidden);
+    };
+
+    const requireBrush = methodName => {
+        requireDrawnChart(methodName);
+        if (!chart._state.brush) {
+            throw new Error(
+                `Calling "${methodName}" requires brush to be enabled.`
+            );
+        }
+    };
+
+    chart.brush = extent => {
+        requireBrush('brush');
+
+        const times = extent.map(d => new Date(d).getTime());
+        chart._state.brush.extent = [
+            new Date(Math.min(...times)),
+            new Date(Math.max(...times)),
+        ];
+        chart._redrawBrush();
+    };
+    chart.clearBrush = () => {
+        requireBrush('clearBrush');
+
+        chart._state.brush.extent = null;
+        chart._redrawBrush();
+    };
+    chart.brushMode = enabled => {
+        requireBrush('brushMode');
 
+        chart._state.brush.enabled = !!enabled;
+        chart._redrawBrush();
+    };
+
+    chart.toggleDataTable = visible => {
+        requireDrawnChart('toggleDataTable');
+
+        const { dataTable: dataTableState } = chart._state;
+        if (!dataTableState) {
+            throw new Error(
+                'Calling "toggleDataTable" requires dataTable to be enabled.'
+            );
+        }
+
+        dataTableState.visible =
+            visible === undefined ? !dataTableState.visible : !!visible;
+        chart._updateDataTable();
+    };
+
+    const getExportedNode = options =>
+        getExportedSVG(
+            chart._config,
+            chart._svg.node(),
+            chart._state,
+            options,
+            global
+        );
+
+    const serialize = node =>
+        new global.XMLSerializer().serializeToString(node);
+
+    chart.toSVGString = (options = {}) => {
+        requireDrawnChart('toSVGString');
+        return serialize(getExportedNode(options));
+    };
+    chart.toPNG = ({ scale = 1, ...options } = {}) => {
+        requireDrawnChart('toPNG');
+
+        const node = getExportedNode(options);
+        return rasterize(
+            serialize(node),
+            +node.getAttribute('width'),
+            +node.getAttribute('height'),
+            scale,
+            global
+        );
+    };
+
+    chart.exportData = ({ format = 'csv', ...options } = {}) => {
+        requireDrawnChart('exportData');
+
+        return serializeData(
+            format,
+            getExportedRecords(
+                chart._config,
+                chart._scale,
+                chart.currentBreakpointLabel,
+                chart._state,
+                chart._filteredData,
+                options
+            )
+        );
+    };
+
+    chart.getState = () => {
+        requireDrawnChart('getState');
+
+        return getViewState(
+            chart._config,
+            chart._scale,
+            chart.currentBreakpointLabel,
+            chart._state,
+            chart._filteredData,
+            chart._getTransform(),
+            chart._rows
+        );
+    };
+    chart.setState = viewState => {
+        requireDrawnChart('setState');
+
+        const {
+            domain,
+            transform,
+            selection,
+            hiddenRows,
+            collapsedGroups,
+            brush: brushState,
+        } = normalizeState(viewState);
+
+        // displayed lines are restored first, as selection is looked for among them
+        if (collapsedGroups) {
+            getGroups(chart._rows)
+                .filter(
+                    group =>
+                        !!group.collapsed !==
+                        collapsedGroups.includes(group.name)
+                )
+                .forEach(group =>
+                    chart._toggleGroup(
+                        group,
+                        collapsedGroups.includes(group.name)
+                    )
+                );
+        }
+
+        if (hiddenRows) {
+            const changedRows = getAllRows(chart._rows).filter(
+                row => !!row.hidden !== hiddenRows.includes(row.name)
+            );
+            changedRows.forEach(row => {
+                row.hidden = hiddenRows.includes(row.name);
+            });
+            if (changedRows.length) {
+                chart._setRows(chart._rows);
+            }
+        }
+
+        if (domain || transform) {
+            chart._setView(domain, transform);
+        }
+
+        if (selection) {
+            const { selection: selectedDrops } = chart._state;
+            selectedDrops.clear();
+            findDrops(chart._config, chart._filteredData, selection).forEach(
+                d => selectedDrops.add(d)
+            );
+            chart._refreshSelection();
+        }
+
+        if (brushState && chart._state.brush) {
+            chart._state.brush.extent = brushState.extent;
+            chart._state.brush.enabled = !!brushState.enabled;
+            chart._redrawBrush();
+        }
+    };
+
+    const draw = (config, scale) => selection => {
         const dateBounds = scale.domain().map(d => new Date(d));
-        const filteredData = selection.data().map(dataSet => {
+        const groupParents = new WeakMap();
+        const rows = selection.data().map(dataSet => {
             if (!Array.isArray(dataSet)) {
                 throw new Error(
                     'Selection data is not an array. Are you sure you provided an array of arrays to `data` function?'
                 );
             }
 
-            return dataSet.map(row => {
-                if (!row.fullData) {
-                    row.fullData = config.drops(row);
-                    if (!row.fullData) {
-                        throw new Error(
-                            'No drops data has been found. It looks by default in the `data` property. You can use the `drops` configuration parameter to tune it.'
-                        );
-                    }
-                }
-
-                row.data = row.fullData.filter(d =>
-                    withinRange(dropDate(d), dateBounds)
-                );
+            // rows bound by previous draw leave hidden rows (and rows scrolled out of
+            // view) out, unlike chart rows
+            const { boundRows } = chart._state;
+            return boundRows && boundRows.visible === dataSet
+                ? boundRows.roots
+                : getRootRows(dataSet);
+        });
+        const filteredData = rows.map(dataSet => {
+            // displayed rows are bound as is, so that hidden ones can be found again
+            const displayedRows = getDisplayedRows(dataSet, groupParents);
+            displayedRows.forEach(filterRow(config, dateBounds));
 
-                return row;
-            });
+            return displayedRows;
         });
 
         chart._scale = scale;
+        chart._rows = rows[0];
+        // rows hidden from the start are not filtered, but their drops can still be
+        // added, removed or selected
+        getLeafRows(chart._rows).forEach(loadRow(config));
         chart._filteredData = filteredData[0];
+        chart._state.groupParents = groupParents;
+
+        const { scroll } = chart._state;
+        if (scroll) {
+            scroll.update(chart._filteredData.length);
+        }
+
+        if (chart._state.sizes) {
+            chart._state.sizes.update(getLeafRows(chart._rows));
+        }
+
+        if (chart._state.loader) {
+            // rows of collapsed groups are loaded too, as their drops are merged
+            chart._state.loader.update(
+                getShownRows(chart._rows).filter(row => !isGroup(row)),
+                scale.domain()
+            );
+        }
+
+        // clusters collapse once zoom level changes
+        if (chart._state.expandedClusters) {
+            chart._state.expandedClusters.update(scale.domain());
+        }
+
+        if (chart._state.heatmapWorker) {
+            chart._state.heatmapWorker.prune(
+                chart._filteredData.map(row => row._dropIndex)
+            );
+        }
+
+        // only lines fitting in `maxHeight` are rendered
+        const visibleRows = filteredData.map(dataSet =>
+            getVisibleRows(config, dataSet, scroll ? scroll.first : 0)
+        );
+        chart._state.boundRows = {
+            roots: chart._rows,
+            displayed: chart._filteredData,
+            visible: visibleRows[0],
+        };
 
         selection
-            .data(filteredData)
+            .data(visibleRows)
             .call(axis(d3, config, scale, chart.currentBreakpointLabel))
-            .call(dropLine(config, scale, chart.currentBreakpointLabel))
+            .call(
+                dropLine(
+                    config,
+                    scale,
+                    chart.currentBreakpointLabel,
+                    chart._state
+                )
+            )
             .call(bounds(config, scale));
+
+        if (chart._state.brush) {
+            selection.call(brush(config, scale, chart._state.brush));
+        }
+
+        if (chart._state.minimap) {
+            chart._state.minimap.update(scale.domain());
+        }
     };
 
     chart.draw = draw;
@@ -83,6 +83,92 @@ describe('EventDrops', () => {
         expect(drops.length).toBe(2);
     });
 
+    it('should paint drops on a canvas instead of SVG circles when using canvas renderer', () => {
+        const context = {
+            setTransform: jest.fn(),
+            clearRect: jest.fn(),
+            beginPath: jest.fn(),
+            arc: jest.fn(),
+            fill: jest.fn(),
+        };
+        jest
+            .spyOn(HTMLCanvasElement.prototype, 'getContext')
+            .mockImplementation(() => context);
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1000);
+
+        const chart = EventDrops({
+            renderer: 'canvas',
+            range: {
+                start: new Date('2010-01-01T00:00:00'),
+                end: new Date('2010-01-01T12:00:00'),
+            },
+        });
+
+        const root = d3.select('div').data([
+            [
+                {
+                    data: [
+                        new Date('2010-01-01T02:00:00'),
+                        new Date('2010-01-01T06:00:00'),
+                    ],
+                },
+            ],
+        ]);
+
+        root.call(chart);
+
+        expect(document.querySelectorAll('canvas').length).toBe(1);
+        expect(document.querySelectorAll('.drop').length).toBe(0);
+        expect(context.arc).toHaveBeenCalledTimes(2);
+
+        chart.destroy();
+        expect(document.querySelectorAll('canvas').length).toBe(0);
+    });
+
+    it('should lay canvas out below legends displayed above the SVG', () => {
+        jest
+            .spyOn(HTMLCanvasElement.prototype, 'getContext')
+            .mockImplementation(() => null);
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1000);
+        // SVG is pushed down by legend entries above it
+        jest
+            .spyOn(Element.prototype, 'getBoundingClientRect')
+            .mockImplementation(function() {
+                const top =
+                    this.tagName === 'svg'
+                        ? document.querySelectorAll('.event-drops-legend li')
+                              .length * 20
+                        : 0;
+                return { left: 0, top };
+            });
+
+        const chart = EventDrops({
+            renderer: 'canvas',
+            legend: { position: 'top' },
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+        });
+
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data: [] }, { name: 'bar', data: [] }]])
+            .call(chart);
+
+        const canvas = document.querySelector('canvas');
+        expect(canvas.previousSibling.tagName).toBe('svg');
+        expect(canvas.style.top).toBe('60px');
+
+        chart.hideRow('bar');
+        expect(canvas.style.top).toBe('60px');
+        expect(canvas.style.left).toBe('210px');
+    });
+
     describe('Data Filtering', () => {
         it('should give an access to currently filtered data', () => {
             const chart = EventDrops({
@@ -176,6 +262,1343 @@ describe('EventDrops', () => {
         ]);
     });
 
+    describe('Incremental Data', () => {
+        const createChart = () => {
+            const chart = EventDrops({
+                range: {
+                    start: new Date('2010-01-01'),
+                    end: new Date('2011-01-01'),
+                },
+            });
+
+            const root = d3.select('div').data([
+                [
+                    {
+                        name: 'foo',
+                        data: [new Date('2010-02-01'), new Date('2010-03-01')],
+                    },
+                    { name: 'bar', data: [new Date('2010-04-01')] },
+                ],
+            ]);
+            root.call(chart);
+
+            return chart;
+        };
+
+        const getLabels = () =>
+            [...document.querySelectorAll('.line-label')].map(
+                node => node.textContent
+            );
+
+        it('should add drops to given row and only redraw its line', () => {
+            const chart = createChart();
+            document.querySelector('.line-label').textContent = 'untouched';
+
+            chart.addDrops('bar', [
+                new Date('2010-05-01'),
+                new Date('2012-01-01'),
+            ]);
+
+            expect(chart.filteredData()[1].fullData.length).toBe(3);
+            expect(chart.filteredData()[1].data).toEqual([
+                new Date('2010-04-01'),
+                new Date('2010-05-01'),
+            ]);
+            expect(getLabels()).toEqual(['untouched', 'bar (2)']);
+        });
+
+        it('should throw an error when adding drops to an unknown row', () => {
+            const chart = createChart();
+
+            expect(() => chart.addDrops('baz', [])).toThrow(
+                'No row named "baz" has been found.'
+            );
+        });
+
+        it('should remove drops matching given predicate from all rows', () => {
+            const chart = createChart();
+
+            chart.removeDrops(
+                (d, row) =>
+                    row.name === 'bar' ||
+                    d.getTime() === +new Date('2010-02-01')
+            );
+
+            expect(chart.filteredData().map(row => row.data)).toEqual([
+                [new Date('2010-03-01')],
+                [],
+            ]);
+            expect(getLabels()).toEqual(['foo (1)', 'bar (0)']);
+        });
+
+        it('should replace rows while keeping current scale', () => {
+            const chart = createChart();
+            const scale = chart.scale();
+
+            chart.setRows([
+                { name: 'foo', data: [] },
+                { name: 'bar', data: [] },
+                { name: 'baz', data: [new Date('2010-06-01')] },
+            ]);
+
+            expect(chart.scale()).toBe(scale);
+            expect(getLabels()).toEqual(['foo (0)', 'bar (0)', 'baz (1)']);
+            // (3 rows + bounds) * line height + margins
+            expect(document.querySelector('svg').getAttribute('height')).toBe(
+                '200'
+            );
+        });
+
+        it('should require the chart to be drawn before updating its data', () => {
+            const chart = EventDrops({});
+
+            expect(() => chart.addDrops('foo', [])).toThrow(
+                'Calling "addDrops" requires the chart to be drawn first.'
+            );
+        });
+    });
+
+    it('should lazy load drops of visible period and redraw lines when they arrive', async () => {
+        const server = [new Date('2010-03-01'), new Date('2010-06-01')];
+        const loadRange = jest.fn((row, start, end) =>
+            Promise.resolve(server.filter(d => d >= start && d < end))
+        );
+
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            drops: { loadRange, wait: 0 },
+        });
+
+        const root = d3.select('div').data([[{ name: 'foo' }]]);
+        root.call(chart);
+
+        expect(document.querySelector('.drop-line.loading')).not.toBe(null);
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(loadRange).toHaveBeenCalledTimes(1);
+        expect(chart.filteredData()[0].data).toEqual(server);
+        expect(document.querySelector('.drop-line.loading')).toBe(null);
+        expect(document.querySelector('.line-label').textContent).toBe(
+            'foo (2)'
+        );
+    });
+
+    it('should not redraw lines nor log errors for drops arriving once destroyed', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        let resolveLoad;
+        const loadRange = jest.fn(
+            () => new Promise(resolve => (resolveLoad = resolve))
+        );
+
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            drops: { loadRange, wait: 0 },
+        });
+
+        d3
+            .select('div')
+            .data([[{ name: 'foo' }]])
+            .call(chart);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(loadRange).toHaveBeenCalledTimes(1);
+
+        const redrawLines = jest.spyOn(chart, '_redrawLines');
+        chart.destroy();
+        resolveLoad([new Date('2010-03-01')]);
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(redrawLines).not.toHaveBeenCalled();
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('should toggle groups of rows, displaying drops of collapsed ones', () => {
+        const onToggleGroup = jest.fn();
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            group: { onToggleGroup },
+        });
+
+        const team = {
+            name: 'team',
+            collapsed: true,
+            children: [
+                { name: 'foo', data: [new Date('2010-02-01')] },
+                { name: 'bar', data: [new Date('2010-03-01')] },
+            ],
+        };
+        d3
+            .select('div')
+            .data([[team, { name: 'baz', data: [] }]])
+            .call(chart);
+
+        const getLabels = () =>
+            [...document.querySelectorAll('.line-label')].map(
+                node => node.textContent
+            );
+        const getHeight = () =>
+            document.querySelector('svg').getAttribute('height');
+
+        expect(getLabels()).toEqual(['team (2)', 'baz (0)']);
+        expect(getHeight()).toBe('160');
+
+        // drops added to hidden rows are merged into their group
+        chart.addDrops('bar', [new Date('2010-04-01')]);
+        expect(getLabels()).toEqual(['team (3)', 'baz (0)']);
+
+        document
+            .querySelector('.group-toggle')
+            .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+        expect(getLabels()).toEqual(['team', 'foo (1)', 'bar (2)', 'baz (0)']);
+        expect(getHeight()).toBe('240');
+        expect(onToggleGroup).toHaveBeenCalledWith(team, false);
+        expect(
+            chart.filteredData().map(({ name, _depth }) => [name, _depth])
+        ).toEqual([['team', 0], ['foo', 1], ['bar', 1], ['baz', 0]]);
+
+        chart.toggleGroup('team', true);
+        expect(getLabels()).toEqual(['team (3)', 'baz (0)']);
+        expect(onToggleGroup).toHaveBeenLastCalledWith(team, true);
+
+        expect(() => chart.toggleGroup('foo')).toThrow(
+            'No group named "foo" has been found.'
+        );
+    });
+
+    it('should hide and show rows, from legend or programmatically', () => {
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            axis: { verticalGrid: true },
+            line: { color: (row, index) => `color-${index}` },
+            legend: true,
+        });
+
+        const rows = ['foo', 'bar', 'baz'].map(name => ({
+            name,
+            data: [new Date('2010-06-01')],
+        }));
+        d3
+            .select('div')
+            .data([rows])
+            .call(chart);
+
+        const getLines = () =>
+            [...document.querySelectorAll('.drop-line')].map(line => [
+                line.querySelector('.line-label').textContent,
+                line.getAttribute('fill'),
+            ]);
+        const getHeight = () =>
+            document.querySelector('svg').getAttribute('height');
+        const getGridSize = () =>
+            document.querySelector('.axis .tick line').getAttribute('y2');
+
+        expect(getHeight()).toBe('200');
+        expect(getGridSize()).toBe('120');
+
+        chart.hideRow('bar');
+        expect(getLines()).toEqual([
+            ['foo (1)', 'color-0'],
+            ['baz (1)', 'color-2'],
+        ]);
+        expect(getHeight()).toBe('160');
+        expect(getGridSize()).toBe('80');
+        expect(chart.visibleRows().map(({ name }) => name)).toEqual([
+            'foo',
+            'baz',
+        ]);
+
+        const legendItems = document.querySelectorAll('.legend-item');
+        expect(legendItems[1].getAttribute('aria-pressed')).toBe('false');
+
+        // hidden rows are still part of the chart
+        chart.addDrops('bar', [new Date('2010-07-01')]);
+        legendItems[1].click();
+        expect(getLines()[1]).toEqual(['bar (2)', 'color-1']);
+        expect(getHeight()).toBe('200');
+        expect(legendItems[1].getAttribute('aria-pressed')).toBe('true');
+
+        legendItems[0].click();
+        expect(chart.visibleRows().map(({ name }) => name)).toEqual([
+            'bar',
+            'baz',
+        ]);
+        chart.showRow('foo');
+        expect(getLines().length).toBe(3);
+
+        expect(() => chart.hideRow('qux')).toThrow(
+            'No row named "qux" has been found.'
+        );
+        expect(() => EventDrops({}).visibleRows()).toThrow(
+            'Calling "visibleRows" requires the chart to be drawn first.'
+        );
+    });
+
+    it('should keep hidden rows when redrawing lines from bound data', () => {
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+        });
+
+        d3
+            .select('div')
+            .data([
+                ['foo', 'bar', 'baz'].map(name => ({
+                    name,
+                    data: [new Date('2010-06-01')],
+                })),
+            ])
+            .call(chart);
+
+        chart.hideRow('bar');
+
+        // as zooming does, binding displayed rows to the SVG, then drawing from them
+        const zoomTo = domain =>
+            d3
+                .select('svg')
+                .call(
+                    chart.draw(
+                        chart._config,
+                        chart._scale.copy().domain(domain)
+                    )
+                );
+        zoomTo([new Date('2010-05-01'), new Date('2010-07-01')]);
+        zoomTo([new Date('2010-04-01'), new Date('2010-08-01')]);
+        expect(chart.visibleRows().map(({ name }) => name)).toEqual([
+            'foo',
+            'baz',
+        ]);
+
+        chart.showRow('bar');
+        expect(
+            [...document.querySelectorAll('.line-label')].map(
+                node => node.textContent
+            )
+        ).toEqual(['foo (1)', 'bar (1)', 'baz (1)']);
+    });
+
+    it('should add, remove and select drops of rows hidden from the start', () => {
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+        });
+        const selected = new Date('2010-06-01');
+        const removed = new Date('2010-07-01');
+
+        d3
+            .select('div')
+            .data([
+                [
+                    { name: 'foo', data: [new Date('2010-05-01')] },
+                    { name: 'bar', hidden: true, data: [selected, removed] },
+                ],
+            ])
+            .call(chart);
+
+        chart.select(d => d === selected);
+        expect(chart.selection()).toEqual([selected]);
+
+        chart.removeDrops(d => d === removed);
+        chart.addDrops('bar', [new Date('2010-08-01')]);
+        expect(chart.selection()).toEqual([selected]);
+
+        chart.showRow('bar');
+        expect(
+            [...document.querySelectorAll('.line-label')].map(
+                node => node.textContent
+            )
+        ).toEqual(['foo (1)', 'bar (2)']);
+    });
+
+    it('should aggregate heatmap buckets on main thread once worker fails', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const workers = [];
+        window.Worker = class {
+            constructor() {
+                workers.push(this);
+                this.postMessage = jest.fn();
+                this.terminate = jest.fn();
+            }
+        };
+        window.URL.createObjectURL = () => 'blob:heatmap-worker';
+        window.URL.revokeObjectURL = jest.fn();
+
+        const chart = EventDrops({
+            ...defaultConfig,
+            range: {
+                start: new Date('2009-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            heatmap: { worker: true },
+        });
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data: [new Date('2010-01-01')] }]])
+            .call(chart);
+
+        expect(window.URL.revokeObjectURL).toHaveBeenCalledWith(
+            'blob:heatmap-worker'
+        );
+        // buckets are being counted by worker
+        expect(document.querySelectorAll('.heatmap-rect').length).toBe(0);
+
+        workers[0].onerror(new Error('Script error'));
+        expect(workers[0].terminate).toHaveBeenCalled();
+        expect(chart._state.heatmapWorker).toBe(null);
+        expect(document.querySelectorAll('.heatmap-rect').length).toBe(1);
+
+        delete window.Worker;
+        delete window.URL.createObjectURL;
+        delete window.URL.revokeObjectURL;
+    });
+
+    it('should draw drops by category, toggled from legend or programmatically', () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1240);
+
+        const createChart = range =>
+            EventDrops({
+                range,
+                drop: { date: d => new Date(d.date), category: d => d.type },
+                category: {
+                    palette: {
+                        deploy: { color: 'blue', shape: 'square' },
+                        alert: { color: 'red', shape: 'triangle' },
+                    },
+                    legend: true,
+                },
+                heatmap: { colorBy: 'category' },
+            });
+
+        const data = [
+            { date: '2010-01-01T00:10:00Z', type: 'deploy' },
+            { date: '2010-01-01T00:20:00Z', type: 'alert' },
+            { date: '2010-01-01T00:30:00Z', type: 'alert' },
+            { date: '2010-01-01T00:40:00Z', type: 'rollback' },
+        ];
+
+        const chart = createChart({
+            start: new Date('2010-01-01T00:00:00Z'),
+            end: new Date('2010-01-01T01:00:00Z'),
+        });
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data }]])
+            .call(chart);
+
+        const getFills = () =>
+            [...document.querySelectorAll('.drop')].map(node =>
+                node.getAttribute('fill')
+            );
+        const getLegend = () =>
+            [...document.querySelectorAll('.category-legend .legend-item')].map(
+                item => [item.textContent, item.getAttribute('aria-pressed')]
+            );
+
+        expect(getFills()).toEqual(['blue', 'red', 'red', expect.any(String)]);
+        expect(getLegend()).toEqual([
+            ['deploy', 'true'],
+            ['alert', 'true'],
+            ['rollback', 'true'],
+        ]);
+
+        document.querySelectorAll('.category-legend .legend-item')[1].click();
+        expect(getFills()).toEqual(['blue', expect.any(String)]);
+        expect(getLegend()[1]).toEqual(['alert', 'false']);
+
+        chart.toggleCategory('alert', false);
+        chart.toggleCategory('rollback', true);
+        expect(getFills()).toEqual(['blue', 'red', 'red']);
+
+        // heatmap buckets take the color of their dominant category
+        resetDom();
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data }]])
+            .call(
+                createChart({
+                    start: new Date('2009-01-01'),
+                    end: new Date('2011-01-01'),
+                })
+            );
+        expect(
+            document.querySelector('.heatmap-rect').getAttribute('fill')
+        ).toBe('red');
+
+        const otherChart = EventDrops({});
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data: [] }]])
+            .call(otherChart);
+        expect(() => otherChart.toggleCategory('alert')).toThrow(
+            'Calling "toggleCategory" requires drop.category to be set.'
+        );
+    });
+
+    it('should size drops by value, rescaling all of them when larger drops are added', () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1240);
+
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01T00:00:00Z'),
+                end: new Date('2010-01-01T01:00:00Z'),
+            },
+            drop: { date: d => new Date(d.date), size: d => d.value },
+            size: { minRadius: 0, maxRadius: 10, legend: { values: [100] } },
+        });
+
+        d3
+            .select('div')
+            .data([
+                [
+                    {
+                        name: 'foo',
+                        data: [{ date: '2010-01-01T00:10:00Z', value: 100 }],
+                    },
+                    {
+                        name: 'bar',
+                        data: [{ date: '2010-01-01T00:20:00Z', value: 25 }],
+                    },
+                ],
+            ])
+            .call(chart);
+
+        const getRadiuses = () =>
+            [...document.querySelectorAll('.drop')].map(node =>
+                node.getAttribute('r')
+            );
+        const getLegendRadius = () =>
+            document.querySelector('.size-legend circle').getAttribute('r');
+
+        expect(getRadiuses()).toEqual(['10', '5']);
+        expect(getLegendRadius()).toBe('10');
+
+        chart.addDrops('bar', [{ date: '2010-01-01T00:30:00Z', value: 400 }]);
+        expect(getRadiuses()).toEqual(['5', '2.5', '10']);
+        expect(getLegendRadius()).toBe('5');
+    });
+
+    it('should only render lines fitting in maxHeight, scrolling them with wheel', () => {
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            line: { color: (row, index) => `color-${index}` },
+            maxHeight: 200,
+        });
+
+        const rows = [...Array(10).keys()].map(index => ({
+            name: `row${index}`,
+            data: [new Date('2010-06-01')],
+        }));
+        d3
+            .select('div')
+            .data([rows])
+            .call(chart);
+
+        const getLines = () =>
+            [...document.querySelectorAll('.drop-line')].map(line => [
+                line.querySelector('.line-label').textContent,
+                line.getAttribute('fill'),
+            ]);
+
+        // 3 lines fit between axis and bounds
+        expect(document.querySelector('svg').getAttribute('height')).toBe(
+            '200'
+        );
+        expect(getLines()).toEqual([
+            ['row0 (1)', 'color-0'],
+            ['row1 (1)', 'color-1'],
+            ['row2 (1)', 'color-2'],
+        ]);
+        expect(chart.filteredData().length).toBe(10);
+
+        document.querySelector('svg').dispatchEvent(
+            new WheelEvent('wheel', {
+                deltaY: 40,
+                bubbles: true,
+                cancelable: true,
+            })
+        );
+        expect(getLines()).toEqual([
+            ['row1 (1)', 'color-1'],
+            ['row2 (1)', 'color-2'],
+            ['row3 (1)', 'color-3'],
+        ]);
+
+        chart.scrollToRow('row9');
+        expect(getLines().map(([label]) => label)).toEqual([
+            'row7 (1)',
+            'row8 (1)',
+            'row9 (1)',
+        ]);
+
+        // as zooming does, binding visible rows to the SVG, then drawing from them
+        const domain = [new Date('2010-05-01'), new Date('2010-07-01')];
+        [0, 1].forEach(() =>
+            d3
+                .select('svg')
+                .call(
+                    chart.draw(
+                        chart._config,
+                        chart._scale.copy().domain(domain)
+                    )
+                )
+        );
+        expect(chart.filteredData().length).toBe(10);
+
+        // scrolled out rows are still part of the chart
+        chart.addDrops('row0', [new Date('2010-07-01')]);
+        chart.scrollToRow('row0');
+        expect(getLines()[0]).toEqual(['row0 (2)', 'color-0']);
+
+        expect(() => EventDrops({}).scrollToRow('row0')).toThrow(
+            'Calling "scrollToRow" requires the chart to be drawn first.'
+        );
+    });
+
+    it('should sort rows and let users reorder them by dragging labels', async () => {
+        const onRowOrderChange = jest.fn();
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            zoom: false,
+            rows: {
+                sort: 'count',
+                draggable: true,
+                onRowOrderChange,
+                duration: 0,
+            },
+        });
+
+        const createRow = (name, count) => ({
+            name,
+            data: [...Array(count).keys()].map(
+                day => new Date(2010, 5, day + 1)
+            ),
+        });
+        d3
+            .select('div')
+            .data([[createRow('foo', 1), createRow('bar', 3)]])
+            .call(chart);
+
+        const getLabels = () =>
+            [...document.querySelectorAll('.line-label')].map(
+                node => node.textContent
+            );
+
+        expect(getLabels()).toEqual(['bar (3)', 'foo (1)']);
+
+        chart.setRows([
+            createRow('foo', 1),
+            createRow('bar', 3),
+            createRow('baz', 5),
+        ]);
+        expect(getLabels()).toEqual(['baz (5)', 'bar (3)', 'foo (1)']);
+        expect(onRowOrderChange).toHaveBeenCalledTimes(1);
+
+        const mouse = (type, clientY) =>
+            new MouseEvent(type, { bubbles: true, view: window, clientY });
+        document
+            .querySelectorAll('.line-label')[2]
+            .dispatchEvent(mouse('mousedown', 0));
+        window.dispatchEvent(mouse('mousemove', -80));
+        window.dispatchEvent(mouse('mouseup', -80));
+        // clicks are ignored until next tick once a drag ends
+        await new Promise(resolve => setTimeout(resolve));
+
+        expect(getLabels()).toEqual(['foo (1)', 'baz (5)', 'bar (3)']);
+        expect(
+            [...document.querySelectorAll('.drop-line')].map(line =>
+                line.getAttribute('transform')
+            )
+        ).toEqual(['translate(0, 0)', 'translate(0, 40)', 'translate(0, 80)']);
+        expect(onRowOrderChange).toHaveBeenCalledTimes(2);
+        expect(
+            onRowOrderChange.mock.calls[1][0].map(({ name }) => name)
+        ).toEqual(['foo', 'baz', 'bar']);
+    });
+
+    it('should not sort rows again at zoom end once reordered by hand', async () => {
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            rows: { sort: 'count', draggable: true, duration: 0 },
+        });
+
+        const createRow = (name, count) => ({
+            name,
+            data: [...Array(count).keys()].map(
+                day => new Date(2010, 5, day + 1)
+            ),
+        });
+        d3
+            .select('div')
+            .data([[createRow('foo', 1), createRow('bar', 3)]])
+            .call(chart);
+
+        const getLabels = () =>
+            [...document.querySelectorAll('.line-label')].map(
+                node => node.textContent
+            );
+        // d3 zoom behavior given to the (mocked) zoom handling
+        const zoomBehavior = zoom.mock.calls[zoom.mock.calls.length - 1][3];
+        const zoomEnd = () => zoomBehavior.on('end.sort')();
+
+        const mouse = (type, clientY) =>
+            new MouseEvent(type, { bubbles: true, view: window, clientY });
+        document
+            .querySelectorAll('.line-label')[1]
+            .dispatchEvent(mouse('mousedown', 0));
+        window.dispatchEvent(mouse('mousemove', -40));
+        window.dispatchEvent(mouse('mouseup', -40));
+        await new Promise(resolve => setTimeout(resolve));
+        expect(getLabels()).toEqual(['foo (1)', 'bar (3)']);
+
+        zoomEnd();
+        expect(getLabels()).toEqual(['foo (1)', 'bar (3)']);
+
+        // replaced rows are sorted again, as well as at next zoom ends
+        chart.setRows([createRow('foo', 1), createRow('bar', 3)]);
+        expect(getLabels()).toEqual(['bar (3)', 'foo (1)']);
+
+        chart.addDrops('foo', [1, 2, 3].map(day => new Date(2010, 6, day)));
+        zoomEnd();
+        expect(getLabels()).toEqual(['foo (4)', 'bar (3)']);
+    });
+
+    describe('Brush', () => {
+        const createChart = brushConfig => {
+            jest
+                .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+                .mockImplementation(() => 1240);
+
+            const chart = EventDrops({
+                brush: brushConfig,
+                range: {
+                    start: new Date('2010-01-01'),
+                    end: new Date('2010-01-11'),
+                },
+            });
+
+            const root = d3.select('div').data([[{ name: 'foo', data: [] }]]);
+            root.call(chart);
+
+            return chart;
+        };
+
+        it('should allow to brush and clear a period programmatically', () => {
+            const chart = createChart({});
+
+            chart.brush([new Date('2010-01-06'), new Date('2010-01-02')]);
+
+            const scale = chart.scale();
+            const selection = document.querySelector('.brush .selection');
+            expect(+selection.getAttribute('x')).toBe(
+                scale(new Date('2010-01-02'))
+            );
+            expect(+selection.getAttribute('width')).toBe(
+                scale(new Date('2010-01-06')) - scale(new Date('2010-01-02'))
+            );
+
+            chart.clearBrush();
+            expect(selection.style.display).toBe('none');
+        });
+
+        it('should require brush to be enabled', () => {
+            const chart = createChart(false);
+
+            expect(() => chart.brush([])).toThrow(
+                'Calling "brush" requires brush to be enabled.'
+            );
+        });
+    });
+
+    describe('Selection', () => {
+        const createChart = config => {
+            jest
+                .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+                .mockImplementation(() => 1000);
+
+            const chart = EventDrops({
+                range: {
+                    start: new Date('2010-01-01T00:00:00'),
+                    end: new Date('2010-01-01T12:00:00'),
+                },
+                ...config,
+            });
+
+            const root = d3.select('div').data([
+                [
+                    {
+                        name: 'foo',
+                        data: [
+                            new Date('2010-01-01T02:00:00'),
+                            new Date('2010-01-01T05:00:00'),
+                        ],
+                    },
+                    { name: 'bar', data: [new Date('2010-01-01T08:00:00')] },
+                ],
+            ]);
+            root.call(chart);
+
+            return chart;
+        };
+
+        it('should select drops matching given predicate and keep them selected on redraw', () => {
+            const chart = createChart();
+
+            chart.select((d, row) => row.name === 'foo');
+            expect(chart.selection()).toEqual([
+                new Date('2010-01-01T02:00:00'),
+                new Date('2010-01-01T05:00:00'),
+            ]);
+            expect(document.querySelectorAll('.drop.selected').length).toBe(2);
+
+            chart.addDrops('foo', [new Date('2010-01-01T03:00:00')]);
+            expect(document.querySelectorAll('.drop.selected').length).toBe(2);
+        });
+
+        it('should forget removed drops', () => {
+            const chart = createChart();
+
+            chart.select(() => true);
+            chart.removeDrops((d, row) => row.name === 'bar');
+
+            expect(chart.selection().length).toBe(2);
+        });
+
+        it('should call `onSelectionChange` when user clicks on a drop', () => {
+            const onSelectionChange = jest.fn();
+            createChart({ selection: { onSelectionChange } });
+
+            document
+                .querySelector('.drop')
+                .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+            expect(onSelectionChange).toHaveBeenCalledWith([
+                new Date('2010-01-01T02:00:00'),
+            ]);
+            expect(document.querySelectorAll('.drop.selected').length).toBe(1);
+        });
+    });
+
+    it('should display tooltip of hovered drop, replacing it on re-initialization', async () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1000);
+
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01T00:00:00'),
+                end: new Date('2010-01-01T12:00:00'),
+            },
+            tooltip: { drop: (d, row) => `${row.name}: ${d.getHours()}h` },
+        });
+
+        const root = d3
+            .select('div')
+            .data([[{ name: 'foo', data: [new Date('2010-01-01T02:00:00')] }]]);
+        root.call(chart);
+
+        document
+            .querySelector('.drop')
+            .dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+        await new Promise(resolve => setTimeout(resolve, 150));
+
+        const tooltips = document.querySelectorAll('.event-drops-tooltip');
+        expect(tooltips.length).toBe(1);
+        expect(tooltips[0].textContent).toBe('foo: 2h');
+
+        chart._initialize();
+        expect(document.querySelectorAll('.event-drops-tooltip').length).toBe(
+            1
+        );
+    });
+
+    it('should allow to reach drops with keyboard, announcing focused one', () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1000);
+
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01T00:00:00'),
+                end: new Date('2010-01-01T12:00:00'),
+            },
+            bound: { format: d3.timeFormat('%H:%M') },
+            keyboard: {},
+        });
+
+        const root = d3
+            .select('div')
+            .data([
+                [
+                    { name: 'foo', data: [new Date('2010-01-01T02:00:00')] },
+                    { name: 'bar', data: [new Date('2010-01-01T03:00:00')] },
+                ],
+            ]);
+        root.call(chart);
+
+        document.querySelector('.drop-line').focus();
+        document.activeElement.dispatchEvent(
+            new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true })
+        );
+        document.activeElement.dispatchEvent(
+            new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true })
+        );
+
+        expect(document.activeElement.getAttribute('class')).toBe('drop');
+        expect(document.querySelector('.event-drops-live').textContent).toBe(
+            'bar: 03:00'
+        );
+
+        // focus is kept on redraw
+        chart.addDrops('bar', [new Date('2010-01-01T01:00:00')]);
+        expect(d3.select(document.activeElement).datum()).toEqual(
+            new Date('2010-01-01T03:00:00')
+        );
+    });
+
+    it('should render a data table of visible events, updated with data', () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1000);
+
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01T00:00:00'),
+                end: new Date('2010-01-01T12:00:00'),
+            },
+            dataTable: {},
+        });
+
+        const root = d3.select('div').data([
+            [
+                {
+                    name: 'foo',
+                    data: [
+                        new Date('2010-01-01T02:00:00'),
+                        new Date('2010-01-01T14:00:00'),
+                    ],
+                },
+            ],
+        ]);
+        root.call(chart);
+
+        const getCount = () =>
+            document.querySelector('.event-drops-table tbody .count')
+                .textContent;
+        expect(getCount()).toBe('1');
+
+        chart.addDrops('foo', [new Date('2010-01-01T03:00:00')]);
+        expect(getCount()).toBe('2');
+
+        const table = document.querySelector('.event-drops-table');
+        chart.toggleDataTable();
+        expect(table.classList.contains('visible')).toBe(true);
+        chart.toggleDataTable(false);
+        expect(table.classList.contains('visible')).toBe(false);
+    });
+
+    it('should require data table to be enabled to toggle it', () => {
+        const chart = EventDrops({});
+        d3
+            .select('div')
+            .data([[{ data: [] }]])
+            .call(chart);
+
+        expect(() => chart.toggleDataTable()).toThrow(
+            'Calling "toggleDataTable" requires dataTable to be enabled.'
+        );
+    });
+
+    it('should export current view as a standalone SVG string', () => {
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+        });
+
+        expect(() => chart.toSVGString()).toThrow(
+            'Calling "toSVGString" requires the chart to be drawn first.'
+        );
+
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data: [new Date('2010-03-01')] }]])
+            .call(chart);
+
+        const svg = new DOMParser().parseFromString(
+            chart.toSVGString({ title: 'Commits' }),
+            'image/svg+xml'
+        ).documentElement;
+
+        expect(svg.querySelector('.export-title').textContent).toBe('Commits');
+        expect(svg.querySelector('.line-label').textContent).toBe('foo (1)');
+        expect(svg.querySelectorAll('.bound').length).toBe(1);
+    });
+
+    it('should export legends along with the chart', () => {
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            legend: { position: 'top' },
+            drop: { date: d => d.date, category: d => d.type },
+            category: { legend: true, hidden: ['fix'] },
+        });
+
+        d3
+            .select('div')
+            .data([
+                [
+                    {
+                        name: 'foo',
+                        data: [
+                            { date: new Date('2010-03-01'), type: 'feat' },
+                            { date: new Date('2010-04-01'), type: 'fix' },
+                        ],
+                    },
+                ],
+            ])
+            .call(chart);
+
+        const svg = new DOMParser().parseFromString(
+            chart.toSVGString(),
+            'image/svg+xml'
+        ).documentElement;
+
+        expect(
+            [...svg.querySelectorAll('.export-legend')].map(legend =>
+                [...legend.querySelectorAll('.export-legend-item')].map(
+                    item => [item.textContent, item.getAttribute('opacity')]
+                )
+            )
+        ).toEqual([[['foo', null]], [['feat', null], ['fix', '0.4']]]);
+    });
+
+    it('should export visible events as CSV or JSON', () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1000);
+
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01T00:00:00Z'),
+                end: new Date('2010-01-01T12:00:00Z'),
+            },
+        });
+
+        expect(() => chart.exportData()).toThrow(
+            'Calling "exportData" requires the chart to be drawn first.'
+        );
+
+        d3
+            .select('div')
+            .data([
+                [
+                    {
+                        name: 'foo',
+                        data: [
+                            new Date('2010-01-01T02:00:00Z'),
+                            new Date('2010-01-01T14:00:00Z'),
+                        ],
+                    },
+                ],
+            ])
+            .call(chart);
+
+        expect(chart.exportData()).toBe(
+            'row,date\nfoo (1),2010-01-01T02:00:00.000Z'
+        );
+        expect(
+            JSON.parse(chart.exportData({ format: 'json', scope: 'all' }))
+        ).toEqual([
+            { row: 'foo (1)', date: '2010-01-01T02:00:00.000Z' },
+            { row: 'foo (1)', date: '2010-01-01T14:00:00.000Z' },
+        ]);
+    });
+
+    it('should restore view returned by getState', () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1000);
+
+        const foo = { date: new Date('2010-01-01T02:00:00') };
+        const bar = { date: new Date('2010-01-01T05:00:00') };
+        const config = {
+            range: {
+                start: new Date('2010-01-01T00:00:00'),
+                end: new Date('2010-01-01T12:00:00'),
+            },
+            drop: { date: d => d.date },
+            zoom: false,
+        };
+        const data = [[{ name: 'foo', data: [foo, bar] }]];
+
+        const chart = EventDrops(config);
+        expect(() => chart.getState()).toThrow(
+            'Calling "getState" requires the chart to be drawn first.'
+        );
+
+        d3
+            .select('div')
+            .data(data)
+            .call(chart);
+        chart.select(d => d === bar);
+
+        const domain = [
+            new Date('2010-01-01T04:00:00'),
+            new Date('2010-01-01T06:00:00'),
+        ];
+        chart.setState({ domain });
+
+        const viewState = chart.getState();
+        expect(viewState).toEqual({
+            domain,
+            transform: null,
+            selection: [{ row: 'foo', date: bar.date }],
+            mode: 'drops',
+            hiddenRows: [],
+            collapsedGroups: [],
+        });
+        expect(chart.filteredData()[0].data).toEqual([bar]);
+
+        // in another page, e.g. from a shared link
+        document.body.innerHTML = '<div></div>';
+        const otherChart = EventDrops(config);
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data: [{ ...foo }, { ...bar }] }]])
+            .call(otherChart);
+
+        otherChart.setState(JSON.parse(JSON.stringify(viewState)));
+        expect(otherChart.getState()).toEqual(viewState);
+    });
+
+    it('should restore hidden rows and collapsed groups returned by getState', () => {
+        const createRows = () => [
+            {
+                name: 'team',
+                children: [
+                    { name: 'foo', data: [new Date('2010-02-01')] },
+                    { name: 'bar', data: [new Date('2010-03-01')] },
+                ],
+            },
+            { name: 'baz', data: [] },
+            { name: 'qux', data: [] },
+        ];
+        const config = {
+            range: {
+                start: new Date('2010-01-01'),
+                end: new Date('2011-01-01'),
+            },
+            zoom: false,
+        };
+        const getLabels = () =>
+            [...document.querySelectorAll('.line-label')].map(
+                node => node.textContent
+            );
+
+        const chart = EventDrops(config);
+        d3
+            .select('div')
+            .data([createRows()])
+            .call(chart);
+
+        chart.hideRow('bar');
+        chart.hideRow('qux');
+        chart.toggleGroup('team', true);
+
+        const viewState = JSON.parse(JSON.stringify(chart.getState()));
+        expect(viewState.hiddenRows).toEqual(['bar', 'qux']);
+        expect(viewState.collapsedGroups).toEqual(['team']);
+
+        // in another page, where a group is collapsed and a row hidden already
+        document.body.innerHTML = '<div></div>';
+        const otherChart = EventDrops(config);
+        const otherRows = createRows();
+        otherRows[0].collapsed = false;
+        otherRows[1].hidden = true;
+        d3
+            .select('div')
+            .data([otherRows])
+            .call(otherChart);
+
+        otherChart.setState(viewState);
+        expect(getLabels()).toEqual(['team (1)', 'baz (0)']);
+        expect(document.querySelector('svg').getAttribute('height')).toBe(
+            '160'
+        );
+        expect(otherChart.getState().hiddenRows).toEqual(['bar', 'qux']);
+        expect(otherChart.getState().collapsedGroups).toEqual(['team']);
+
+        otherChart.setState({ hiddenRows: [], collapsedGroups: [] });
+        expect(getLabels()).toEqual([
+            'team',
+            'foo (1)',
+            'bar (1)',
+            'baz (0)',
+            'qux (0)',
+        ]);
+    });
+
+    it('should draw zoom toolbar and require zoom for zoom history', () => {
+        const chart = EventDrops({ zoom: { toolbar: true } });
+        d3
+            .select('div')
+            .data([[{ data: [] }]])
+            .call(chart);
+
+        expect(document.querySelectorAll('.zoom-button').length).toBe(5);
+        expect(
+            document
+                .querySelector('.zoom-button.back')
+                .classList.contains('disabled')
+        ).toBe(true);
+        expect(chart.zoomBack()).toBe(false);
+
+        const staticChart = EventDrops({ zoom: false });
+        d3
+            .select('div')
+            .data([[{ data: [] }]])
+            .call(staticChart);
+
+        expect(() => staticChart.zoomBack()).toThrow(
+            'Calling "zoomBack" requires zooming to be enabled.'
+        );
+        expect(() => staticChart.resetZoom()).toThrow(
+            'Calling "resetZoom" requires zooming to be enabled.'
+        );
+    });
+
+    it('should draw a minimap below the chart, following visible period', () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1000);
+
+        const chart = EventDrops({
+            range: {
+                start: new Date('2010-01-01T00:00:00'),
+                end: new Date('2010-01-01T12:00:00'),
+            },
+            label: { width: 180 },
+            zoom: false,
+            minimap: {},
+        });
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data: [new Date('2010-01-01T02:00:00')] }]])
+            .call(chart);
+
+        // 2 lines (including axis), 20px margins and 40px minimap
+        expect(document.querySelector('svg').getAttribute('height')).toBe(
+            '160'
+        );
+        expect(document.querySelectorAll('.minimap-bucket').length).toBe(1);
+
+        chart.setState({
+            domain: [
+                new Date('2010-01-01T03:00:00'),
+                new Date('2010-01-01T06:00:00'),
+            ],
+        });
+
+        const selection = document.querySelector('.minimap-window .selection');
+        expect(+selection.getAttribute('x')).toBe(200);
+        expect(+selection.getAttribute('width')).toBe(200);
+
+        chart.addDrops('foo', [new Date('2010-01-01T09:00:00')]);
+        expect(document.querySelectorAll('.minimap-bucket').length).toBe(2);
+    });
+
+    it('should expand clusters of overlapping drops when clicking them', () => {
+        jest
+            .spyOn(HTMLElement.prototype, 'clientWidth', 'get')
+            .mockImplementation(() => 1240);
+
+        const chart = EventDrops({
+            ...defaultConfig,
+            range: {
+                start: new Date('2010-01-01T00:00:00'),
+                end: new Date('2010-01-02T00:00:00'),
+            },
+            drop: { overlap: 'cluster' },
+        });
+        const date = new Date('2010-01-01T12:00:00');
+        d3
+            .select('div')
+            .data([[{ name: 'foo', data: [date, date, date] }]])
+            .call(chart);
+
+        expect(document.querySelectorAll('.drop').length).toBe(0);
+        expect(document.querySelector('.drop-cluster text').textContent).toBe(
+            '3'
+        );
+
+        document
+            .querySelector('.drop-cluster circle')
+            .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+        expect(document.querySelectorAll('.drop-cluster').length).toBe(0);
+        expect(document.querySelectorAll('.drop').length).toBe(3);
+
+        // clusters stay expanded when drawing again, or panning
+        chart.draw(chart._config, chart.scale())(d3.select('div'));
+        expect(document.querySelectorAll('.drop').length).toBe(3);
+
+        const panned = chart
+            .scale()
+            .copy()
+            .domain([
+                new Date('2010-01-01T01:00:00'),
+                new Date('2010-01-02T01:00:00'),
+            ]);
+        chart.draw(chart._config, panned)(d3.select('div'));
+        expect(document.querySelectorAll('.drop').length).toBe(3);
+
+        // but collapse once zoom level changes
+        const zoomed = chart
+            .scale()
+            .copy()
+            .domain([
+                new Date('2010-01-01T06:00:00'),
+                new Date('2010-01-01T18:00:00'),
+            ]);
+        chart.draw(chart._config, zoomed)(d3.select('div'));
+        expect(document.querySelectorAll('.drop').length).toBe(0);
+        expect(document.querySelector('.drop-cluster text').textContent).toBe(
+            '3'
+        );
+    });
+
     it('should give access to current breakpoint label', () => {
         const chart = EventDrops(defaultConfig);
 
@@ -1,23 +1,127 @@
-import { isBefore } from './isBefore';
-import { isAfter } from './isAfter';
+import { bisectLeft, countAfter, countBefore, getDropIndex } from './dropIndex';
+
+// part of the visible range kept between the reached event and the chart edge
+const NAVIGATION_PADDING = 0.1;
+
+const defaultRender = ({ previousText, nextText, showCount }) => (
+    direction,
+    count
+) => {
+    if (!showCount) {
+        return direction === 'before' ? previousText : nextText;
+    }
+
+    return direction === 'before'
+        ? `${previousText} ${count}`
+        : `${count} ${nextText}`;
+};
+
+/**
+ * Returns the domain to display to bring the nearest event before (or after) given
+ * domain into view, keeping the current zoom level.
+ *
+ * @param {Object} index sorted drop index of the row
+ * @param {Array} domain current `[date, date]` domain
+ * @param {string} direction 'before' or 'after'
+ * @returns {Array} `[date, date]` domain, or null if there is no event in this direction
+ */
+export const getIndicatorDomain = (index, domain, direction) => {
+    const [start, end] = domain.map(d => new Date(d).getTime());
+    const width = end - start;
+    const padding = width * NAVIGATION_PADDING;
+
+    if (direction === 'after') {
+        const after = countAfter(index, domain);
+        if (!after) {
+            return null;
+        }
+
+        const next = index.times[index.times.length - after];
+
+        return [new Date(next + padding - width), new Date(next + padding)];
+    }
+
+    // latest end among drops (or spans) entirely before domain, walking back from the
+    // last drop starting before it: earlier spans can't end later than the latest end
+    // found once they start more than the longest span duration before it
+    let previous = -Infinity;
+    for (
+        let i = bisectLeft(index.times, start) - 1;
+        i >= 0 && index.times[i] + index.maxDuration > previous;
+        i--
+    ) {
+        if (index.ends[i] < start) {
+            previous = Math.max(previous, index.ends[i]);
+        }
+    }
+
+    if (previous === -Infinity) {
+        return null;
+    }
+
+    return [new Date(previous - padding), new Date(previous - padding + width)];
+};
+
+/**
+ * Pans chart when clicking an indicator, so that the nearest hidden event of its row
+ * comes into view. A single listener on the SVG handles indicators of all lines.
+ *
+ * @param {Object} d3 d3 object
+ * @param {Object} config configuration
+ * @param {Function} getScale function returning the current scale
+ * @param {Function} zoomToDomain function animating the chart to given domain
+ */
+export const addIndicatorHandling = (
+    d3,
+    config,
+    getScale,
+    zoomToDomain
+) => svg => {
+    const {
+        drop: { date: dropDate, endDate: dropEndDate },
+        indicator: { duration = 250 },
+    } = config;
+
+    svg.classed('clickable-indicators', true).on('click.indicator', ev => {
+        const element = ev.target.closest && ev.target.closest('.indicator');
+        if (!element) {
+            return;
+        }
+
+        const { direction, row } = d3.select(element).datum();
+        const domain = getIndicatorDomain(
+            getDropIndex(row, dropDate, dropEndDate),
+            getScale().domain(),
+            direction
+        );
+
+        if (domain) {
+            zoomToDomain(domain, duration);
+        }
+    });
+};
 
 export default (config, xScale) => selection => {
     const {
         label: { width: labelWidth },
         line: { height: lineHeight },
-        drop: { date: dropDate },
-        indicator: { previousText, nextText },
+        drop: { date: dropDate, endDate: dropEndDate },
+        indicator: indicatorConfig,
     } = config;
+    const render = indicatorConfig.render || defaultRender(indicatorConfig);
 
     const dateBounds = xScale.domain().map(d => new Date(d));
 
-    const indicators = selection.selectAll('.indicator').data(d => {
+    const indicators = selection.selectAll('.indicator').data(row => {
+        const index = getDropIndex(row, dropDate, dropEndDate);
         const data = [];
-        if (d.fullData.some(event => isBefore(dropDate(event), dateBounds))) {
-            data.push('before');
+        const before = countBefore(index, dateBounds);
+        if (before > 0) {
+            data.push({ direction: 'before', count: before, row });
         }
-        if (d.fullData.some(event => isAfter(dropDate(event), dateBounds))) {
-            data.push('after');
+        const after = countAfter(index, dateBounds);
+        if (after > 0) {
+            data.push({ direction: 'after', count: after, row });
         }
         return data;
     });
@@ -27,18 +131,15 @@ export default (config, xScale) => selection => {
         .append('text')
         .classed('indicator', true)
         .attr('opacity', 0.5)
-        .attr('x', d => (d === 'before' ? labelWidth : '100%'))
-        .attr('dx', d => (d === 'before' ? 0 : -25))
-        .attr('y', lineHeight / 2)
-        .attr('dy', '0.25em')
-        .text(d => (d === 'before' ? previousText : nextText));
-
-    indicators
-        .attr('x', d => (d === 'before' ? labelWidth : '100%'))
-        .attr('dx', d => (d === 'before' ? 0 : -25))
+        .merge(indicators)
+        .classed('before', d => d.direction === 'before')
+        .classed('after', d => d.direction === 'after')
+        .attr('x', d => (d.direction === 'before' ? labelWidth : '100%'))
+        .attr('dx', d => (d.direction === 'before' ? 0 : -15))
         .attr('y', lineHeight / 2)
         .attr('dy', '0.25em')
-        .text(d => (d === 'before' ? previousText : nextText));
+        .attr('text-anchor', d => (d.direction === 'before' ? 'start' : 'end'))
+        .text(d => render(d.direction, d.count, d.row));
 
     indicators.exit().remove();
 };
@@ -1,4 +1,8 @@
-import indicator from './indicator';
+import indicator, {
+    addIndicatorHandling,
+    getIndicatorDomain,
+} from './indicator';
+import { createDropIndex } from './dropIndex';
 
 const defaultConfig = {
     drop: {
@@ -116,6 +120,109 @@ describe('Indicator', () => {
         expect(indicators[1].textContent).toBe('next');
     });
 
+    it('should display the number of hidden events if showCount is set', () => {
+        const selection = d3
+            .select('svg')
+            .data([{ fullData: [twoMonthsAgo, twoMonthsAgo - day, tomorrow] }]);
+
+        indicator(
+            {
+                ...defaultConfig,
+                indicator: { ...defaultConfig.indicator, showCount: true },
+            },
+            defaultScale
+        )(selection);
+
+        expect(
+            [...document.querySelectorAll('.indicator')].map(
+                node => node.textContent
+            )
+        ).toEqual(['◀ 2', '1 ▶']);
+    });
+
+    it('should count hidden events and use render function if set', () => {
+        const row = { fullData: [twoMonthsAgo, twoMonthsAgo - day, tomorrow] };
+        const selection = d3.select('svg').data([row]);
+        const render = jest.fn(
+            (direction, count) => `${count} hidden ${direction}`
+        );
+
+        indicator({ ...defaultConfig, indicator: { render } }, defaultScale)(
+            selection
+        );
+
+        expect(
+            [...document.querySelectorAll('.indicator')].map(
+                node => node.textContent
+            )
+        ).toEqual(['2 hidden before', '1 hidden after']);
+        expect(render).toHaveBeenCalledWith('before', 2, row);
+    });
+
+    it('should return domain bringing nearest hidden event into view, at same zoom level', () => {
+        const index = createDropIndex(
+            [0, 10, 30, 300, 310].map(time => new Date(time)),
+            d => d
+        );
+        const domain = [new Date(100), new Date(200)];
+
+        expect(getIndicatorDomain(index, domain, 'before')).toEqual([
+            new Date(20),
+            new Date(120),
+        ]);
+        expect(getIndicatorDomain(index, domain, 'after')).toEqual([
+            new Date(210),
+            new Date(310),
+        ]);
+        expect(
+            getIndicatorDomain(index, [new Date(0), new Date(400)], 'after')
+        ).toBe(null);
+    });
+
+    it('should bring latest ending span into view, ignoring spans overlapping domain', () => {
+        const index = createDropIndex(
+            [[0, 90], [40, 50], [60, 150], [300, 300]].map(([start, end]) => ({
+                start: new Date(start),
+                end: new Date(end),
+            })),
+            d => d.start,
+            d => d.end
+        );
+
+        expect(
+            getIndicatorDomain(index, [new Date(100), new Date(200)], 'before')
+        ).toEqual([new Date(80), new Date(180)]);
+        expect(
+            getIndicatorDomain(index, [new Date(10), new Date(110)], 'before')
+        ).toBe(null);
+    });
+
+    it('should zoom to nearest hidden event of the row when clicking an indicator', () => {
+        const row = { fullData: [twoMonthsAgo, tomorrow] };
+        const svg = d3.select('svg').data([row]);
+        const zoomToDomain = jest.fn();
+
+        svg.call(indicator(defaultConfig, defaultScale));
+        svg.call(
+            addIndicatorHandling(
+                d3,
+                { ...defaultConfig, indicator: { duration: 100 } },
+                () => defaultScale,
+                zoomToDomain
+            )
+        );
+
+        document
+            .querySelector('.indicator.after')
+            .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+        const [[domain, duration]] = zoomToDomain.mock.calls;
+        expect(duration).toBe(100);
+        expect(domain[1] - domain[0]).toBe(now - lastMonth);
+        expect(domain[0] < new Date(tomorrow)).toBe(true);
+        expect(domain[1] > new Date(tomorrow)).toBe(true);
+    });
+
     afterEach(() => {
         document.body.innerHTML = '';
         jest.restoreAllMocks();
@@ -0,0 +1,451 @@
+import { isBucket } from './heatmap';
+import { isCluster } from './overlap';
+import { isSpan } from './span';
+
+const NAVIGABLE = '.drop, .drop-span, .heatmap-rect, .drop-cluster';
+
+const LINE_KEYS = {
+    ArrowUp: -1,
+    ArrowDown: 1,
+};
+
+const ZOOM_KEYS = {
+    '+': 1,
+    '=': 1,
+    '-': -1,
+    _: -1,
+};
+
+const HISTORY_KEYS = {
+    '[': 'back',
+    ']': 'forward',
+    '0': 'reset',
+};
+
+// drops of categories are paths, positioned with a transform
+const getNodeX = node => {
+    const x = node.getAttribute('cx') || node.getAttribute('x');
+    if (x !== null) {
+        return +x;
+    }
+
+    const [, translateX] = (node.getAttribute('transform') || '').match(
+        /translate\((-?[\d.]+)/
+    ) || [null, 0];
+
+    return +translateX;
+};
+
+/**
+ * Returns drops, bars, clusters or heatmap buckets of a line, ordered by position:
+ * rendered elements with the SVG renderer, or items painted on the canvas.
+ *
+ * @param {Object} d3 d3 object
+ * @param {Element} lineNode `.drop-line` element
+ * @param {Object} canvas canvas layer, if any
+ * @returns {Array} [{ data, x, node, item }], `node` being set for SVG, `item` for canvas
+ */
+export const getLineItems = (d3, lineNode, canvas) => {
+    if (canvas) {
+        const line = canvas.items.get(lineNode);
+        const items = line
+            ? line.items
+                  .concat(line.clusters || [])
+                  .map(item => ({ data: item.data, x: item.x, item }))
+            : [];
+
+        return items.sort((a, b) => a.x - b.x);
+    }
+
+    return d3
+        .select(lineNode)
+        .selectAll(NAVIGABLE)
+        .nodes()
+        .map(node => ({
+            data: d3.select(node).datum(),
+            x: getNodeX(node),
+            node,
+        }))
+        .sort((a, b) => a.x - b.x);
+};
+
+// buckets and clusters are computed again at each draw, hence compared by date and
+// by first drop
+export const isSameItem = (a, b) =>
+    a === b ||
+    (isBucket(a) && isBucket(b) && +a.date === +b.date) ||
+    (isCluster(a) && isCluster(b) && a.drops[0] === b.drops[0]);
+
+const getDefaultDescriptions = config => {
+    const {
+        bound: { format },
+        label: { text: labelText },
+        drop: { date: dropDate, endDate: dropEndDate },
+    } = config;
+    const spanning = isSpan(dropDate, dropEndDate);
+
+    return {
+        describeLine: row => labelText(row),
+        describeDrop: (d, row) =>
+            spanning(d)
+                ? `${row.name}: ${format(dropDate(d))} to ${format(
+                      new Date(dropEndDate(d))
+                  )}`
+                : `${row.name}: ${format(dropDate(d))}`,
+        describeBucket: ({ count, date }, row) =>
+            `${row.name}: ${count} event${count > 1 ? 's' : ''}, ${format(
+                date
+            )}`,
+        describeCluster: ({ count, drops }, row) =>
+            `${row.name}: ${count} overlapping events, ${format(
+                dropDate(drops[0])
+            )}`,
+        describeRange: ([start, end]) =>
+            `Showing ${format(start)} to ${format(end)}`,
+    };
+};
+
+/**
+ * Makes the chart usable with a keyboard. Lines are focusable, with a single tab stop
+ * (roving tabindex) moving along with focus:
+ *
+ * - left and right arrow keys (or home and end) move between events of a line,
+ * - up and down arrow keys move to the nearest event of previous or next line,
+ * - enter (or space) triggers `drop.onClick`, expands a cluster of overlapping drops,
+ *   or triggers `label.onClick` on a line,
+ * - escape moves focus back from an event to its line,
+ * - `+` and `-` zoom in and out around focused event, shift with arrow keys pans,
+ * - `[` and `]` go back and forward in zoom history, `0` resets zoom.
+ *
+ * Focused event and visible range are announced through an ARIA live region.
+ *
+ * @param {Object} config configuration
+ * @param {Object} svg chart d3 selection
+ * @param {HTMLElement} container element the live region is appended to
+ * @param {Object} options { state: chart runtime state, getScale, zoom: d3 zoom behavior or null, zoomHistory: { back, forward, reset } or null, scrollBy: function scrolling lines by given number of rows, or null, expandCluster: function called with a cluster and its row }
+ * @returns {Object} keyboard state: { focus, refresh, announce, remove }
+ */
+export const createKeyboardNavigation = (
+    config,
+    svg,
+    container,
+    { state, getScale, zoom, zoomHistory, scrollBy, expandCluster }
+) => {
+    const {
+        d3,
+        label: {
+            width: labelWidth,
+            padding: labelPadding,
+            onClick: labelOnClick,
+        },
+        line: { height: lineHeight },
+        drop: { onClick },
+        keyboard: keyboardConfig,
+    } = config;
+
+    const defaults = getDefaultDescriptions(config);
+    const {
+        label = 'Event drops',
+        panStep = 0.2,
+        zoomStep = 2,
+        describeLine = defaults.describeLine,
+        describeDrop = defaults.describeDrop,
+        describeBucket = defaults.describeBucket,
+        describeCluster = defaults.describeCluster,
+        describeRange = defaults.describeRange,
+    } = keyboardConfig;
+
+    const liveRegion = d3
+        .select(container)
+        .append('div')
+        .classed('event-drops-live', true)
+        .attr('role', 'status')
+        .attr('aria-live', 'polite');
+
+    svg.attr('role', 'application').attr('aria-label', label);
+
+    // focused line index, and focused drop (or bucket) data, null when the line itself is focused
+    const focus = { lineIndex: 0, data: null };
+
+    const getLines = () => svg.selectAll('.drop-line').nodes();
+
+    const describe = (d, row) => {
+        if (isBucket(d)) {
+            return describeBucket(d, row);
+        }
+
+        return isCluster(d) ? describeCluster(d, row) : describeDrop(d, row);
+    };
+
+    const announce = message => liveRegion.text(message);
+
+    const drawCanvasRing = (lineNode, { item }) => {
+        const { top } = state.canvas.items.get(lineNode);
+        const y = item.y - top - lineHeight / 2;
+        const drops = d3.select(lineNode).select('.drops');
+
+        if (item.type === 'drop' || item.type === 'cluster') {
+            drops
+                .append('circle')
+                .classed('focus-ring', true)
+                .attr('cx', item.x)
+                .attr('cy', y)
+                .attr('r', item.r + 3);
+            return;
+        }
+
+        drops
+            .append('rect')
+            .classed('focus-ring', true)
+            .attr('x', item.x)
+            .attr('y', y)
+            .attr('width', item.width)
+            .attr('height', item.height);
+    };
+
+    // element holding the single tab stop, so that it is given back without looking for it
+    let tabStop = null;
+
+    const releaseTabStop = () => {
+        if (!tabStop) {
+            return;
+        }
+
+        if (tabStop.classList.contains('drop-line')) {
+            tabStop.setAttribute('tabindex', '-1');
+        } else {
+            tabStop.removeAttribute('tabindex');
+            tabStop.removeAttribute('aria-label');
+        }
+        tabStop = null;
+    };
+
+    // gives the single tab stop to focused event (or line), moving DOM focus if asked to
+    const render = moveFocus => {
+        const lines = getLines();
+        if (!lines.length) {
+            return null;
+        }
+
+        focus.lineIndex = Math.min(focus.lineIndex, lines.length - 1);
+        const lineNode = lines[focus.lineIndex];
+        const item =
+            focus.data === null
+                ? null
+                : getLineItems(d3, lineNode, state.canvas).find(i =>
+                      isSameItem(i.data, focus.data)
+                  );
+
+        // focused event may have been zoomed out of view
+        if (!item) {
+            focus.data = null;
+        }
+
+        const svgNode = svg.node();
+        const hadFocus = svgNode.contains(svgNode.ownerDocument.activeElement);
+
+        releaseTabStop();
+        if (state.canvas) {
+            svg.selectAll('.focus-ring').remove();
+        }
+
+        let target = lineNode;
+        if (item && item.node) {
+            target = item.node;
+            target.setAttribute(
+                'aria-label',
+                describe(item.data, d3.select(lineNode).datum())
+            );
+        } else if (item) {
+            drawCanvasRing(lineNode, item);
+        }
+
+        target.setAttribute('tabindex', '0');
+        tabStop = target;
+        if (moveFocus || hadFocus) {
+            target.focus();
+        }
+
+        return item;
+    };
+
+    const focusItem = (lineIndex, data) => {
+        focus.lineIndex = lineIndex;
+        focus.data = data;
+
+        const item = render(true);
+        const row = d3.select(getLines()[focus.lineIndex]).datum();
+        announce(item ? describe(item.data, row) : describeLine(row));
+    };
+
+    const announceRange = () =>
+        announce(
+            describeRange(
+                getScale()
+                    .domain()
+                    .map(d => new Date(d))
+            )
+        );
+
+    const zoomBy = (direction, x) => {
+        const point = [x + labelWidth + labelPadding, 0];
+        svg.call(zoom.scaleBy, Math.pow(zoomStep, direction), point);
+        render(true);
+        announceRange();
+    };
+
+    const pan = direction => {
+        const width = getScale().range()[1];
+        const { k } = d3.zoomTransform(svg.node());
+        svg.call(zoom.translateBy, -direction * panStep * width / k, 0);
+        render(true);
+        announceRange();
+    };
+
+    svg.on('keydown.keyboard', ev => {
+        const lines = getLines();
+        if (!lines.length) {
+            return;
+        }
+
+        const lineNode = lines[focus.lineIndex];
+        const row = d3.select(lineNode).datum();
+        const items = getLineItems(d3, lineNode, state.canvas);
+        const index =
+            focus.data === null
+                ? -1
+                : items.findIndex(i => isSameItem(i.data, focus.data));
+        const current = items[index];
+
+        switch (ev.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const direction = ev.key === 'ArrowRight' ? 1 : -1;
+                if (ev.shiftKey) {
+                    if (!zoom) {
+                        return;
+                    }
+
+                    pan(direction);
+                    break;
+                }
+
+                const next =
+                    index === -1
+                        ? items[direction > 0 ? 0 : items.length - 1]
+                        : items[index + direction];
+                if (next) {
+                    focusItem(focus.lineIndex, next.data);
+                }
+                break;
+            }
+            case 'Home':
+            case 'End': {
+                const next = items[ev.key === 'Home' ? 0 : items.length - 1];
+                if (next) {
+                    focusItem(focus.lineIndex, next.data);
+                }
+                break;
+            }
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                const lineIndex = focus.lineIndex + LINE_KEYS[ev.key];
+                if (lineIndex < 0 || lineIndex >= lines.length) {
+                    // scrolled lines bring next row at the focused position
+                    if (scrollBy && scrollBy(LINE_KEYS[ev.key])) {
+                        focusItem(focus.lineIndex, null);
+                    }
+                    break;
+                }
+
+                if (!current) {
+                    focusItem(lineIndex, null);
+                    break;
+                }
+
+                // nearest event of the other line
+                const nearest = getLineItems(
+                    d3,
+                    lines[lineIndex],
+                    state.canvas
+                ).reduce(
+                    (best, item) =>
+                        !best ||
+                        Math.abs(item.x - current.x) <
+                            Math.abs(best.x - current.x)
+                            ? item
+                            : best,
+                    null
+                );
+                focusItem(lineIndex, nearest ? nearest.data : null);
+                break;
+            }
+            case 'Enter':
+            case ' ':
+                if (current && isCluster(current.data) && expandCluster) {
+                    // focus moves to the first drop of the cluster, once expanded
+                    focus.data = current.data.drops[0];
+                    expandCluster(current.data, row);
+                    focusItem(focus.lineIndex, focus.data);
+                } else if (current) {
+                    onClick(ev, current.data);
+                } else {
+                    labelOnClick(ev, row);
+                }
+                break;
+            case 'Escape':
+                if (!current) {
+                    return;
+                }
+
+                focusItem(focus.lineIndex, null);
+                break;
+            default: {
+                if (ev.key in HISTORY_KEYS && zoomHistory) {
+                    zoomHistory[HISTORY_KEYS[ev.key]]();
+                    render(true);
+                    announceRange();
+                    break;
+                }
+
+                if (!(ev.key in ZOOM_KEYS) || !zoom) {
+                    return;
+                }
+
+                const x = current ? current.x : getScale().range()[1] / 2;
+                zoomBy(ZOOM_KEYS[ev.key], x);
+            }
+        }
+
+        ev.preventDefault();
+    });
+
+    // keep track of focus moved with tab key or pointer
+    svg.on('focusin.keyboard', ev => {
+        const lineIndex = getLines().indexOf(ev.target);
+        if (lineIndex !== -1 && lineIndex !== focus.lineIndex) {
+            focus.lineIndex = lineIndex;
+            focus.data = null;
+        }
+    });
+
+    return {
+        focus,
+        announce,
+        /**
+         * Updates ARIA attributes of given lines, and restores focus after a redraw.
+         *
+         * @param {Object} lines d3 selection of redrawn `.drop-line` elements
+         */
+        refresh: lines => {
+            lines
+                .attr('role', 'group')
+                .attr('aria-label', describeLine)
+                .attr('tabindex', function() {
+                    return this === tabStop ? '0' : '-1';
+                });
+            render(false);
+        },
+        remove: () => liveRegion.remove(),
+    };
+};
@@ -0,0 +1,253 @@
+import { createKeyboardNavigation, getLineItems, isSameItem } from './keyboard';
+
+const foo = { name: 'foo' };
+const bar = { name: 'bar' };
+
+const createConfig = () => ({
+    d3,
+    bound: { format: d3.utcFormat('%Y-%m-%d') },
+    label: {
+        text: row => `${row.name} label`,
+        width: 200,
+        padding: 20,
+        onClick: jest.fn(),
+    },
+    line: { height: 40 },
+    drop: { date: d => new Date(d), endDate: null, onClick: jest.fn() },
+    keyboard: { label: 'Commits', panStep: 0.2, zoomStep: 2 },
+});
+
+const xScale = d3
+    .scaleTime()
+    .domain([new Date('2018-01-01'), new Date('2018-01-11')])
+    .range([0, 1000]);
+
+describe('Keyboard navigation', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="chart"><svg>
+                <g class="drop-line"><g class="drops">
+                    <circle class="drop" cx="400"></circle>
+                    <circle class="drop" cx="100"></circle>
+                </g></g>
+                <g class="drop-line"><g class="drops">
+                    <circle class="drop" cx="300"></circle>
+                    <circle class="drop" cx="900"></circle>
+                </g></g>
+            </svg></div>`;
+
+        const lines = d3.selectAll('.drop-line').data([foo, bar]);
+        lines
+            .filter(row => row === foo)
+            .selectAll('.drop')
+            .data(['2018-01-05', '2018-01-02']);
+        lines
+            .filter(row => row === bar)
+            .selectAll('.drop')
+            .data(['2018-01-04', '2018-01-10']);
+    });
+
+    const createNavigation = (
+        config = createConfig(),
+        zoom = null,
+        zoomHistory = null,
+        options = {}
+    ) => {
+        const svg = d3.select('svg');
+        const keyboard = createKeyboardNavigation(
+            config,
+            svg,
+            document.getElementById('chart'),
+            { state: {}, getScale: () => xScale, zoom, zoomHistory, ...options }
+        );
+        keyboard.refresh(d3.selectAll('.drop-line'));
+
+        return keyboard;
+    };
+
+    const press = (key, options = {}) =>
+        document.activeElement.dispatchEvent(
+            new KeyboardEvent('keydown', { key, bubbles: true, ...options })
+        );
+
+    const getAnnouncement = () =>
+        document.querySelector('.event-drops-live').textContent;
+
+    it('should return line items ordered by position', () => {
+        const items = getLineItems(d3, document.querySelector('.drop-line'));
+        expect(items.map(({ data, x }) => ({ data, x }))).toEqual([
+            { data: '2018-01-02', x: 100 },
+            { data: '2018-01-05', x: 400 },
+        ]);
+
+        expect(
+            isSameItem(
+                { date: new Date('2018-01-01'), _bucket: true },
+                { date: new Date('2018-01-01'), _bucket: true }
+            )
+        ).toBe(true);
+    });
+
+    it('should make lines focusable, with a single tab stop', () => {
+        createNavigation();
+
+        const svg = document.querySelector('svg');
+        expect(svg.getAttribute('role')).toBe('application');
+        expect(svg.getAttribute('aria-label')).toBe('Commits');
+
+        const lines = document.querySelectorAll('.drop-line');
+        expect([...lines].map(line => line.getAttribute('tabindex'))).toEqual([
+            '0',
+            '-1',
+        ]);
+        expect(lines[1].getAttribute('role')).toBe('group');
+        expect(lines[1].getAttribute('aria-label')).toBe('bar label');
+    });
+
+    it('should move between events of a line and across lines with arrow keys', () => {
+        createNavigation();
+        document.querySelector('.drop-line').focus();
+
+        press('ArrowRight');
+        expect(d3.select(document.activeElement).datum()).toBe('2018-01-02');
+        expect(document.activeElement.getAttribute('tabindex')).toBe('0');
+        expect(getAnnouncement()).toBe('foo: 2018-01-02');
+
+        press('ArrowRight');
+        expect(getAnnouncement()).toBe('foo: 2018-01-05');
+
+        // nearest event of next line
+        press('ArrowDown');
+        expect(d3.select(document.activeElement).datum()).toBe('2018-01-04');
+        expect(document.querySelectorAll('[tabindex="0"]').length).toBe(1);
+
+        press('Escape');
+        expect(document.activeElement).toBe(
+            document.querySelectorAll('.drop-line')[1]
+        );
+        expect(getAnnouncement()).toBe('bar label');
+    });
+
+    it('should trigger `drop.onClick` or `label.onClick` with enter key', () => {
+        const config = createConfig();
+        createNavigation(config);
+        document.querySelector('.drop-line').focus();
+
+        press('Enter');
+        expect(config.label.onClick).toHaveBeenCalledWith(
+            expect.anything(),
+            foo
+        );
+
+        press('End');
+        press('Enter');
+        expect(config.drop.onClick).toHaveBeenCalledWith(
+            expect.anything(),
+            '2018-01-05'
+        );
+    });
+
+    it('should reach clusters of overlapping drops, expanding them with enter key', () => {
+        const cluster = {
+            drops: ['2018-01-08', '2018-01-08'],
+            count: 2,
+            _cluster: true,
+        };
+        d3
+            .select('.drops')
+            .append('g')
+            .classed('drop-cluster', true)
+            .attr('transform', 'translate(700, 0)')
+            .datum(cluster);
+
+        const config = createConfig();
+        const expandCluster = jest.fn();
+        createNavigation(config, null, null, { expandCluster });
+        document.querySelector('.drop-line').focus();
+
+        press('End');
+        expect(document.activeElement.getAttribute('class')).toBe(
+            'drop-cluster'
+        );
+        expect(getAnnouncement()).toBe('foo: 2 overlapping events, 2018-01-08');
+
+        press('Enter');
+        expect(expandCluster).toHaveBeenCalledWith(cluster, foo);
+        expect(config.drop.onClick).not.toHaveBeenCalled();
+    });
+
+    it('should only give back the tab stop on refresh, leaving other events alone', () => {
+        const config = { ...createConfig(), keyboard: {} };
+        const keyboard = createNavigation(config);
+        document.querySelector('.drop-line').focus();
+        press('ArrowRight');
+
+        const svg = document.querySelector('svg');
+        expect(svg.getAttribute('aria-label')).toBe('Event drops');
+
+        keyboard.refresh(d3.selectAll('.drop-line'));
+        expect(
+            [...document.querySelectorAll('[tabindex]')].map(node => [
+                d3.select(node).datum(),
+                node.getAttribute('tabindex'),
+            ])
+        ).toEqual([[foo, '-1'], ['2018-01-02', '0'], [bar, '-1']]);
+    });
+
+    it('should zoom around focused event and pan with keys, announcing visible range', () => {
+        const transforms = [];
+        const zoom = d3
+            .zoom()
+            .extent([[0, 0], [1240, 100]]) // jsdom does not implement SVG sizes
+            .on('zoom', ev => transforms.push(ev.transform));
+        createNavigation(createConfig(), zoom);
+        document.querySelector('.drop-line').focus();
+
+        press('+');
+        expect(transforms[0].k).toBe(2);
+        // center of the chart stays in place
+        expect(transforms[0].apply([720, 0])).toEqual([720, 0]);
+        expect(getAnnouncement()).toBe('Showing 2018-01-01 to 2018-01-11');
+
+        press('ArrowRight', { shiftKey: true });
+        expect(transforms[1].x - transforms[0].x).toBe(-200);
+    });
+
+    it('should walk through zoom history with keys', () => {
+        const zoomHistory = {
+            back: jest.fn(),
+            forward: jest.fn(),
+            reset: jest.fn(),
+        };
+        createNavigation(createConfig(), d3.zoom(), zoomHistory);
+        document.querySelector('.drop-line').focus();
+
+        press('[');
+        press(']');
+        press('0');
+
+        expect(zoomHistory.back).toHaveBeenCalledTimes(1);
+        expect(zoomHistory.forward).toHaveBeenCalledTimes(1);
+        expect(zoomHistory.reset).toHaveBeenCalledTimes(1);
+        expect(getAnnouncement()).toBe('Showing 2018-01-01 to 2018-01-11');
+    });
+
+    it('should fall back to line once focused event is not displayed anymore', () => {
+        const keyboard = createNavigation();
+        document.querySelector('.drop-line').focus();
+        press('ArrowRight');
+
+        d3.select('.drop').remove();
+        d3.select('.drop').datum('2018-01-03');
+        keyboard.refresh(d3.selectAll('.drop-line'));
+
+        expect(keyboard.focus).toEqual({ lineIndex: 0, data: null });
+        expect(
+            document.querySelector('.drop-line').getAttribute('tabindex')
+        ).toBe('0');
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
@@ -0,0 +1,218 @@
+import { getSymbolPath } from './category';
+
+const SYMBOL_SIZE = 12;
+
+/**
+ * @param {Object} config configuration
+ * @param {Object} row chart row
+ * @returns {string} color of the row line, as configured with `line.color`
+ */
+export const getRowColor = ({ line: { color: lineColor } }, row) =>
+    typeof lineColor === 'function' ? lineColor(row, row._index) : lineColor;
+
+// list of toggle buttons (or of plain items, without `onToggle`), added next to the SVG
+const createLegendList = (
+    d3,
+    container,
+    { position = 'bottom', label, className, onToggle }
+) => {
+    const wrapper =
+        position === 'top'
+            ? d3.select(container).insert('div', ':first-child')
+            : d3.select(container).append('div');
+
+    wrapper.classed('event-drops-legend', true).classed(className, true);
+
+    const list = wrapper
+        .append('ul')
+        .attr('role', 'list')
+        .attr('aria-label', label);
+
+    return {
+        wrapper,
+        // returns entered items, and all items
+        join: items => {
+            const joined = list.selectAll('li').data(items);
+
+            joined.exit().remove();
+
+            const enter = joined.enter().append('li');
+            const merged = enter.merge(joined);
+
+            if (!onToggle) {
+                enter.append('span').classed('legend-item', true);
+                return { enter: enter.select('.legend-item'), merged };
+            }
+
+            enter
+                .append('button')
+                .attr('type', 'button')
+                .classed('legend-item', true)
+                .on('click', (ev, item) => onToggle(item));
+
+            // `select` propagates the item to buttons and their content
+            merged
+                .select('.legend-item')
+                .classed('hidden', item => !!item.hidden)
+                .attr('aria-pressed', item => String(!item.hidden));
+
+            return { enter: enter.select('.legend-item'), merged };
+        },
+    };
+};
+
+/**
+ * Creates the legend listing chart rows next to the SVG, when `legend` is configured.
+ * Each row is a toggle button, showing or hiding its line through `onToggle`.
+ *
+ * @param {Object} config configuration
+ * @param {HTMLElement} container element the legend is added to
+ * @param {Object} options { onToggle: called with the clicked row }
+ * @returns {Object} legend state: { node, draw, remove }
+ */
+export const createLegend = (config, container, { onToggle }) => {
+    const { d3, legend: { position, label = 'Rows' } } = config;
+
+    const { wrapper, join } = createLegendList(d3, container, {
+        position,
+        label,
+        className: 'row-legend',
+        onToggle,
+    });
+
+    return {
+        node: wrapper.node(),
+        draw: rows => {
+            const { enter, merged } = join(rows);
+
+            enter.append('span').classed('legend-swatch', true);
+            enter.append('span').classed('legend-label', true);
+
+            merged.style('padding-left', row => `${row._depth || 0}em`);
+            merged
+                .select('.legend-swatch')
+                .style('background-color', row => getRowColor(config, row));
+            merged.select('.legend-label').text(row => row.name);
+        },
+        remove: () => wrapper.remove(),
+    };
+};
+
+/**
+ * Creates the legend listing event categories next to the SVG, when `category.legend`
+ * is configured. Each category is a toggle button, showing or hiding its drops through
+ * `onToggle`.
+ *
+ * @param {Object} config configuration
+ * @param {HTMLElement} container element the legend is added to
+ * @param {Object} options { onToggle: called with the clicked category name }
+ * @returns {Object} legend state: { node, draw, remove }
+ */
+export const createCategoryLegend = (config, container, { onToggle }) => {
+    const {
+        d3,
+        drop: { radius: dropRadius },
+        category: { legend: { position, label = 'Categories' } },
+    } = config;
+
+    // symbols are drawn at drop size, as long as it does not depend on the drop
+    const radius =
+        typeof dropRadius === 'function' ? SYMBOL_SIZE / 2 - 1 : dropRadius;
+
+    const { wrapper, join } = createLegendList(d3, container, {
+        position,
+        label,
+        className: 'category-legend',
+        onToggle: category => onToggle(category.name),
+    });
+
+    return {
+        node: wrapper.node(),
+        draw: categories => {
+            const { enter, merged } = join(categories);
+
+            enter
+                .append('svg')
+                .classed('legend-symbol', true)
+                .attr('width', SYMBOL_SIZE)
+                .attr('height', SYMBOL_SIZE)
+                .attr('aria-hidden', true)
+                .append('path')
+                .attr(
+                    'transform',
+                    `translate(${SYMBOL_SIZE / 2}, ${SYMBOL_SIZE / 2})`
+                );
+            enter.append('span').classed('legend-label', true);
+
+            merged
+                .select('.legend-symbol path')
+                .attr('d', category =>
+                    getSymbolPath(
+                        d3,
+                        category.shape,
+                        Math.min(radius, SYMBOL_SIZE / 2)
+                    )
+                )
+                .attr('fill', category => category.color);
+            merged.select('.legend-label').text(category => category.name);
+        },
+        remove: () => wrapper.remove(),
+    };
+};
+
+/**
+ * Creates the legend showing drop radius of a few values next to the SVG, when drops are
+ * sized by value and `size.legend` is configured.
+ *
+ * @param {Object} config configuration
+ * @param {HTMLElement} container element the legend is added to
+ * @returns {Object} legend state: { node, draw, remove }
+ */
+export const createSizeLegend = (config, container) => {
+    const {
+        d3,
+        size: {
+            maxRadius,
+            legend: { position, label = 'Sizes', values, format },
+        },
+    } = config;
+
+    const formatValue = format || d3.format('~s');
+    const symbolSize = 2 * maxRadius + 2;
+
+    const { wrapper, join } = createLegendList(d3, container, {
+        position,
+        label,
+        className: 'size-legend',
+    });
+
+    return {
+        node: wrapper.node(),
+        draw: sizes => {
+            // nice values of the scale domain by default, 0 being left out
+            const items = (values || sizes.scale.ticks(3).filter(Boolean)).map(
+                value => ({ value, radius: sizes.scale(value) })
+            );
+            const { enter, merged } = join(items);
+
+            enter
+                .append('svg')
+                .classed('legend-symbol', true)
+                .attr('width', symbolSize)
+                .attr('height', symbolSize)
+                .attr('aria-hidden', true)
+                .append('circle')
+                .attr('cx', symbolSize / 2)
+                .attr('cy', symbolSize / 2);
+            enter.append('span').classed('legend-label', true);
+
+            merged
+                .select('.legend-symbol circle')
+                .attr('r', item => item.radius);
+            merged
+                .select('.legend-label')
+                .text(item => formatValue(item.value));
+        },
+        remove: () => wrapper.remove(),
+    };
+};
@@ -0,0 +1,133 @@
+import { createCategoryLegend, createLegend, createSizeLegend } from './legend';
+
+const createConfig = (legendConfig = {}) => ({
+    d3,
+    line: { color: (row, index) => ['red', 'green', 'blue'][index] },
+    legend: legendConfig,
+});
+
+describe('Legend', () => {
+    const rows = [
+        { name: 'foo', _index: 0, _depth: 0, children: [] },
+        { name: 'bar', _index: 1, _depth: 1, hidden: true },
+        { name: 'baz', _index: 2, _depth: 0 },
+    ];
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div><svg></svg></div>';
+    });
+
+    it('should list rows with their line color and visibility', () => {
+        const legend = createLegend(
+            createConfig(),
+            document.querySelector('div'),
+            { onToggle: () => {} }
+        );
+        legend.draw(rows);
+
+        const items = [...document.querySelectorAll('.legend-item')];
+        expect(items.map(item => item.textContent)).toEqual([
+            'foo',
+            'bar',
+            'baz',
+        ]);
+        expect(items.map(item => item.getAttribute('aria-pressed'))).toEqual([
+            'true',
+            'false',
+            'true',
+        ]);
+        expect(
+            [...document.querySelectorAll('.legend-swatch')].map(
+                swatch => swatch.style.backgroundColor
+            )
+        ).toEqual(['red', 'green', 'blue']);
+        expect(document.querySelectorAll('li')[1].style.paddingLeft).toBe(
+            '1em'
+        );
+        expect(document.querySelector('div').lastChild).toBe(legend.node);
+    });
+
+    it('should toggle clicked row, and be put above chart if asked to', () => {
+        const onToggle = jest.fn();
+        const legend = createLegend(
+            createConfig({ position: 'top' }),
+            document.querySelector('div'),
+            { onToggle }
+        );
+        legend.draw(rows);
+
+        document.querySelectorAll('.legend-item')[2].click();
+        expect(onToggle).toHaveBeenCalledWith(rows[2]);
+        expect(document.querySelector('div').firstChild).toBe(legend.node);
+
+        legend.remove();
+        expect(document.querySelector('.event-drops-legend')).toBe(null);
+    });
+
+    it('should list categories with their shape, toggling clicked one', () => {
+        const onToggle = jest.fn();
+        const legend = createCategoryLegend(
+            {
+                d3,
+                drop: { radius: 5 },
+                category: { legend: true },
+            },
+            document.querySelector('div'),
+            { onToggle }
+        );
+        legend.draw([
+            { name: 'deploy', color: 'blue', shape: 'square', hidden: false },
+            { name: 'alert', color: 'red', shape: 'triangle', hidden: true },
+        ]);
+
+        expect(
+            document
+                .querySelector('.category-legend ul')
+                .getAttribute('aria-label')
+        ).toBe('Categories');
+        const paths = document.querySelectorAll('.legend-symbol path');
+        expect(paths[0].getAttribute('fill')).toBe('blue');
+        expect(paths[1].getAttribute('d')).toBe(
+            d3
+                .symbol()
+                .type(d3.symbolTriangle)
+                .size(25 * Math.PI)()
+        );
+        expect(
+            document
+                .querySelectorAll('.legend-item')[1]
+                .getAttribute('aria-pressed')
+        ).toBe('false');
+
+        document.querySelectorAll('.legend-item')[1].click();
+        expect(onToggle).toHaveBeenCalledWith('alert');
+    });
+
+    it('should show radius of a few values when drops are sized', () => {
+        const legend = createSizeLegend(
+            { d3, size: { maxRadius: 10, legend: {} } },
+            document.querySelector('div')
+        );
+        const scale = d3
+            .scaleSqrt()
+            .domain([0, 3000])
+            .range([0, 10]);
+        legend.draw({ scale });
+
+        expect(
+            [...document.querySelectorAll('.size-legend li')].map(item => [
+                item.textContent,
+                item.querySelector('circle').getAttribute('r'),
+            ])
+        ).toEqual([
+            ['1k', String(scale(1000))],
+            ['2k', String(scale(2000))],
+            ['3k', '10'],
+        ]);
+        expect(document.querySelector('.size-legend button')).toBe(null);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
@@ -0,0 +1,193 @@
+import debounce from 'debounce';
+
+/**
+ * @param {*} drops `drops` configuration
+ * @returns {boolean} whether `drops` configures lazy loading (`{ loadRange }`)
+ */
+export const isLoader = drops =>
+    !!drops && typeof drops.loadRange === 'function';
+
+// parts of [start, end] not covered by given ranges, all as timestamps
+export const getMissingRanges = (ranges, [start, end]) => {
+    const missing = [];
+    let cursor = start;
+
+    [...ranges]
+        .sort((a, b) => a[0] - b[0])
+        .forEach(([rangeStart, rangeEnd]) => {
+            if (rangeEnd <= cursor || rangeStart >= end) {
+                return;
+            }
+
+            if (rangeStart > cursor) {
+                missing.push([cursor, rangeStart]);
+            }
+            cursor = Math.max(cursor, rangeEnd);
+        });
+
+    if (cursor < end) {
+        missing.push([cursor, end]);
+    }
+
+    return missing;
+};
+
+// loading state is kept on rows, so that it survives chart re-initializations (on resize)
+const getRowState = row => {
+    if (!row._loader) {
+        row._loader = { ranges: [], loading: 0, waiting: false };
+    }
+
+    return row._loader;
+};
+
+/**
+ * Creates the lazy loader used when `drops` is set to `{ loadRange }`. At each draw, it
+ * checks whether the displayed domain is covered by already loaded (or loading) periods
+ * of each row. If not, `loadRange(row, start, end)` is called for the missing periods,
+ * once zooming stopped for `wait` milliseconds.
+ *
+ * @param {Object} drops `drops` configuration: { loadRange, wait, padding }
+ * @param {Function} onChange called with rows whose data or loading state changed
+ * @returns {Object} loader
+ */
+export const createLoader = (
+    { loadRange, wait = 250, padding = 0.5 },
+    onChange
+) => {
+    // set once the chart is destroyed (or initialized again), results being ignored
+    let cancelled = false;
+    // called once each load in flight is over, with whether its period got loaded
+    const inFlight = new Set();
+
+    const loadRow = (row, [start, end]) => {
+        const state = getRowState(row);
+        const range = [start, end];
+        state.loading += 1;
+        state.ranges.push(range);
+
+        const finish = loaded => {
+            if (!inFlight.has(finish)) {
+                return;
+            }
+
+            inFlight.delete(finish);
+            state.loading -= 1;
+            if (!loaded) {
+                // period can be requested again
+                state.ranges = state.ranges.filter(r => r !== range);
+            }
+        };
+        inFlight.add(finish);
+
+        // `loadRange` throwing is handled as a rejected promise
+        return new Promise(resolve =>
+            resolve(loadRange(row, new Date(start), new Date(end)))
+        )
+            .then(drops => {
+                if (cancelled) {
+                    return;
+                }
+
+                row.fullData = row.fullData.concat(drops || []);
+                finish(true);
+            })
+            .catch(error => {
+                if (cancelled) {
+                    return;
+                }
+
+                finish(false);
+                console.error(
+                    `[Loader] Unable to load drops between ${new Date(
+                        start
+                    ).toISOString()} and ${new Date(end).toISOString()}.`,
+                    error
+                );
+            })
+            .then(() => {
+                if (!cancelled) {
+                    onChange([row]);
+                }
+            });
+    };
+
+    const waitingRows = new Set();
+
+    const load = ([start, end]) => {
+        const margin = (end - start) * padding;
+        const paddedDomain = [start - margin, end + margin];
+
+        const rows = [...waitingRows];
+        waitingRows.clear();
+
+        rows.forEach(row => {
+            getRowState(row).waiting = false;
+
+            const missing = getMissingRanges(
+                getRowState(row).ranges,
+                paddedDomain
+            );
+            if (!missing.length) {
+                // domain came back to loaded periods while waiting
+                onChange([row]);
+                return;
+            }
+
+            missing.forEach(range => loadRow(row, range));
+        });
+    };
+
+    const debouncedLoad = debounce(load, wait);
+
+    return {
+        /**
+         * Schedules loading of rows whose loaded periods don't cover given domain.
+         *
+         * @param {Array} rows displayed rows
+         * @param {Array} domain `[start, end]` dates
+         */
+        update(rows, domain) {
+            const [start, end] = domain.map(Number);
+
+            rows
+                .filter(
+                    row =>
+                        getMissingRanges(getRowState(row).ranges, [start, end])
+                            .length > 0
+                )
+                .forEach(row => {
+                    getRowState(row).waiting = true;
+                    waitingRows.add(row);
+                });
+
+            if (waitingRows.size) {
+                // latest domain is used when loading
+                debouncedLoad([start, end]);
+            }
+        },
+
+        /**
+         * @param {Object} row row object
+         * @returns {boolean} whether row drops are being loaded (or about to be)
+         */
+        isLoading(row) {
+            const state = row._loader;
+            return !!state && (state.waiting || state.loading > 0);
+        },
+
+        /**
+         * Stops loading, results of pending loads being ignored. Their periods can be
+         * requested again, e.g. by the loader of the chart initialized again on resize.
+         */
+        cancel() {
+            cancelled = true;
+            inFlight.forEach(finish => finish(false));
+            debouncedLoad.clear();
+            waitingRows.forEach(row => {
+                getRowState(row).waiting = false;
+            });
+            waitingRows.clear();
+        },
+    };
+};
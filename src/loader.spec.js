@@ -0,0 +1,237 @@
+import { createLoader, getMissingRanges, isLoader } from './loader';
+
+// in-memory server, with one event per day of January 2010
+const events = d3.timeDay.range(
+    new Date('2010-01-01T00:00:00'),
+    new Date('2010-02-01T00:00:00')
+);
+const fakeServer = {
+    calls: [],
+    loadRange(row, start, end) {
+        fakeServer.calls.push([start, end]);
+        return Promise.resolve(events.filter(d => d >= start && d < end));
+    },
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const domain = [
+    new Date('2010-01-10T00:00:00'),
+    new Date('2010-01-20T00:00:00'),
+];
+
+describe('Loader', () => {
+    beforeEach(() => {
+        fakeServer.calls = [];
+    });
+
+    it('should detect loader configuration', () => {
+        expect(isLoader(row => row.data)).toBe(false);
+        expect(isLoader({ loadRange: () => [] })).toBe(true);
+    });
+
+    it('should compute parts of a period not covered by given ranges', () => {
+        expect(getMissingRanges([], [0, 10])).toEqual([[0, 10]]);
+        expect(getMissingRanges([[5, 7], [0, 3]], [0, 10])).toEqual([
+            [3, 5],
+            [7, 10],
+        ]);
+        expect(getMissingRanges([[-5, 20]], [0, 10])).toEqual([]);
+    });
+
+    it('should debounce loading, then merge loaded drops into row', async () => {
+        const row = { fullData: [] };
+        const onChange = jest.fn();
+        const loader = createLoader(
+            { loadRange: fakeServer.loadRange, wait: 5, padding: 0 },
+            onChange
+        );
+
+        loader.update([row], [new Date('2010-01-01'), new Date('2010-01-02')]);
+        loader.update([row], domain);
+        expect(loader.isLoading(row)).toBe(true);
+
+        await wait(20);
+
+        expect(fakeServer.calls).toEqual([domain]);
+        expect(row.fullData.length).toBe(10);
+        expect(loader.isLoading(row)).toBe(false);
+        expect(onChange).toHaveBeenCalledWith([row]);
+    });
+
+    it('should only load periods which have not been loaded yet', async () => {
+        const row = { fullData: [] };
+        const loader = createLoader(
+            { loadRange: fakeServer.loadRange, wait: 0, padding: 0 },
+            () => {}
+        );
+
+        loader.update([row], domain);
+        await wait(10);
+
+        loader.update(
+            [row],
+            [new Date('2010-01-12T00:00:00'), new Date('2010-01-18T00:00:00')]
+        );
+        expect(loader.isLoading(row)).toBe(false);
+
+        loader.update(
+            [row],
+            [new Date('2010-01-15T00:00:00'), new Date('2010-01-25T00:00:00')]
+        );
+        await wait(10);
+
+        expect(fakeServer.calls[1]).toEqual([
+            new Date('2010-01-20T00:00:00'),
+            new Date('2010-01-25T00:00:00'),
+        ]);
+        expect(row.fullData.length).toBe(15);
+    });
+
+    it('should load a padded domain, to anticipate panning', async () => {
+        const row = { fullData: [] };
+        const loader = createLoader(
+            { loadRange: fakeServer.loadRange, wait: 0, padding: 0.5 },
+            () => {}
+        );
+
+        loader.update([row], domain);
+        await wait(10);
+
+        expect(fakeServer.calls).toEqual([
+            [new Date('2010-01-05T00:00:00'), new Date('2010-01-25T00:00:00')],
+        ]);
+    });
+
+    it('should allow to load a period again if loading failed', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const row = { fullData: [] };
+        const loadRange = jest.fn(() => Promise.reject(new Error('Boom')));
+        const loader = createLoader(
+            { loadRange, wait: 0, padding: 0 },
+            () => {}
+        );
+
+        loader.update([row], domain);
+        await wait(10);
+
+        expect(console.error).toHaveBeenCalled();
+        expect(loader.isLoading(row)).toBe(false);
+
+        loader.update([row], domain);
+        await wait(10);
+
+        expect(loadRange).toHaveBeenCalledTimes(2);
+    });
+
+    it('should handle loadRange throwing as a failed load', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const row = { fullData: [] };
+        const onChange = jest.fn();
+        const loadRange = jest.fn(() => {
+            throw new Error('Boom');
+        });
+        const loader = createLoader(
+            { loadRange, wait: 0, padding: 0 },
+            onChange
+        );
+
+        loader.update([row], domain);
+        await wait(10);
+
+        expect(console.error).toHaveBeenCalled();
+        expect(loader.isLoading(row)).toBe(false);
+        expect(onChange).toHaveBeenCalledWith([row]);
+
+        loader.update([row], domain);
+        await wait(10);
+
+        expect(loadRange).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not load anything once cancelled', async () => {
+        const row = { fullData: [] };
+        const loader = createLoader(
+            { loadRange: fakeServer.loadRange, wait: 0 },
+            () => {}
+        );
+
+        loader.update([row], domain);
+        loader.cancel();
+        await wait(10);
+
+        expect(fakeServer.calls).toEqual([]);
+        expect(loader.isLoading(row)).toBe(false);
+    });
+
+    it('should ignore loads finishing once cancelled', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const loaded = { fullData: [] };
+        const failed = { fullData: [] };
+        const onChange = jest.fn();
+        const loader = createLoader(
+            {
+                loadRange: row =>
+                    row === loaded
+                        ? wait(5).then(() => events)
+                        : wait(5).then(() => Promise.reject(new Error('Boom'))),
+                wait: 0,
+                padding: 0,
+            },
+            onChange
+        );
+
+        loader.update([loaded, failed], domain);
+        await wait(1);
+        loader.cancel();
+        await wait(20);
+
+        expect(onChange).not.toHaveBeenCalled();
+        expect(console.error).not.toHaveBeenCalled();
+        expect(loaded.fullData).toEqual([]);
+        expect(loader.isLoading(loaded)).toBe(false);
+
+        // periods can be loaded again, e.g. by the chart initialized again on resize
+        const reloaded = jest.fn(() => Promise.resolve([]));
+        createLoader({ loadRange: reloaded, wait: 0 }, () => {}).update(
+            [loaded],
+            domain
+        );
+        await wait(10);
+        expect(reloaded).toHaveBeenCalledTimes(1);
+    });
+
+    it('should load again periods loading when resized', async () => {
+        const row = { fullData: [] };
+        const resolves = [];
+        const loadRange = jest.fn(
+            () => new Promise(resolve => resolves.push(resolve))
+        );
+        const options = { loadRange, wait: 0, padding: 0 };
+
+        const loader = createLoader(options, () => {});
+        loader.update([row], domain);
+        await wait(10);
+        expect(loadRange).toHaveBeenCalledTimes(1);
+
+        // chart is initialized again, with a new loader
+        loader.cancel();
+        const onChange = jest.fn();
+        const resizedLoader = createLoader(options, onChange);
+        resizedLoader.update([row], domain);
+        await wait(10);
+        expect(loadRange).toHaveBeenCalledTimes(2);
+
+        resolves[0](events.slice(0, 2));
+        resolves[1](events.slice(0, 3));
+        await wait(10);
+
+        expect(row.fullData.length).toBe(3);
+        expect(resizedLoader.isLoading(row)).toBe(false);
+        expect(onChange).toHaveBeenCalledWith([row]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,197 @@
+import { calculateBucketPosition, getHeatmap } from './heatmap';
+
+const DEFAULT_HEIGHT = 40;
+
+/**
+ * @param {Object} config configuration
+ * @returns {number} height taken by the minimap below the chart, 0 without minimap
+ */
+export const getMinimapHeight = ({ minimap }) => {
+    if (!minimap) {
+        return 0;
+    }
+
+    return minimap.height === undefined ? DEFAULT_HEIGHT : minimap.height;
+};
+
+/**
+ * Counts events of all rows over the overview period, using heatmap buckets sized for
+ * the overview scale. Buckets are aggregated from `fullData`, whatever the current zoom.
+ *
+ * @param {Object} config configuration
+ * @param {Object} overviewScale d3 scaleTime spanning the configured `range`
+ * @param {string} breakpointLabel current breakpoint label
+ * @param {Array} rows chart rows
+ * @returns {Object} { timeInterval, buckets: [{ date, count }] sorted by date }
+ */
+export const getDensity = (config, overviewScale, breakpointLabel, rows) => {
+    const { timeInterval, bucketData } = getHeatmap(
+        config,
+        overviewScale,
+        breakpointLabel
+    );
+
+    const counts = new Map();
+    rows.forEach(row =>
+        bucketData({ data: row.fullData || [] }).forEach(({ date, count }) => {
+            const key = date.getTime();
+            counts.set(key, (counts.get(key) || 0) + count);
+        })
+    );
+
+    return {
+        timeInterval,
+        buckets: [...counts.keys()]
+            .sort((a, b) => a - b)
+            .map(key => ({ date: new Date(key), count: counts.get(key) })),
+    };
+};
+
+/**
+ * Creates the overview strip drawn below bounds when `minimap` is configured. It shows
+ * event density over the whole configured `range`, and a window matching the visible
+ * period, which can be dragged or resized to zoom and pan the chart.
+ *
+ * While the window is dragged, `onPreview` is called with the window domain so that the
+ * chart follows it, and `onChange` once dragging ends. Calling `update` moves the window
+ * to the current chart domain, e.g. after a zoom. `draw` takes the number of displayed
+ * lines as second argument when it differs from the number of rows (e.g. with `maxHeight`).
+ *
+ * @param {Object} config configuration
+ * @param {Object} svg chart d3 selection
+ * @param {Object} options { scale: overview d3 scaleTime, breakpointLabel, onPreview, onChange }
+ * @returns {Object} minimap state: { draw, update, remove }
+ */
+export const createMinimap = (
+    config,
+    svg,
+    { scale, breakpointLabel, onPreview, onChange }
+) => {
+    const {
+        d3,
+        margin,
+        label: { width: labelWidth },
+        line: { height: lineHeight },
+        minimap: minimapConfig,
+    } = config;
+    const { minBucketWidth = 1 } = minimapConfig;
+    const height = getMinimapHeight(config);
+
+    const width = scale.range()[1];
+    let domain = scale.domain();
+    let dragging = false;
+
+    const container = svg.append('g').classed('minimap', true);
+
+    container
+        .append('rect')
+        .classed('minimap-background', true)
+        .attr('width', width)
+        .attr('height', height);
+
+    const density = container.append('g').classed('minimap-density', true);
+
+    const getDomain = selection => selection.map(x => scale.invert(x));
+
+    const behavior = d3
+        .brushX()
+        .extent([[0, 0], [width, height]])
+        .on('start', ev => {
+            dragging = !!ev.sourceEvent;
+        })
+        .on('brush', ev => {
+            if (!ev.sourceEvent || !ev.selection) {
+                return;
+            }
+
+            onPreview(getDomain(ev.selection));
+        })
+        .on('end', ev => {
+            if (!ev.sourceEvent) {
+                return;
+            }
+
+            dragging = false;
+
+            // a click outside of the window clears brush selection: put it back
+            if (!ev.selection) {
+                minimap.update(domain);
+                return;
+            }
+
+            onChange(getDomain(ev.selection));
+        });
+
+    const windowContainer = container
+        .append('g')
+        .classed('minimap-window', true)
+        .call(behavior);
+
+    const minimap = {
+        draw: (rows, numberLines = rows.length) => {
+            container.attr(
+                'transform',
+                `translate(${margin.left + labelWidth}, ${margin.top +
+                    (numberLines + 1) * lineHeight})`
+            );
+
+            const { timeInterval, buckets } = getDensity(
+                config,
+                scale,
+                breakpointLabel,
+                rows
+            );
+            const maxCount = buckets.reduce(
+                (max, { count }) => Math.max(max, count),
+                1
+            );
+
+            const bars = density.selectAll('.minimap-bucket').data(buckets);
+
+            bars.exit().remove();
+
+            bars
+                .enter()
+                .append('rect')
+                .classed('minimap-bucket', true)
+                .merge(bars)
+                .each(function(d) {
+                    const { x, width: barWidth } = calculateBucketPosition(
+                        d,
+                        scale,
+                        timeInterval,
+                        minBucketWidth
+                    );
+                    const barHeight = d.count / maxCount * height;
+
+                    d3
+                        .select(this)
+                        .attr('x', x)
+                        .attr('width', barWidth)
+                        .attr('y', height - barHeight)
+                        .attr('height', barHeight);
+                });
+        },
+        update: newDomain => {
+            domain = newDomain.map(d => new Date(d));
+
+            // do not fight with the user dragging the window
+            if (dragging) {
+                return;
+            }
+
+            const x0 = Math.max(0, Math.min(width, scale(domain[0])));
+            const x1 = Math.max(0, Math.min(width, scale(domain[1])));
+
+            // keep window visible, even when zoomed on a tiny period
+            const center = (x0 + x1) / 2;
+            const selection =
+                x1 - x0 >= 1 ? [x0, x1] : [center - 0.5, center + 0.5];
+
+            windowContainer.call(behavior.move, selection);
+        },
+        remove: () => container.remove(),
+    };
+
+    return minimap;
+};
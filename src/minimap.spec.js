@@ -0,0 +1,122 @@
+import { createMinimap, getDensity, getMinimapHeight } from './minimap';
+
+const createConfig = (minimapConfig = {}) => ({
+    d3,
+    drop: { date: d => d, endDate: null },
+    numberDisplayedTicks: { extra: 12 },
+    bucketSize: { minWidth: 100, maxWidth: null },
+    margin: { top: 20, left: 10 },
+    label: { width: 200 },
+    line: { height: 40 },
+    minimap: minimapConfig,
+});
+
+const scale = d3
+    .scaleTime()
+    .domain([new Date(2018, 0, 1), new Date(2018, 0, 11)])
+    .range([0, 1000]);
+
+const rows = [
+    {
+        fullData: [
+            new Date(2018, 0, 2, 10),
+            new Date(2018, 0, 2, 12),
+            new Date(2018, 0, 5),
+        ],
+    },
+    { fullData: [new Date(2018, 0, 2, 8)] },
+];
+
+const mouse = (type, clientX) =>
+    new MouseEvent(type, { bubbles: true, view: window, clientX });
+
+describe('Minimap', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<svg></svg>';
+    });
+
+    it('should count events of all rows per overview bucket', () => {
+        const { buckets } = getDensity(createConfig(), scale, 'extra', rows);
+
+        expect(buckets).toEqual([
+            { date: new Date(2018, 0, 2), count: 3 },
+            { date: new Date(2018, 0, 5), count: 1 },
+        ]);
+    });
+
+    it('should take configured height below the chart', () => {
+        expect(getMinimapHeight({ minimap: false })).toBe(0);
+        expect(getMinimapHeight(createConfig())).toBe(40);
+        expect(getMinimapHeight(createConfig({ height: 60 }))).toBe(60);
+    });
+
+    it('should draw density bars below the lines', () => {
+        const minimap = createMinimap(createConfig(), d3.select('svg'), {
+            scale,
+            breakpointLabel: 'extra',
+        });
+        minimap.draw(rows);
+
+        expect(
+            document.querySelector('.minimap').getAttribute('transform')
+        ).toBe('translate(210, 140)');
+
+        const bars = [...document.querySelectorAll('.minimap-bucket')].map(
+            bar =>
+                ['x', 'width', 'height'].map(key =>
+                    Math.round(bar.getAttribute(key))
+                )
+        );
+        expect(bars).toEqual([[100, 100, 40], [400, 100, 13]]);
+    });
+
+    it('should move window along with chart domain, and zoom chart when dragged', () => {
+        const onPreview = jest.fn();
+        const onChange = jest.fn();
+        const minimap = createMinimap(createConfig(), d3.select('svg'), {
+            scale,
+            breakpointLabel: 'extra',
+            onPreview,
+            onChange,
+        });
+
+        minimap.update([new Date(2018, 0, 3), new Date(2018, 0, 5)]);
+
+        const selection = document.querySelector('.minimap-window .selection');
+        expect(+selection.getAttribute('x')).toBe(200);
+        expect(+selection.getAttribute('width')).toBe(200);
+
+        selection.dispatchEvent(mouse('mousedown', 250));
+        window.dispatchEvent(mouse('mousemove', 350));
+
+        expect(onPreview).toHaveBeenCalledWith([
+            new Date(2018, 0, 4),
+            new Date(2018, 0, 6),
+        ]);
+
+        // chart redraws while dragging do not move the window back
+        minimap.update([new Date(2018, 0, 4), new Date(2018, 0, 6)]);
+
+        window.dispatchEvent(mouse('mouseup', 350));
+        expect(onChange).toHaveBeenCalledWith([
+            new Date(2018, 0, 4),
+            new Date(2018, 0, 6),
+        ]);
+    });
+
+    it('should keep a visible window when zoomed on a tiny period', () => {
+        const minimap = createMinimap(createConfig(), d3.select('svg'), {
+            scale,
+            breakpointLabel: 'extra',
+        });
+
+        minimap.update([new Date(2018, 0, 3), new Date(2018, 0, 3, 0, 1)]);
+
+        const selection = document.querySelector('.minimap-window .selection');
+        expect(+selection.getAttribute('width')).toBe(1);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
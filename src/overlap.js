@@ -0,0 +1,244 @@
+// space kept between drops laid out next to each other, in pixels
+const PADDING = 1;
+
+// placed drops checked for collisions, nearest first, so that each drop is laid out in
+// bounded time however many drops share the same date
+const MAX_NEIGHBOURS = 64;
+
+// relative change of the visible time span below which zoom level is considered unchanged
+const ZOOM_TOLERANCE = 1e-3;
+
+// no spread into Math.max, which overflows the call stack on huge arrays
+const getMaxRadius = items =>
+    items.reduce((max, item) => Math.max(max, item.r), 0);
+
+// drops drawn at the same pixel (and of the same category) overlap
+const groupOverlapping = (items, categories) => {
+    const groups = new Map();
+    items.forEach(item => {
+        const x = Math.round(item.x);
+        const key = categories
+            ? `${x} ${categories.getCategory(item.data)}`
+            : x;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(item);
+    });
+
+    return [...groups.values()];
+};
+
+// spreads overlapping drops vertically around the line middle, within the line height
+const stack = (group, lineHeight) => {
+    if (group.length < 2) {
+        return;
+    }
+
+    const maxRadius = getMaxRadius(group);
+    const step = Math.max(
+        0,
+        Math.min(
+            2 * maxRadius + PADDING,
+            (lineHeight - 2 * maxRadius) / (group.length - 1)
+        )
+    );
+
+    group.forEach((item, index) => {
+        item.y = (index - (group.length - 1) / 2) * step;
+    });
+};
+
+/**
+ * Places each drop at its date, as close as possible to the line middle without
+ * colliding with previously placed drops. Drops which cannot fit in the line height
+ * are put at its edge. Only the nearest placed drops are checked for collisions, which
+ * keeps layout linear on crowded lines, drawn again at each zoom tick.
+ *
+ * @param {Array} items drops as { x, r } objects, given a `y` position
+ * @param {number} lineHeight line height, in pixels
+ */
+export const beeswarm = (items, lineHeight) => {
+    const placed = [];
+    const maxRadius = getMaxRadius(items);
+
+    items
+        .slice()
+        .sort((a, b) => a.x - b.x)
+        .forEach(item => {
+            const bound = Math.max(0, lineHeight / 2 - item.r);
+
+            // vertical intervals where the drop would collide with a placed one
+            const blocked = [];
+            const last = Math.max(0, placed.length - MAX_NEIGHBOURS);
+            for (let i = placed.length - 1; i >= last; i--) {
+                const other = placed[i];
+                const dx = item.x - other.x;
+                const distance = item.r + other.r + PADDING;
+                if (dx >= item.r + maxRadius + PADDING) {
+                    break;
+                }
+
+                if (dx < distance) {
+                    const dy = Math.sqrt(distance * distance - dx * dx);
+                    blocked.push([other.y - dy, other.y + dy]);
+                }
+            }
+
+            const isFree = y =>
+                blocked.every(([low, high]) => y <= low || y >= high);
+            const candidates = [0]
+                .concat(...blocked)
+                .sort((a, b) => Math.abs(a) - Math.abs(b));
+
+            const y = candidates.find(
+                candidate => Math.abs(candidate) <= bound && isFree(candidate)
+            );
+
+            item.y =
+                y === undefined
+                    ? Math.max(
+                          -bound,
+                          Math.min(bound, candidates[candidates.length - 1])
+                      )
+                    : y;
+
+            placed.push(item);
+        });
+};
+
+/**
+ * Spreads drops drawn at the same pixel (and of the same category) vertically, within
+ * the line height.
+ *
+ * @param {Array} items drops as { data, x, r } objects, given a `y` position
+ * @param {number} lineHeight line height, in pixels
+ * @param {Object} categories categories state, if any
+ */
+export const stackOverlapping = (items, lineHeight, categories) => {
+    groupOverlapping(items, categories).forEach(group =>
+        stack(group, lineHeight)
+    );
+};
+
+/**
+ * Replaces drops drawn at the same pixel (and of the same category) with a cluster,
+ * drawn as a bigger drop with their count. Drops of expanded clusters are stacked
+ * instead.
+ *
+ * @param {Array} items drops as { data, x, r } objects, given a `y` position
+ * @param {number} lineHeight line height, in pixels
+ * @param {Object} categories categories state, if any
+ * @param {Object} expandedClusters expanded clusters state (or any object with `has`)
+ * @returns {Object} { drops, clusters }, clusters being { drops, x, y, r, count } objects
+ */
+export const clusterOverlapping = (
+    items,
+    lineHeight,
+    categories,
+    expandedClusters
+) => {
+    // clusters are identified by their first drop, so that they stay expanded on zoom
+    const isExpanded = group =>
+        group.length < 2 ||
+        (!!expandedClusters && expandedClusters.has(group[0].data));
+
+    const groups = groupOverlapping(items, categories);
+    const expanded = groups.filter(isExpanded);
+    expanded.forEach(group => stack(group, lineHeight));
+
+    return {
+        drops: [].concat(...expanded),
+        clusters: groups.filter(group => !isExpanded(group)).map(group => {
+            const maxRadius = getMaxRadius(group);
+
+            return {
+                drops: group.map(item => item.data),
+                x: group[0].x,
+                y: 0,
+                r: Math.min(
+                    lineHeight / 2 - PADDING,
+                    maxRadius + Math.sqrt(group.length)
+                ),
+                count: group.length,
+                _cluster: true,
+            };
+        }),
+    };
+};
+
+/**
+ * Creates the expanded clusters state, used when `drop.overlap` is `'cluster'`. Clusters
+ * are identified by their first drop, so they stay expanded while panning. As drops
+ * overlap differently at another zoom level, all clusters collapse once it changes.
+ *
+ * @returns {Object} expanded clusters state: { has, expand, update, size }
+ */
+export const createExpandedClusters = () => {
+    const expanded = new Set();
+    // time span of the domain clusters were expanded at
+    let span = null;
+
+    const getSpan = ([start, end]) => +end - +start;
+
+    return {
+        has: drop => expanded.has(drop),
+        /**
+         * @param {Object} cluster cluster to expand
+         * @param {Array} domain current x scale domain
+         */
+        expand: (cluster, domain) => {
+            expanded.add(cluster.drops[0]);
+            span = getSpan(domain);
+        },
+        /**
+         * @param {Array} domain x scale domain about to be drawn
+         * @returns {boolean} true if clusters were collapsed
+         */
+        update: domain => {
+            if (!expanded.size) {
+                return false;
+            }
+
+            const nextSpan = getSpan(domain);
+            if (Math.abs(nextSpan - span) <= ZOOM_TOLERANCE * span) {
+                return false;
+            }
+
+            expanded.clear();
+            span = null;
+            return true;
+        },
+        size: () => expanded.size,
+    };
+};
+
+/**
+ * Tells clusters of overlapping drops apart from drops and buckets, e.g. when navigating
+ * with the keyboard.
+ *
+ * @param {*} d datum of a drop, bucket or cluster
+ * @returns {boolean} whether datum is a cluster
+ */
+export const isCluster = d => !!d && d._cluster === true;
+
+/**
+ * Expands clusters when clicking them. A single listener on the SVG handles clusters of
+ * all lines.
+ *
+ * @param {Object} d3 d3 object
+ * @param {Function} onExpand called with the clicked cluster and its row
+ */
+export const addClusterHandling = (d3, onExpand) => svg => {
+    svg.on('click.cluster', ev => {
+        const element = ev.target.closest && ev.target.closest('.drop-cluster');
+        if (!element) {
+            return;
+        }
+
+        onExpand(
+            d3.select(element).datum(),
+            d3.select(element.closest('.drop-line')).datum()
+        );
+    });
+};
@@ -0,0 +1,137 @@
+import {
+    addClusterHandling,
+    beeswarm,
+    clusterOverlapping,
+    createExpandedClusters,
+    stackOverlapping,
+} from './overlap';
+
+const createItems = xs =>
+    xs.map((x, i) => ({ data: { id: i }, x, y: 0, r: 5 }));
+
+describe('Overlap', () => {
+    it('should stack drops drawn at the same pixel around line middle', () => {
+        const items = createItems([10, 10.2, 9.9, 50]);
+
+        stackOverlapping(items, 40);
+        expect(items.map(({ y }) => y)).toEqual([-11, 0, 11, 0]);
+
+        // drops are squeezed to fit in the line height
+        const crowded = createItems([10, 10, 10, 10, 10]);
+        stackOverlapping(crowded, 40);
+        expect(crowded.map(({ y }) => y)).toEqual([-15, -7.5, 0, 7.5, 15]);
+    });
+
+    it('should place drops without collisions, as close as possible to line middle', () => {
+        const items = createItems([10, 14, 18, 40]);
+
+        beeswarm(items, 40);
+        expect(items[0].y).toBe(0);
+        expect(items[3].y).toBe(0);
+
+        items.forEach((a, i) =>
+            items.slice(i + 1).forEach(b => {
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                expect(distance).toBeGreaterThanOrEqual(a.r + b.r);
+            })
+        );
+        items.forEach(({ y, r }) =>
+            expect(Math.abs(y)).toBeLessThanOrEqual(20 - r)
+        );
+    });
+
+    it('should put drops which do not fit at the line edge', () => {
+        const items = createItems([10, 10, 10, 10]);
+
+        beeswarm(items, 20);
+        expect(items.map(({ y }) => y)).toEqual([0, 5, 5, 5]);
+    });
+
+    it('should only check nearest drops for collisions', () => {
+        const items = createItems(new Array(1000).fill(10));
+
+        beeswarm(items, 40);
+        expect(items[0].y).toBe(0);
+        items.forEach(({ y }) => expect(Math.abs(y)).toBeLessThanOrEqual(15));
+
+        // the first drop is out of the ones checked by the 66th drop
+        const spread = createItems(new Array(66).fill(10));
+        beeswarm(spread, 1000);
+        expect(spread[64].y).not.toBe(0);
+        expect(spread[65].y).toBe(0);
+    });
+
+    it('should replace overlapping drops with a cluster, unless expanded', () => {
+        const items = createItems([10, 10, 10, 50, 50]);
+
+        const { drops, clusters } = clusterOverlapping(items, 40);
+        expect(drops).toEqual([]);
+        expect(clusters).toEqual([
+            {
+                drops: [{ id: 0 }, { id: 1 }, { id: 2 }],
+                x: 10,
+                y: 0,
+                r: 5 + Math.sqrt(3),
+                count: 3,
+                _cluster: true,
+            },
+            {
+                drops: [{ id: 3 }, { id: 4 }],
+                x: 50,
+                y: 0,
+                r: 5 + Math.sqrt(2),
+                count: 2,
+                _cluster: true,
+            },
+        ]);
+
+        const expanded = clusterOverlapping(
+            items.map(({ data, x, r }) => ({ data, x, y: 0, r })),
+            40,
+            null,
+            new Set([items[3].data])
+        );
+        expect(expanded.drops.map(({ x, y }) => [x, y])).toEqual([
+            [50, -5.5],
+            [50, 5.5],
+        ]);
+        expect(expanded.clusters.map(({ count }) => count)).toEqual([3]);
+    });
+
+    it('should keep clusters expanded while panning, until zoom level changes', () => {
+        const expandedClusters = createExpandedClusters();
+        const drop = { id: 0 };
+        const cluster = { drops: [drop, { id: 1 }] };
+
+        expect(expandedClusters.update([0, 100])).toBe(false);
+        expandedClusters.expand(cluster, [0, 100]);
+        expect(expandedClusters.has(drop)).toBe(true);
+        expect(expandedClusters.has(cluster.drops[1])).toBe(false);
+
+        expect(expandedClusters.update([50, 150])).toBe(false);
+        expect(expandedClusters.has(drop)).toBe(true);
+
+        expect(expandedClusters.update([50, 100])).toBe(true);
+        expect(expandedClusters.has(drop)).toBe(false);
+        expect(expandedClusters.size()).toBe(0);
+    });
+
+    it('should expand clicked cluster', () => {
+        document.body.innerHTML =
+            '<svg><g class="drop-line"><g class="drop-cluster"><circle></circle></g></g></svg>';
+        const row = { name: 'foo' };
+        const cluster = { count: 2 };
+        d3.select('.drop-line').datum(row);
+        d3.select('.drop-cluster').datum(cluster);
+
+        const onExpand = jest.fn();
+        d3.select('svg').call(addClusterHandling(d3, onExpand));
+
+        document
+            .querySelector('circle')
+            .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        expect(onExpand).toHaveBeenCalledWith(cluster, row);
+
+        document.body.innerHTML = '';
+    });
+});
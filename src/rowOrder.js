@@ -0,0 +1,195 @@
+import { getDropIndex, sliceDrops } from './dropIndex';
+import { getLeafRows, isGroup } from './groups';
+
+const getPresetComparator = (config, sort, domain, loadRow) => {
+    const { drop: { date: dropDate, endDate: dropEndDate } } = config;
+    const dateBounds = domain.map(d => new Date(d));
+
+    // groups are sorted according to drops of all their rows
+    const getIndexes = row =>
+        (isGroup(row) ? getLeafRows(row.children) : [row]).map(leaf =>
+            getDropIndex(loadRow(leaf), dropDate, dropEndDate)
+        );
+
+    const getKeys = {
+        count: row =>
+            getIndexes(row).reduce(
+                (total, index) => total + sliceDrops(index, dateBounds).length,
+                0
+            ),
+        recent: row =>
+            getIndexes(row).reduce(
+                (latest, { times }) =>
+                    times.length
+                        ? Math.max(latest, times[times.length - 1])
+                        : latest,
+                -Infinity
+            ),
+    };
+
+    if (sort === 'name') {
+        return (a, b) => String(a.name).localeCompare(String(b.name));
+    }
+
+    if (!getKeys[sort]) {
+        throw new Error(
+            `Unknown rows sort "${sort}". Use "name", "count", "recent" or a comparison function.`
+        );
+    }
+
+    // keys are computed once per row, as they may involve all its drops
+    const keys = new Map();
+    const getKey = row => {
+        if (!keys.has(row)) {
+            keys.set(row, getKeys[sort](row));
+        }
+
+        return keys.get(row);
+    };
+
+    // descending, rows without any drop being last
+    return (a, b) => {
+        const keyA = getKey(a);
+        const keyB = getKey(b);
+
+        return keyA === keyB ? 0 : keyA > keyB ? -1 : 1;
+    };
+};
+
+/**
+ * Sorts rows according to `rows.sort` configuration: `'name'` (alphabetical order),
+ * `'count'` (most drops in given domain first), `'recent'` (most recent drop first), or
+ * a comparison function. Children of groups are sorted too, replacing their `children`.
+ *
+ * @param {Object} config configuration
+ * @param {Array} rows top level rows
+ * @param {Array} domain currently displayed `[date, date]` domain
+ * @param {Function} loadRow function making sure a row has its `fullData`
+ * @returns {Array} sorted rows, as a new array
+ */
+export const sortRows = (config, rows, domain, loadRow) => {
+    const { rows: { sort } } = config;
+    const compare =
+        typeof sort === 'function'
+            ? sort
+            : getPresetComparator(config, sort, domain, loadRow);
+
+    const sortLevel = level =>
+        level
+            .slice()
+            .sort(compare)
+            .map(row => {
+                if (isGroup(row)) {
+                    row.children = sortLevel(row.children);
+                }
+
+                return row;
+            });
+
+    return sortLevel(rows);
+};
+
+/**
+ * @param {Array} rows sibling rows
+ * @param {Object} row moved row
+ * @param {number} targetIndex new index of the moved row
+ * @returns {Array} reordered rows, as a new array
+ */
+export const moveRow = (rows, row, targetIndex) => {
+    const reordered = rows.filter(sibling => sibling !== row);
+    reordered.splice(targetIndex, 0, row);
+
+    return reordered;
+};
+
+/**
+ * Finds where a row dropped on the line of `target` should go: rows only move among
+ * their siblings, so a line of another group targets its ancestor sharing the same group.
+ *
+ * @param {WeakMap} parents group of each row
+ * @param {Object} row dragged row
+ * @param {Object} target row of the line where it has been dropped
+ * @returns {Object} sibling to take the place of, or null if there is none
+ */
+export const getSiblingTarget = (parents, row, target) => {
+    const parent = parents.get(row);
+    for (let sibling = target; sibling; sibling = parents.get(sibling)) {
+        if (parents.get(sibling) === parent) {
+            return sibling;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * @param {Object} svg chart d3 selection
+ * @returns {Map} current top position of each displayed row, in pixels
+ */
+export const getLinePositions = svg => {
+    const positions = new Map();
+    svg.selectAll('.drop-line').each(function(row) {
+        const [, top] = (this.getAttribute('transform') || '').match(
+            /translate\(0,\s*(-?[\d.]+)\)/
+        ) || [null, 0];
+        positions.set(row, +top);
+    });
+
+    return positions;
+};
+
+/**
+ * Lets users reorder rows by dragging their label. The dragged line follows the pointer,
+ * and `onDrop` is called with the dragged row and the row of the line it is dropped on.
+ *
+ * @param {Object} d3 d3 object
+ * @param {Object} config configuration
+ * @param {Function} onDrop called once dragging ends
+ */
+export const addRowDragging = (d3, config, onDrop) => svg => {
+    const { line: { height: lineHeight } } = config;
+
+    const getLines = line =>
+        Array.from(line.parentNode.children).filter(child =>
+            child.classList.contains('drop-line')
+        );
+
+    const drag = d3
+        .drag()
+        .filter(
+            ev =>
+                !ev.button &&
+                !!ev.target.closest &&
+                !!ev.target.closest('.drop-line .line-label')
+        )
+        .subject(ev => {
+            const line = ev.sourceEvent.target.closest('.drop-line');
+            const index = getLines(line).indexOf(line);
+
+            return { line, x: 0, y: index * lineHeight };
+        })
+        .on('start', ev => {
+            d3.select(ev.subject.line).classed('dragging', true);
+        })
+        .on('drag', ev => {
+            d3
+                .select(ev.subject.line)
+                .attr('transform', `translate(0, ${ev.y})`);
+        })
+        .on('end', ev => {
+            const { line } = ev.subject;
+            const lines = getLines(line);
+            const targetIndex = Math.max(
+                0,
+                Math.min(lines.length - 1, Math.round(ev.y / lineHeight))
+            );
+
+            d3.select(line).classed('dragging', false);
+            onDrop(
+                d3.select(line).datum(),
+                d3.select(lines[targetIndex]).datum()
+            );
+        });
+
+    svg.classed('draggable-rows', true).call(drag);
+};
@@ -0,0 +1,112 @@
+import {
+    addRowDragging,
+    getSiblingTarget,
+    moveRow,
+    sortRows,
+} from './rowOrder';
+
+const createConfig = sort => ({
+    drop: { date: d => new Date(d), endDate: null },
+    rows: { sort },
+    line: { height: 40 },
+});
+
+const domain = [new Date('2018-01-01'), new Date('2018-02-01')];
+const loadRow = row => row;
+
+const createRows = () => [
+    {
+        name: 'b',
+        fullData: [new Date('2018-01-02'), new Date('2017-06-01')],
+    },
+    {
+        name: 'c',
+        fullData: [
+            new Date('2018-01-03'),
+            new Date('2018-01-04'),
+            new Date('2018-03-01'),
+        ],
+    },
+    { name: 'a', fullData: [] },
+];
+
+const names = rows => rows.map(({ name }) => name);
+
+describe('Row order', () => {
+    it('should sort rows by name, visible event count or most recent event', () => {
+        const sort = preset =>
+            names(
+                sortRows(createConfig(preset), createRows(), domain, loadRow)
+            );
+
+        expect(sort('name')).toEqual(['a', 'b', 'c']);
+        expect(sort('count')).toEqual(['c', 'b', 'a']);
+        expect(sort('recent')).toEqual(['c', 'b', 'a']);
+        expect(sort((a, b) => b.fullData.length - a.fullData.length)).toEqual([
+            'c',
+            'b',
+            'a',
+        ]);
+
+        expect(() => sort('size')).toThrow('Unknown rows sort "size".');
+    });
+
+    it('should sort children of groups, groups using drops of all their rows', () => {
+        const [b, c, a] = createRows();
+        const rows = [
+            { name: 'x', fullData: [new Date('2018-01-10')] },
+            { name: 'group', children: [a, b, c] },
+        ];
+
+        const sorted = sortRows(createConfig('count'), rows, domain, loadRow);
+
+        expect(names(sorted)).toEqual(['group', 'x']);
+        expect(names(sorted[0].children)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('should only move rows among their siblings', () => {
+        const [b, c, a] = createRows();
+        const group = { name: 'group', children: [b, c] };
+        const parents = new WeakMap([[b, group], [c, group]]);
+
+        expect(names(moveRow([a, b, c], c, 0))).toEqual(['c', 'a', 'b']);
+        expect(getSiblingTarget(parents, c, b)).toBe(b);
+        expect(getSiblingTarget(parents, a, c)).toBe(group);
+        expect(getSiblingTarget(parents, b, a)).toBe(null);
+    });
+
+    it('should drop dragged label on the line under pointer', async () => {
+        document.body.innerHTML = '<svg></svg>';
+        const rows = createRows();
+        const onDrop = jest.fn();
+
+        const svg = d3.select('svg');
+        svg
+            .selectAll('.drop-line')
+            .data(rows)
+            .enter()
+            .append('g')
+            .classed('drop-line', true)
+            .append('text')
+            .classed('line-label', true);
+        svg.call(addRowDragging(d3, createConfig(), onDrop));
+
+        const mouse = (type, clientY) =>
+            new MouseEvent(type, { bubbles: true, view: window, clientY });
+
+        const line = document.querySelectorAll('.drop-line')[0];
+        line.querySelector('.line-label').dispatchEvent(mouse('mousedown', 0));
+        window.dispatchEvent(mouse('mousemove', 70));
+
+        expect(line.getAttribute('transform')).toBe('translate(0, 70)');
+        expect(line.classList.contains('dragging')).toBe(true);
+
+        window.dispatchEvent(mouse('mouseup', 70));
+        // clicks are ignored until next tick once a drag ends
+        await new Promise(resolve => setTimeout(resolve));
+        expect(onDrop).toHaveBeenCalledWith(rows[0], rows[2]);
+        expect(line.classList.contains('dragging')).toBe(false);
+
+        document.body.innerHTML = '';
+    });
+});
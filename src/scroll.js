@@ -0,0 +1,145 @@
+import { getMinimapHeight } from './minimap';
+
+const SCROLLBAR_WIDTH = 4;
+
+/**
+ * @param {Object} config configuration
+ * @param {number} count number of displayed lines
+ * @returns {number} number of lines fitting in `maxHeight`, all of them without `maxHeight`
+ */
+export const getVisibleLineCount = (config, count) => {
+    const { maxHeight, margin, line: { height: lineHeight } } = config;
+    if (!maxHeight) {
+        return count;
+    }
+
+    // axis and bounds take a line, in addition to margins and minimap
+    const available =
+        maxHeight -
+        margin.top -
+        margin.bottom -
+        getMinimapHeight(config) -
+        lineHeight;
+
+    return Math.min(count, Math.max(1, Math.floor(available / lineHeight)));
+};
+
+/**
+ * Returns the rows to bind to the chart, i.e. the ones fitting in `maxHeight` starting
+ * from `first`.
+ *
+ * @param {Object} config configuration
+ * @param {Array} rows displayed rows
+ * @param {number} first index of the first visible row
+ * @returns {Array} visible rows
+ */
+export const getVisibleRows = (config, rows, first) => {
+    const count = getVisibleLineCount(config, rows.length);
+    if (count === rows.length) {
+        return rows;
+    }
+
+    return rows.slice(first, first + count);
+};
+
+/**
+ * Creates the vertical scrolling of lines, used when `maxHeight` is configured. Lines
+ * scroll by whole rows with the mouse wheel, so that only visible lines are rendered
+ * between the axis and the bounds. Wheel events reaching the first or last line are
+ * left to the page.
+ *
+ * @param {Object} config configuration
+ * @param {Object} svg chart d3 selection
+ * @param {Object} options { first: initial first visible row, width: chart width, onScroll }
+ * @returns {Object} scroll state: { first, update, scrollTo, scrollBy, remove }
+ */
+export const createVerticalScroll = (
+    config,
+    svg,
+    { first = 0, width, onScroll }
+) => {
+    const { margin, line: { height: lineHeight } } = config;
+
+    let lineCount = 0;
+    let accumulated = 0;
+
+    const getMaxFirst = () =>
+        lineCount - getVisibleLineCount(config, lineCount);
+
+    const scrollbar = svg
+        .append('rect')
+        .classed('scrollbar-thumb', true)
+        .attr('x', width - SCROLLBAR_WIDTH)
+        .attr('width', SCROLLBAR_WIDTH);
+
+    const drawScrollbar = () => {
+        const visibleCount = getVisibleLineCount(config, lineCount);
+        if (visibleCount >= lineCount) {
+            scrollbar.attr('display', 'none');
+            return;
+        }
+
+        const trackHeight = visibleCount * lineHeight;
+
+        scrollbar
+            .attr('display', null)
+            .attr('y', margin.top + scroll.first / lineCount * trackHeight)
+            .attr('height', visibleCount / lineCount * trackHeight);
+    };
+
+    svg.on('wheel.scroll', ev => {
+        // ctrl + wheel zooms
+        if (ev.ctrlKey || !ev.deltaY) {
+            return;
+        }
+
+        const direction = Math.sign(ev.deltaY);
+        if (
+            (direction < 0 && scroll.first <= 0) ||
+            (direction > 0 && scroll.first >= getMaxFirst())
+        ) {
+            accumulated = 0;
+            return;
+        }
+
+        ev.preventDefault();
+
+        const pixelsPerUnit = [
+            1,
+            lineHeight,
+            getVisibleLineCount(config, lineCount) * lineHeight,
+        ];
+        accumulated += ev.deltaY * (pixelsPerUnit[ev.deltaMode] || 1);
+
+        const offset = Math.trunc(accumulated / lineHeight);
+        accumulated -= offset * lineHeight;
+        scroll.scrollBy(offset);
+    });
+
+    const scroll = {
+        first,
+        update: count => {
+            lineCount = count;
+            scroll.first = Math.max(0, Math.min(scroll.first, getMaxFirst()));
+            drawScrollbar();
+        },
+        scrollTo: index => {
+            const target = Math.max(0, Math.min(getMaxFirst(), index));
+            if (target === scroll.first) {
+                return false;
+            }
+
+            scroll.first = target;
+            drawScrollbar();
+            onScroll();
+            return true;
+        },
+        scrollBy: offset => scroll.scrollTo(scroll.first + offset),
+        remove: () => {
+            svg.on('wheel.scroll', null);
+            scrollbar.remove();
+        },
+    };
+
+    return scroll;
+};
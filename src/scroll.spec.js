@@ -0,0 +1,95 @@
+import {
+    createVerticalScroll,
+    getVisibleLineCount,
+    getVisibleRows,
+} from './scroll';
+
+const createConfig = (maxHeight = 200) => ({
+    maxHeight,
+    margin: { top: 20, bottom: 20 },
+    line: { height: 40 },
+    minimap: false,
+});
+
+const wheel = (deltaY, options = {}) =>
+    new WheelEvent('wheel', {
+        deltaY,
+        bubbles: true,
+        cancelable: true,
+        ...options,
+    });
+
+describe('Vertical scroll', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<svg></svg>';
+    });
+
+    it('should count lines fitting between axis and bounds', () => {
+        // 200px - margins - bounds line = 120px
+        expect(getVisibleLineCount(createConfig(), 10)).toBe(3);
+        expect(getVisibleLineCount(createConfig(), 2)).toBe(2);
+        expect(getVisibleLineCount(createConfig(50), 10)).toBe(1);
+        expect(getVisibleLineCount(createConfig(null), 10)).toBe(10);
+    });
+
+    it('should bind visible rows only', () => {
+        const rows = [1, 2, 3, 4, 5];
+
+        expect(getVisibleRows(createConfig(), rows, 1)).toEqual([2, 3, 4]);
+        expect(getVisibleRows(createConfig(null), rows, 0)).toBe(rows);
+    });
+
+    it('should scroll by whole rows with wheel, leaving ctrl + wheel and edges alone', () => {
+        const onScroll = jest.fn();
+        const scroll = createVerticalScroll(createConfig(), d3.select('svg'), {
+            width: 500,
+            onScroll,
+        });
+        scroll.update(5);
+
+        const svg = document.querySelector('svg');
+        const up = wheel(-100);
+        svg.dispatchEvent(up);
+        expect(up.defaultPrevented).toBe(false);
+
+        svg.dispatchEvent(wheel(100, { ctrlKey: true }));
+        expect(scroll.first).toBe(0);
+
+        const down = wheel(100);
+        svg.dispatchEvent(down);
+        expect(down.defaultPrevented).toBe(true);
+        expect(scroll.first).toBe(2);
+        expect(onScroll).toHaveBeenCalledTimes(1);
+
+        // last row is reached, wheel is left to the page
+        const last = wheel(60);
+        svg.dispatchEvent(last);
+        expect(last.defaultPrevented).toBe(false);
+        expect(scroll.first).toBe(2);
+
+        const thumb = document.querySelector('.scrollbar-thumb');
+        expect(thumb.getAttribute('y')).toBe('68');
+        expect(thumb.getAttribute('height')).toBe('72');
+    });
+
+    it('should keep first row in range when rows are removed', () => {
+        const scroll = createVerticalScroll(createConfig(), d3.select('svg'), {
+            first: 4,
+            width: 500,
+            onScroll: () => {},
+        });
+
+        scroll.update(5);
+        expect(scroll.first).toBe(2);
+
+        scroll.update(2);
+        expect(scroll.first).toBe(0);
+        expect(
+            document.querySelector('.scrollbar-thumb').getAttribute('display')
+        ).toBe('none');
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
@@ -0,0 +1,89 @@
+import { findCanvasItem } from './canvas';
+import { isBucket } from './heatmap';
+
+const SELECTABLE = '.drop, .drop-span, .heatmap-rect';
+
+// drops represented by a rendered datum: the drop itself, or all events of a bucket
+// (none for buckets of `heatmap.source`, which come without their events)
+const getDatumDrops = d => (isBucket(d) ? d.events || [] : [d]);
+
+/**
+ * @param {Set} selection selected drops
+ * @param {*} d drop or heatmap bucket
+ * @returns {boolean} whether drop (or one of bucket events) is selected
+ */
+export const isSelected = (selection, d) =>
+    getDatumDrops(d).some(drop => selection.has(drop));
+
+/**
+ * Updates selection after a click on given drop (or bucket). A simple click selects only
+ * clicked drops (or unselects them if they were the whole selection), while a click with
+ * `multiple` set toggles them, keeping other selected drops.
+ *
+ * @param {Set} selection selected drops, updated in place
+ * @param {*} d clicked drop or heatmap bucket
+ * @param {boolean} multiple whether a multi-selection modifier key was pressed
+ */
+export const toggleSelection = (selection, d, multiple) => {
+    const drops = getDatumDrops(d);
+    const allSelected = drops.every(drop => selection.has(drop));
+
+    if (multiple) {
+        drops.forEach(
+            drop => (allSelected ? selection.delete(drop) : selection.add(drop))
+        );
+        return;
+    }
+
+    const onlySelected = allSelected && selection.size === drops.length;
+    selection.clear();
+    if (!onlySelected) {
+        drops.forEach(drop => selection.add(drop));
+    }
+};
+
+/**
+ * Selects drops on click (with shift, ctrl or meta key for multi-selection). A single
+ * listener on the SVG handles drops, bars and heatmap buckets, whatever the renderer.
+ *
+ * @param {Object} d3 d3 object
+ * @param {Object} state chart runtime state, with its `selection` set
+ * @param {Function} onChange called once selection changed
+ */
+export const addSelectionHandling = (d3, state, onChange) => svg => {
+    const getClickedDatum = ev => {
+        if (state.canvas) {
+            const [x, y] = d3.pointer(ev, state.canvas.node);
+            const item = findCanvasItem(state.canvas, x, y);
+            return item ? item.data : undefined;
+        }
+
+        const element = ev.target.closest && ev.target.closest(SELECTABLE);
+        return element ? d3.select(element).datum() : undefined;
+    };
+
+    svg.on('click.selection', ev => {
+        const d = getClickedDatum(ev);
+        if (d === undefined) {
+            return;
+        }
+
+        toggleSelection(
+            state.selection,
+            d,
+            ev.shiftKey || ev.ctrlKey || ev.metaKey
+        );
+        onChange();
+    });
+};
+
+/**
+ * Toggles the `selected` class of rendered drops, bars and heatmap buckets.
+ *
+ * @param {Set} selection selected drops
+ */
+export default selection => dropsSelection => {
+    dropsSelection
+        .selectAll(SELECTABLE)
+        .classed('selected', d => isSelected(selection, d));
+};
@@ -0,0 +1,129 @@
+import applySelection, {
+    addSelectionHandling,
+    isSelected,
+    toggleSelection,
+} from './selection';
+import { getBucketData } from './heatmap';
+
+const foo = { id: 'foo' };
+const bar = { id: 'bar' };
+const baz = { id: 'baz' };
+
+describe('Selection', () => {
+    it('should select only clicked drop on simple click, or unselect it', () => {
+        const selection = new Set([foo, bar]);
+
+        toggleSelection(selection, baz, false);
+        expect([...selection]).toEqual([baz]);
+
+        toggleSelection(selection, baz, false);
+        expect([...selection]).toEqual([]);
+    });
+
+    it('should toggle clicked drop, keeping other ones, on multi-selection', () => {
+        const selection = new Set([foo]);
+
+        toggleSelection(selection, bar, true);
+        expect([...selection]).toEqual([foo, bar]);
+
+        toggleSelection(selection, foo, true);
+        expect([...selection]).toEqual([bar]);
+    });
+
+    it('should handle heatmap buckets as the set of their events', () => {
+        const selection = new Set();
+        const bucket = { count: 2, events: [foo, bar], _bucket: true };
+
+        toggleSelection(selection, bucket, false);
+        expect([...selection]).toEqual([foo, bar]);
+
+        expect(isSelected(new Set([bar]), bucket)).toBe(true);
+        expect(isSelected(new Set([baz]), bucket)).toBe(false);
+    });
+
+    it('should not select buckets of `heatmap.source`, which have no events', () => {
+        const selection = new Set([foo]);
+        const [sourceBucket] = getBucketData(
+            { drop: { date: d => d } },
+            d3.scaleTime(),
+            'days',
+            d3.timeDay,
+            {
+                heatmapSource: {
+                    getBuckets: () => [{ date: new Date(), count: 3 }],
+                },
+            }
+        )({ name: 'foo' });
+
+        expect(isSelected(selection, sourceBucket)).toBe(false);
+
+        toggleSelection(selection, sourceBucket, true);
+        expect([...selection]).toEqual([foo]);
+
+        toggleSelection(selection, sourceBucket, false);
+        expect([...selection]).toEqual([]);
+    });
+
+    it('should toggle `selected` class of drops, bars and buckets', () => {
+        document.body.innerHTML = `
+            <svg><g class="drops">
+                <circle class="drop"></circle>
+                <circle class="drop"></circle>
+                <rect class="drop-span"></rect>
+                <rect class="heatmap-rect"></rect>
+            </g></svg>`;
+
+        const drops = d3.select('.drops');
+        drops.selectAll('.drop').data([foo, bar]);
+        drops.select('.drop-span').datum(baz);
+        drops
+            .select('.heatmap-rect')
+            .datum({ count: 1, events: [bar], _bucket: true });
+
+        drops.call(applySelection(new Set([bar, baz])));
+
+        expect(
+            [...document.querySelectorAll('.selected')].map(node =>
+                node.getAttribute('class')
+            )
+        ).toEqual([
+            'drop selected',
+            'drop-span selected',
+            'heatmap-rect selected',
+        ]);
+    });
+
+    it('should select drops on click, with modifiers for multi-selection', () => {
+        document.body.innerHTML = `
+            <svg>
+                <circle class="drop"></circle>
+                <circle class="drop"></circle>
+                <text class="line-label"></text>
+            </svg>`;
+
+        const svg = d3.select('svg');
+        svg.selectAll('.drop').data([foo, bar]);
+
+        const state = { selection: new Set() };
+        const onChange = jest.fn();
+        svg.call(addSelectionHandling(d3, state, onChange));
+
+        const click = (node, options = {}) =>
+            node.dispatchEvent(
+                new MouseEvent('click', { bubbles: true, ...options })
+            );
+        const [fooNode, barNode] = document.querySelectorAll('.drop');
+
+        click(fooNode);
+        click(barNode, { shiftKey: true });
+        expect([...state.selection]).toEqual([foo, bar]);
+        expect(onChange).toHaveBeenCalledTimes(2);
+
+        click(document.querySelector('.line-label'));
+        expect(onChange).toHaveBeenCalledTimes(2);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Creates the drop size state, used when `drop.size` is configured. Drop values are
+ * turned into radiuses with a sqrt scale (so that drop area follows the value), from
+ * `size.minRadius` to `size.maxRadius`. Unless `size.domain` is set, the scale goes
+ * from 0 to the largest value among all chart drops.
+ *
+ * @param {Object} config configuration
+ * @returns {Object} sizes state: { getValue, getRadius, scale, update }
+ */
+export const createSizes = config => {
+    const {
+        d3,
+        drop: { size: dropSize },
+        size: { minRadius, maxRadius, domain },
+    } = config;
+
+    const scale = d3
+        .scaleSqrt()
+        .domain(domain || [0, 1])
+        .range([minRadius, maxRadius])
+        .clamp(true);
+
+    // largest value of each `fullData` array, only computed again once replaced
+    const maxima = new WeakMap();
+
+    const getValue = d => {
+        const value = +dropSize(d);
+        return isNaN(value) ? 0 : value;
+    };
+
+    const getMax = drops => {
+        if (!maxima.has(drops)) {
+            maxima.set(
+                drops,
+                drops.reduce((max, d) => Math.max(max, getValue(d)), 0)
+            );
+        }
+
+        return maxima.get(drops);
+    };
+
+    return {
+        getValue,
+        getRadius: d => scale(getValue(d)),
+        scale,
+        /**
+         * @param {Array} rows chart rows, not groups, whose drops make the scale domain
+         * @returns {boolean} true if scale domain changed
+         */
+        update: rows => {
+            if (domain) {
+                return false;
+            }
+
+            const max = rows
+                .filter(row => row.fullData)
+                .reduce((max, row) => Math.max(max, getMax(row.fullData)), 0);
+            const [, previousMax] = scale.domain();
+            // a single value (or none) still gets a usable domain
+            const nextMax = max || 1;
+
+            scale.domain([0, nextMax]);
+
+            return nextMax !== previousMax;
+        },
+    };
+};
+
+/**
+ * @param {Object} config configuration
+ * @param {Object} sizes sizes state, if `drop.size` is configured
+ * @returns {Function|number} radius of drops, as configured with `drop.radius` unless
+ * drops are sized by value
+ */
+export const getDropRadius = ({ drop: { radius: dropRadius } }, sizes) =>
+    sizes ? sizes.getRadius : dropRadius;
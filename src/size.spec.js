@@ -0,0 +1,44 @@
+import { createSizes, getDropRadius } from './size';
+
+const createConfig = (sizeConfig = {}) => ({
+    d3,
+    drop: { radius: 5, size: d => d.value },
+    size: { minRadius: 2, maxRadius: 12, domain: null, ...sizeConfig },
+});
+
+describe('Drop sizes', () => {
+    it('should scale radius with square root of values, up to the largest one', () => {
+        const sizes = createSizes(createConfig());
+
+        expect(
+            sizes.update([
+                { fullData: [{ value: 25 }, { value: 100 }] },
+                { fullData: [{ value: 'foo' }] },
+                { name: 'not loaded yet' },
+            ])
+        ).toBe(true);
+
+        expect(sizes.getRadius({ value: 0 })).toBe(2);
+        expect(sizes.getRadius({ value: 25 })).toBe(7);
+        expect(sizes.getRadius({ value: 100 })).toBe(12);
+        expect(sizes.getRadius({ value: 'foo' })).toBe(2);
+
+        expect(sizes.update([{ fullData: [{ value: 100 }] }])).toBe(false);
+    });
+
+    it('should clamp values to configured domain', () => {
+        const sizes = createSizes(createConfig({ domain: [0, 4] }));
+
+        expect(sizes.update([{ fullData: [{ value: 100 }] }])).toBe(false);
+        expect(sizes.getRadius({ value: 1 })).toBe(7);
+        expect(sizes.getRadius({ value: 100 })).toBe(12);
+    });
+
+    it('should only override `drop.radius` when drops are sized', () => {
+        const config = createConfig();
+        const sizes = createSizes(config);
+
+        expect(getDropRadius(config)).toBe(5);
+        expect(getDropRadius(config, sizes)).toBe(sizes.getRadius);
+    });
+});
@@ -0,0 +1,137 @@
+import { filterShownDrops } from './category';
+import { clipToRange } from './withinRange';
+
+/**
+ * @param {Function} dropDate function returning the date of a drop
+ * @param {Function} dropEndDate function returning the end date of a drop, if any
+ * @returns {Function} predicate telling whether a drop is a span (ending after its start)
+ */
+export const isSpan = (dropDate, dropEndDate) => d => {
+    if (!dropEndDate) {
+        return false;
+    }
+
+    const endDate = dropEndDate(d);
+    if (endDate === null || endDate === undefined) {
+        return false;
+    }
+
+    return new Date(endDate).getTime() > new Date(dropDate(d)).getTime();
+};
+
+/**
+ * Stacks overlapping spans: each span goes to the first lane free at its start date.
+ *
+ * @param {Array} spans spans of a line
+ * @param {Function} dropDate function returning the date of a drop
+ * @param {Function} dropEndDate function returning the end date of a drop
+ * @returns {Object} { lanes: Map(span => lane index), count: number of lanes }
+ */
+export const getSpanLanes = (spans, dropDate, dropEndDate) => {
+    const laneEnds = [];
+    const lanes = new Map();
+
+    spans
+        .map(span => ({
+            span,
+            start: new Date(dropDate(span)).getTime(),
+            end: new Date(dropEndDate(span)).getTime(),
+        }))
+        .sort((a, b) => a.start - b.start)
+        .forEach(({ span, start, end }) => {
+            let lane = laneEnds.findIndex(laneEnd => laneEnd < start);
+            if (lane === -1) {
+                lane = laneEnds.length;
+            }
+
+            laneEnds[lane] = end;
+            lanes.set(span, lane);
+        });
+
+    return { lanes, count: laneEnds.length };
+};
+
+/**
+ * Computes bars geometry of the spans of a line, clipped to the current domain. Vertical
+ * positions are relative to the line middle.
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale d3 scaleTime
+ * @param {Object} categories categories state, to leave spans of hidden categories out
+ * @returns {Function} function taking row data, returning [{ data, x, y, width, height }]
+ */
+export const getSpanShapes = (config, xScale, categories) => d => {
+    const {
+        drop: { date: dropDate, endDate: dropEndDate },
+        line: { height: lineHeight },
+    } = config;
+
+    const spans = filterShownDrops(categories)(
+        (d.data || []).filter(isSpan(dropDate, dropEndDate))
+    );
+    if (!spans.length) {
+        return [];
+    }
+
+    const { lanes, count } = getSpanLanes(spans, dropDate, dropEndDate);
+    const laneHeight = Math.min(lineHeight / 3, (lineHeight - 4) / count);
+
+    return spans.map(span => {
+        const [start, end] = clipToRange(
+            dropDate(span),
+            dropEndDate(span),
+            xScale.domain()
+        );
+        const x = xScale(start);
+
+        return {
+            data: span,
+            x,
+            y: (lanes.get(span) - count / 2) * laneHeight,
+            width: Math.max(xScale(end) - x, 1),
+            height: Math.max(laneHeight - 1, 1),
+        };
+    });
+};
+
+export default (config, xScale, categories) => selection => {
+    const {
+        d3,
+        drop: { color: dropColor, onClick, onMouseOver, onMouseOut },
+    } = config;
+
+    selection.each(function(d) {
+        const shapes = getSpanShapes(config, xScale, categories)(d);
+        const geometry = new Map(shapes.map(shape => [shape.data, shape]));
+
+        const spans = d3
+            .select(this)
+            .selectAll('.drop-span')
+            .data(shapes.map(shape => shape.data));
+
+        spans
+            .enter()
+            .append('rect')
+            .classed('drop-span', true)
+            .on('click', onClick)
+            .on('mouseover', onMouseOver)
+            .on('mouseout', onMouseOut)
+            .merge(spans)
+            .attr('x', d => geometry.get(d).x)
+            .attr('y', d => geometry.get(d).y)
+            .attr('width', d => geometry.get(d).width)
+            .attr('height', d => geometry.get(d).height)
+            .attr('rx', d => geometry.get(d).height / 2)
+            .attr(
+                'fill',
+                categories ? d => categories.getDropStyle(d).color : dropColor
+            );
+
+        spans
+            .exit()
+            .on('click', null)
+            .on('mouseover', null)
+            .on('mouseout', null)
+            .remove();
+    });
+};
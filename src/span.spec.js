@@ -0,0 +1,102 @@
+import span, { getSpanLanes, getSpanShapes, isSpan } from './span';
+import { getHeatmapBucketData } from './heatmap';
+
+const dropDate = d => new Date(d.start);
+const dropEndDate = d => (d.end ? new Date(d.end) : null);
+
+const config = {
+    d3,
+    drop: {
+        color: 'red',
+        date: dropDate,
+        endDate: dropEndDate,
+        onClick: () => {},
+        onMouseOver: () => {},
+        onMouseOut: () => {},
+    },
+    line: { height: 40 },
+};
+
+const xScale = d3
+    .scaleTime()
+    .domain([new Date('2018-01-01'), new Date('2018-01-11')])
+    .range([0, 1000]);
+
+const incident = { start: '2017-12-30', end: '2018-01-03' };
+const deploy = { start: '2018-01-02', end: '2018-01-05' };
+const maintenance = { start: '2018-01-06', end: '2018-01-07' };
+const commit = { start: '2018-01-04' };
+
+describe('Span', () => {
+    it('should consider drops ending after their start as spans', () => {
+        expect(isSpan(dropDate, dropEndDate)(deploy)).toBe(true);
+        expect(isSpan(dropDate, dropEndDate)(commit)).toBe(false);
+        expect(
+            isSpan(dropDate, dropEndDate)({
+                start: '2018-01-02',
+                end: '2018-01-02',
+            })
+        ).toBe(false);
+        expect(isSpan(dropDate, null)(deploy)).toBe(false);
+    });
+
+    it('should stack overlapping spans into lanes', () => {
+        const { lanes, count } = getSpanLanes(
+            [maintenance, deploy, incident],
+            dropDate,
+            dropEndDate
+        );
+
+        expect(count).toBe(2);
+        expect(lanes.get(incident)).toBe(0);
+        expect(lanes.get(deploy)).toBe(1);
+        expect(lanes.get(maintenance)).toBe(0);
+    });
+
+    it('should clip bars at domain edges', () => {
+        const [incidentShape, maintenanceShape] = getSpanShapes(config, xScale)(
+            { data: [incident, commit, maintenance] }
+        );
+
+        expect(incidentShape.x).toBe(0);
+        expect(incidentShape.width).toBe(200);
+        expect(maintenanceShape.x).toBe(500);
+        expect(maintenanceShape.width).toBe(100);
+    });
+
+    it('should render spans as rounded bars', () => {
+        document.body.innerHTML = '<svg><g class="drops"></g></svg>';
+
+        d3
+            .select('.drops')
+            .datum({ data: [incident, deploy, commit] })
+            .call(span(config, xScale));
+
+        const bars = document.querySelectorAll('rect.drop-span');
+        expect(bars.length).toBe(2);
+        expect(bars[0].getAttribute('rx')).toBe(
+            `${+bars[0].getAttribute('height') / 2}`
+        );
+        expect(bars[0].getAttribute('y')).not.toBe(bars[1].getAttribute('y'));
+    });
+
+    it('should count spans in every heatmap bucket they overlap', () => {
+        const buckets = getHeatmapBucketData(
+            xScale,
+            dropDate,
+            d3.timeDay,
+            dropEndDate
+        )({ data: [incident, commit] });
+
+        expect(buckets.map(({ date, count }) => [date, count])).toEqual([
+            [d3.timeDay.floor(new Date('2018-01-01')), 1],
+            [d3.timeDay.floor(new Date('2018-01-02')), 1],
+            [d3.timeDay.floor(new Date('2018-01-03')), 1],
+            [d3.timeDay.floor(new Date('2018-01-04')), 1],
+        ]);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
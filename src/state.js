@@ -0,0 +1,216 @@
+import { getAllRows, getGroups } from './groups';
+import { shouldUseHeatmap } from './timeScale';
+
+/**
+ * Returns a serializable description of the current view: displayed domain, zoom
+ * transform, selected drops (as `{ row, date }` references), display mode, names of
+ * hidden rows and of collapsed groups, and brushed period when brush is enabled.
+ *
+ * @param {Object} config configuration
+ * @param {Object} xScale current d3 scaleTime
+ * @param {string} breakpointLabel current breakpoint label
+ * @param {Object} state chart runtime state
+ * @param {Array} rows displayed rows
+ * @param {Object} transform current zoom transform, or null without zoom
+ * @param {Array} chartRows chart rows, possibly nested in groups, hidden ones included
+ * @returns {Object} { domain, transform, selection, mode, hiddenRows, collapsedGroups,
+ * brush }
+ */
+export const getViewState = (
+    config,
+    xScale,
+    breakpointLabel,
+    state,
+    rows,
+    transform,
+    chartRows = rows
+) => {
+    const {
+        d3,
+        drop: { date: dropDate },
+        numberDisplayedTicks,
+        bucketSize,
+    } = config;
+
+    const selection = [];
+    rows.forEach(row =>
+        row.fullData
+            .filter(d => state.selection.has(d))
+            .forEach(d =>
+                selection.push({ row: row.name, date: new Date(dropDate(d)) })
+            )
+    );
+
+    const viewState = {
+        domain: xScale.domain().map(d => new Date(d)),
+        transform: transform
+            ? { k: transform.k, x: transform.x, y: transform.y }
+            : null,
+        selection,
+        mode: shouldUseHeatmap(
+            d3,
+            xScale,
+            numberDisplayedTicks,
+            breakpointLabel,
+            bucketSize
+        )
+            ? 'heatmap'
+            : 'drops',
+        hiddenRows: getAllRows(chartRows)
+            .filter(row => row.hidden)
+            .map(row => row.name),
+        collapsedGroups: getGroups(chartRows)
+            .filter(group => group.collapsed)
+            .map(group => group.name),
+    };
+
+    if (state.brush) {
+        viewState.brush = {
+            extent: state.brush.extent
+                ? state.brush.extent.map(d => new Date(d))
+                : null,
+            enabled: state.brush.enabled,
+        };
+    }
+
+    return viewState;
+};
+
+/**
+ * Returns drops referenced by `{ row, date }` objects, as in `getViewState` selection.
+ *
+ * @param {Object} config configuration
+ * @param {Array} rows chart rows
+ * @param {Array} references `{ row, date }` objects, `row` being a row name
+ * @returns {Array} referenced drops found in rows
+ */
+export const findDrops = (config, rows, references) => {
+    const { drop: { date: dropDate } } = config;
+
+    return rows.reduce((drops, row) => {
+        const times = new Set(
+            references
+                .filter(reference => reference.row === row.name)
+                .map(reference => new Date(reference.date).getTime())
+        );
+        if (!times.size) {
+            return drops;
+        }
+
+        return drops.concat(
+            row.fullData.filter(d => times.has(new Date(dropDate(d)).getTime()))
+        );
+    }, []);
+};
+
+/**
+ * @param {Object} viewState view state, as returned by `getViewState`
+ * @returns {string} view state as a string fitting in a URL
+ */
+export const encodeState = viewState => JSON.stringify(viewState);
+
+const toDates = dates => (dates ? dates.map(d => new Date(d)) : dates);
+
+/**
+ * Converts dates of a view state given as strings or timestamps (e.g. once parsed from
+ * JSON) into Date objects.
+ *
+ * @param {Object} viewState view state, as returned by `getViewState`
+ * @returns {Object} view state with Date objects
+ */
+export const normalizeState = viewState => ({
+    ...viewState,
+    domain: toDates(viewState.domain),
+    brush: viewState.brush
+        ? { ...viewState.brush, extent: toDates(viewState.brush.extent) }
+        : viewState.brush,
+});
+
+/**
+ * @param {string} text view state, as returned by `encodeState`
+ * @returns {Object} view state, or null if it can't be read
+ */
+export const decodeState = text => {
+    let viewState;
+    try {
+        viewState = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+
+    if (!viewState || typeof viewState !== 'object') {
+        return null;
+    }
+
+    return normalizeState(viewState);
+};
+
+/**
+ * Keeps the view state in a `location.hash` parameter when `hash` is configured. Each
+ * zoom adds a browser history entry, so that back and forward buttons walk through zoom
+ * history, while other changes (e.g. selection) replace the current entry. Other hash
+ * parameters are left untouched.
+ *
+ * @param {Object} config configuration
+ * @param {Object} global global object (window)
+ * @param {Function} getState function returning current view state
+ * @param {Function} setState function restoring a view state
+ * @returns {Object} { restore, push, replace, remove }
+ */
+export const createHashSync = (config, global, getState, setState) => {
+    const { hash: { key = 'view' } } = config;
+
+    const getParams = () =>
+        new global.URLSearchParams(global.location.hash.slice(1));
+
+    const read = () => getParams().get(key);
+
+    // restoring a state zooms, which must not add history entries
+    let restoring = false;
+
+    const write = replace => {
+        if (restoring) {
+            return;
+        }
+
+        const text = encodeState(getState());
+        if (read() === text) {
+            return;
+        }
+
+        const params = getParams();
+        params.set(key, text);
+
+        const url = `#${params.toString()}`;
+        if (replace) {
+            global.history.replaceState(global.history.state, '', url);
+        } else {
+            global.history.pushState(global.history.state, '', url);
+        }
+    };
+
+    const restore = () => {
+        const text = read();
+        const viewState = text ? decodeState(text) : null;
+        if (!viewState) {
+            return;
+        }
+
+        restoring = true;
+        try {
+            setState(viewState);
+        } finally {
+            restoring = false;
+        }
+    };
+
+    // back and forward buttons
+    global.addEventListener('popstate', restore);
+
+    return {
+        restore,
+        push: () => write(false),
+        replace: () => write(true),
+        remove: () => global.removeEventListener('popstate', restore),
+    };
+};
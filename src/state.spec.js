@@ -0,0 +1,175 @@
+import {
+    createHashSync,
+    decodeState,
+    encodeState,
+    findDrops,
+    getViewState,
+} from './state';
+
+const config = {
+    d3,
+    drop: { date: d => d.date },
+    numberDisplayedTicks: { extra: 12 },
+    bucketSize: null,
+    hash: {},
+};
+
+const createScale = (start, end) =>
+    d3
+        .scaleTime()
+        .domain([new Date(start), new Date(end)])
+        .range([0, 1000]);
+
+const first = { date: new Date('2018-01-01T02:00:00Z') };
+const second = { date: new Date('2018-01-01T05:00:00Z') };
+const other = { date: new Date('2018-01-01T02:00:00Z') };
+
+const rows = [
+    { name: 'foo', fullData: [first, second] },
+    { name: 'bar', fullData: [other] },
+];
+
+describe('View state', () => {
+    it('should describe domain, transform, selection and display mode', () => {
+        const viewState = getViewState(
+            config,
+            createScale('2018-01-01T00:00:00Z', '2018-01-01T12:00:00Z'),
+            'extra',
+            { selection: new Set([second]) },
+            rows,
+            d3.zoomIdentity.translate(-10, 0).scale(2)
+        );
+
+        expect(viewState).toEqual({
+            domain: [
+                new Date('2018-01-01T00:00:00Z'),
+                new Date('2018-01-01T12:00:00Z'),
+            ],
+            transform: { k: 2, x: -10, y: 0 },
+            selection: [{ row: 'foo', date: second.date }],
+            mode: 'drops',
+            hiddenRows: [],
+            collapsedGroups: [],
+        });
+    });
+
+    it('should describe hidden rows and collapsed groups', () => {
+        const hidden = { name: 'hidden', hidden: true, fullData: [] };
+        const group = {
+            name: 'group',
+            collapsed: true,
+            children: [{ name: 'child', hidden: true, fullData: [] }],
+            fullData: [],
+        };
+
+        const viewState = getViewState(
+            config,
+            createScale('2018-01-01T00:00:00Z', '2018-01-01T12:00:00Z'),
+            'extra',
+            { selection: new Set() },
+            rows,
+            null,
+            [...rows, hidden, group]
+        );
+
+        expect(viewState.hiddenRows).toEqual(['hidden', 'child']);
+        expect(viewState.collapsedGroups).toEqual(['group']);
+    });
+
+    it('should describe heatmap mode and brushed period', () => {
+        const extent = [
+            new Date('2018-02-01T00:00:00Z'),
+            new Date('2018-03-01T00:00:00Z'),
+        ];
+        const viewState = getViewState(
+            config,
+            createScale('2018-01-01T00:00:00Z', '2019-01-01T00:00:00Z'),
+            'extra',
+            { selection: new Set(), brush: { extent, enabled: true } },
+            rows,
+            null
+        );
+
+        expect(viewState.mode).toBe('heatmap');
+        expect(viewState.transform).toBe(null);
+        expect(viewState.brush).toEqual({ extent, enabled: true });
+    });
+
+    it('should find drops referenced by row name and date', () => {
+        expect(
+            findDrops(config, rows, [
+                { row: 'foo', date: '2018-01-01T02:00:00.000Z' },
+                { row: 'baz', date: '2018-01-01T02:00:00.000Z' },
+            ])
+        ).toEqual([first]);
+    });
+
+    it('should decode encoded state, with dates', () => {
+        const viewState = {
+            domain: [new Date('2018-01-01'), new Date('2018-02-01')],
+            transform: null,
+            selection: [],
+            mode: 'drops',
+            hiddenRows: ['foo'],
+            collapsedGroups: [],
+            brush: { extent: [new Date('2018-01-10')], enabled: false },
+        };
+
+        expect(decodeState(encodeState(viewState))).toEqual(viewState);
+        expect(decodeState('{oops')).toBe(null);
+    });
+
+    describe('Hash synchronization', () => {
+        let state;
+        let setState;
+        let hashSync;
+
+        beforeEach(() => {
+            window.history.replaceState(null, '', '#other=1');
+            state = {
+                domain: [new Date('2018-01-01'), new Date('2018-02-01')],
+            };
+            setState = jest.fn();
+            hashSync = createHashSync(config, window, () => state, setState);
+        });
+
+        it('should add history entries, keeping other hash parameters', () => {
+            const { length } = window.history;
+
+            hashSync.push();
+            hashSync.push();
+            expect(window.history.length).toBe(length + 1);
+
+            const params = new URLSearchParams(window.location.hash.slice(1));
+            expect(params.get('other')).toBe('1');
+            expect(decodeState(params.get('view'))).toEqual(state);
+
+            state = {
+                domain: [new Date('2018-01-01'), new Date('2018-01-10')],
+            };
+            hashSync.replace();
+            expect(window.history.length).toBe(length + 1);
+        });
+
+        it('should restore state from hash, and on history navigation', () => {
+            hashSync.restore();
+            expect(setState).not.toHaveBeenCalled();
+
+            hashSync.push();
+            hashSync.restore();
+            expect(setState).toHaveBeenCalledWith(state);
+
+            window.dispatchEvent(new PopStateEvent('popstate'));
+            expect(setState).toHaveBeenCalledTimes(2);
+
+            hashSync.remove();
+            window.dispatchEvent(new PopStateEvent('popstate'));
+            expect(setState).toHaveBeenCalledTimes(2);
+        });
+
+        afterEach(() => {
+            hashSync.remove();
+            window.history.replaceState(null, '', '#');
+        });
+    });
+});
@@ -31,7 +31,7 @@ const BUCKET_SCALE_MAP = {
  * @param {string} scale - Scale string (e.g., 'days', 'weeks', 'months', 'decades', 'millennium')
  * @returns {Function} d3 time interval function
  */
-const getD3TimeInterval = (d3, scale) => {
+export const getD3TimeInterval = (d3, scale) => {
     switch (scale) {
         case 'millennium':
             // Use d3.timeYear.every(1000) for millennium intervals
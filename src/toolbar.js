@@ -0,0 +1,96 @@
+const BUTTON_SIZE = 18;
+const BUTTON_SPACING = 4;
+
+const BUTTONS = [
+    { action: 'back', label: 'Previous zoom', symbol: '‹' },
+    { action: 'forward', label: 'Next zoom', symbol: '›' },
+    { action: 'zoomIn', label: 'Zoom in', symbol: '+' },
+    { action: 'zoomOut', label: 'Zoom out', symbol: '−' },
+    { action: 'reset', label: 'Reset zoom', symbol: '⟲' },
+];
+
+const ACTIVATION_KEYS = ['Enter', ' '];
+
+/**
+ * Draws the zoom toolbar in the top margin, above labels, when `zoom.toolbar` is
+ * configured. Buttons are focusable, and handle their own pointer and keyboard events
+ * so that they don't start a zoom gesture or move chart keyboard focus.
+ *
+ * @param {Object} config configuration
+ * @param {Object} actions { back, forward, zoomIn, zoomOut, reset } functions
+ * @param {Function} isDisabled function returning whether given action is disabled
+ */
+export default (config, actions, isDisabled) => svg => {
+    const { margin } = config;
+
+    const toolbar = svg.selectAll('.zoom-toolbar').data([BUTTONS]);
+
+    const newToolbar = toolbar
+        .enter()
+        .append('g')
+        .classed('zoom-toolbar', true)
+        .attr(
+            'transform',
+            `translate(${margin.left}, ${Math.max(
+                0,
+                (margin.top - BUTTON_SIZE) / 2
+            )})`
+        );
+
+    const newButtons = newToolbar
+        .selectAll('.zoom-button')
+        .data(d => d)
+        .enter()
+        .append('g')
+        .attr('class', d => `zoom-button ${d.action}`)
+        .attr('role', 'button')
+        .attr('tabindex', 0)
+        .attr('aria-label', d => d.label)
+        .attr(
+            'transform',
+            (d, i) => `translate(${i * (BUTTON_SIZE + BUTTON_SPACING)},0)`
+        );
+
+    newButtons
+        .append('rect')
+        .attr('width', BUTTON_SIZE)
+        .attr('height', BUTTON_SIZE)
+        .attr('rx', 3);
+
+    newButtons
+        .append('text')
+        .attr('x', BUTTON_SIZE / 2)
+        .attr('y', BUTTON_SIZE / 2)
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'central')
+        .text(d => d.symbol);
+
+    newButtons.append('title').text(d => d.label);
+
+    const trigger = (ev, { action }) => {
+        ev.stopPropagation();
+        if (!isDisabled(action)) {
+            actions[action]();
+        }
+    };
+
+    const buttons = newToolbar.merge(toolbar).selectAll('.zoom-button');
+
+    buttons
+        .classed('disabled', d => isDisabled(d.action))
+        .attr('aria-disabled', d => isDisabled(d.action))
+        .on('mousedown.toolbar dblclick.toolbar wheel.toolbar', ev =>
+            ev.stopPropagation()
+        )
+        .on('click.toolbar', trigger)
+        .on('keydown.toolbar', (ev, d) => {
+            if (!ACTIVATION_KEYS.includes(ev.key)) {
+                // keep chart keyboard navigation away from toolbar
+                ev.stopPropagation();
+                return;
+            }
+
+            ev.preventDefault();
+            trigger(ev, d);
+        });
+};
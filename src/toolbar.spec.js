@@ -0,0 +1,84 @@
+import zoomToolbar from './toolbar';
+
+const config = { margin: { top: 20, left: 10 } };
+
+describe('Zoom toolbar', () => {
+    let actions;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<svg></svg>';
+        actions = {
+            back: jest.fn(),
+            forward: jest.fn(),
+            zoomIn: jest.fn(),
+            zoomOut: jest.fn(),
+            reset: jest.fn(),
+        };
+    });
+
+    const draw = isDisabled =>
+        d3.select('svg').call(zoomToolbar(config, actions, isDisabled));
+
+    it('should draw a labelled button per action in top margin', () => {
+        draw(() => false);
+
+        expect(
+            document.querySelector('.zoom-toolbar').getAttribute('transform')
+        ).toBe('translate(10, 1)');
+        expect(
+            [...document.querySelectorAll('.zoom-button')].map(button =>
+                button.getAttribute('aria-label')
+            )
+        ).toEqual([
+            'Previous zoom',
+            'Next zoom',
+            'Zoom in',
+            'Zoom out',
+            'Reset zoom',
+        ]);
+    });
+
+    it('should trigger actions on click and with keyboard, unless disabled', () => {
+        draw(action => action === 'back');
+
+        const back = document.querySelector('.zoom-button.back');
+        const reset = document.querySelector('.zoom-button.reset');
+        expect(back.getAttribute('aria-disabled')).toBe('true');
+
+        back.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        reset.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        document
+            .querySelector('.zoom-button.zoomIn')
+            .dispatchEvent(
+                new KeyboardEvent('keydown', { key: 'Enter', bubbles: true })
+            );
+
+        expect(actions.back).not.toHaveBeenCalled();
+        expect(actions.reset).toHaveBeenCalledTimes(1);
+        expect(actions.zoomIn).toHaveBeenCalledTimes(1);
+
+        // redrawing updates buttons state
+        draw(() => false);
+        expect(document.querySelectorAll('.zoom-button').length).toBe(5);
+        back.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        expect(actions.back).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep pointer and keyboard events away from the chart', () => {
+        draw(() => false);
+        const onChart = jest.fn();
+        d3.select('svg').on('mousedown keydown', onChart);
+
+        const button = document.querySelector('.zoom-button');
+        button.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+        button.dispatchEvent(
+            new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true })
+        );
+
+        expect(onChart).not.toHaveBeenCalled();
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+});
@@ -0,0 +1,248 @@
+import { findCanvasItem } from './canvas';
+import { isBucket } from './heatmap';
+import { isSpan } from './span';
+
+const HOVERABLE = '.drop, .drop-span, .heatmap-rect';
+
+/**
+ * Places the tooltip next to the pointer, on its bottom right side, flipping it to the
+ * other side of the pointer on each axis where it would overflow the viewport.
+ *
+ * @param {Array} pointer `[x, y]` pointer position, relative to the viewport
+ * @param {Array} size `[width, height]` of the tooltip
+ * @param {Array} viewport `[width, height]` of the viewport
+ * @param {number} offset distance between pointer and tooltip, in pixels
+ * @returns {Object} { left, top, flipX, flipY }
+ */
+export const getTooltipPosition = (
+    [x, y],
+    [width, height],
+    [viewportWidth, viewportHeight],
+    offset
+) => {
+    const flipX = x + offset + width > viewportWidth && x - offset - width >= 0;
+    const flipY =
+        y + offset + height > viewportHeight && y - offset - height >= 0;
+
+    return {
+        left: flipX ? x - offset - width : x + offset,
+        top: flipY ? y - offset - height : y + offset,
+        flipX,
+        flipY,
+    };
+};
+
+const getDefaultTemplates = config => {
+    const {
+        bound: { format },
+        drop: { date: dropDate, endDate: dropEndDate },
+    } = config;
+    const spanning = isSpan(dropDate, dropEndDate);
+
+    return {
+        drop: d =>
+            spanning(d)
+                ? `${format(dropDate(d))} - ${format(new Date(dropEndDate(d)))}`
+                : format(dropDate(d)),
+        bucket: ({ count, date }) =>
+            `<strong>${count} event${count > 1 ? 's' : ''}</strong> ${format(
+                date
+            )}`,
+    };
+};
+
+/**
+ * Creates the tooltip displayed when hovering drops, bars and heatmap buckets, when
+ * `tooltip` is configured. Its content comes from the `drop` or `bucket` template,
+ * depending on hovered datum, so that it follows the switch between drops and heatmap.
+ *
+ * The tooltip shows up after `showDelay`, and hides after `hideDelay`, leaving time to
+ * move the pointer over it (e.g. to click a link) or to another drop. Moving from one
+ * drop to another while the tooltip is displayed updates it at once.
+ *
+ * @param {Object} config configuration
+ * @param {HTMLElement} container element the tooltip is appended to
+ * @param {Object} global global object (window), for viewport size and timers
+ * @returns {Object} tooltip state: { enter, leave, refresh, remove, node }
+ */
+export const createTooltip = (config, container, global) => {
+    const defaultTemplates = getDefaultTemplates(config);
+    const {
+        d3,
+        tooltip: {
+            drop: dropTemplate = defaultTemplates.drop,
+            bucket: bucketTemplate = defaultTemplates.bucket,
+            showDelay = 100,
+            hideDelay = 200,
+            offset = 10,
+        },
+    } = config;
+
+    const tooltip = d3
+        .select(container)
+        .append('div')
+        .classed('event-drops-tooltip', true)
+        .style('display', 'none');
+
+    let hovered = null;
+    let visible = false;
+    let timer = null;
+
+    const clearTimer = () => {
+        global.clearTimeout(timer);
+        timer = null;
+    };
+
+    const hide = () => {
+        visible = false;
+        tooltip.style('display', 'none');
+    };
+
+    const scheduleHide = () => {
+        clearTimer();
+        if (visible) {
+            timer = global.setTimeout(hide, hideDelay);
+        }
+    };
+
+    const show = () => {
+        const { d, row, pointer } = hovered;
+        const bucket = isBucket(d);
+        const content = bucket ? bucketTemplate(d, row) : dropTemplate(d, row);
+
+        if (content === null || content === undefined || content === '') {
+            hide();
+            return;
+        }
+
+        tooltip
+            .html(content)
+            .classed('bucket', bucket)
+            .style('display', null);
+        visible = true;
+
+        const { width, height } = tooltip.node().getBoundingClientRect();
+        const { left, top, flipX, flipY } = getTooltipPosition(
+            pointer,
+            [width, height],
+            [global.innerWidth, global.innerHeight],
+            offset
+        );
+
+        tooltip
+            .classed('flip-x', flipX)
+            .classed('flip-y', flipY)
+            .style('left', `${left}px`)
+            .style('top', `${top}px`);
+    };
+
+    const state = {
+        node: tooltip.node(),
+        /**
+         * @param {Event} ev pointer event
+         * @param {*} d hovered drop or bucket
+         * @param {Object} row row of hovered drop
+         * @param {Function} isStale tells whether hovered drop is not displayed anymore
+         */
+        enter: (ev, d, row, isStale) => {
+            if (hovered && hovered.d === d) {
+                return;
+            }
+
+            clearTimer();
+            hovered = { d, row, isStale, pointer: [ev.clientX, ev.clientY] };
+            if (visible) {
+                show();
+                return;
+            }
+
+            timer = global.setTimeout(show, showDelay);
+        },
+        leave: () => {
+            if (!hovered) {
+                return;
+            }
+
+            hovered = null;
+            scheduleHide();
+        },
+        // called after each redraw: hovered drop may have been removed without any mouseout
+        refresh: () => {
+            if (hovered && hovered.isStale()) {
+                clearTimer();
+                hovered = null;
+                hide();
+            }
+        },
+        remove: () => {
+            clearTimer();
+            tooltip.remove();
+        },
+    };
+
+    // keep the tooltip displayed while hovering it
+    tooltip.on('mouseenter', clearTimer).on('mouseleave', () => {
+        if (!hovered) {
+            scheduleHide();
+        }
+    });
+
+    return state;
+};
+
+/**
+ * Shows the tooltip when hovering drops, bars and heatmap buckets. As for selection, a
+ * single listener on the SVG handles them all, whatever the renderer, and keeps working
+ * when lines switch between drops and heatmap.
+ *
+ * @param {Object} d3 d3 object
+ * @param {Object} state chart runtime state, with its `tooltip`
+ */
+export const addTooltipHandling = (d3, state) => svg => {
+    const { tooltip } = state;
+
+    if (state.canvas) {
+        const layer = state.canvas;
+        const isErased = item => () =>
+            ![...layer.items.values()].some(line => line.items.includes(item));
+
+        svg
+            .on('mousemove.tooltip', ev => {
+                const [x, y] = d3.pointer(ev, layer.node);
+                const item = findCanvasItem(layer, x, y);
+                if (!item) {
+                    tooltip.leave();
+                    return;
+                }
+
+                tooltip.enter(ev, item.data, item.row, isErased(item));
+            })
+            .on('mouseleave.tooltip', () => tooltip.leave());
+        return;
+    }
+
+    const getElement = ev => ev.target.closest && ev.target.closest(HOVERABLE);
+
+    svg
+        .on('mouseover.tooltip', ev => {
+            const element = getElement(ev);
+            if (!element) {
+                return;
+            }
+
+            const d = d3.select(element).datum();
+            const row = d3.select(element.closest('.drop-line')).datum();
+
+            tooltip.enter(
+                ev,
+                d,
+                row,
+                () => !element.isConnected || d3.select(element).datum() !== d
+            );
+        })
+        .on('mouseout.tooltip', ev => {
+            if (getElement(ev)) {
+                tooltip.leave();
+            }
+        });
+};
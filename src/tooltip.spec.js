@@ -0,0 +1,216 @@
+import { getBucketData } from './heatmap';
+import {
+    addTooltipHandling,
+    createTooltip,
+    getTooltipPosition,
+} from './tooltip';
+
+const createConfig = (tooltipConfig = {}) => ({
+    d3,
+    bound: { format: d3.utcFormat('%Y-%m-%d') },
+    drop: { date: d => new Date(d.date), endDate: null },
+    tooltip: tooltipConfig,
+});
+
+const foo = { date: '2018-01-02' };
+const bar = { date: '2018-01-05' };
+const bucket = {
+    date: new Date('2018-01-01'),
+    count: 2,
+    events: [foo, bar],
+    _bucket: true,
+};
+
+const pointerEvent = { clientX: 100, clientY: 50 };
+
+describe('Tooltip', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '<div id="chart"></div>';
+    });
+
+    const getTooltip = () => document.querySelector('.event-drops-tooltip');
+
+    it('should display tooltip on bottom right of pointer, flipping it at viewport edges', () => {
+        expect(
+            getTooltipPosition([100, 50], [200, 40], [1000, 800], 10)
+        ).toEqual({ left: 110, top: 60, flipX: false, flipY: false });
+        expect(
+            getTooltipPosition([900, 780], [200, 40], [1000, 800], 10)
+        ).toEqual({ left: 690, top: 730, flipX: true, flipY: true });
+
+        // no room on the other side either
+        expect(
+            getTooltipPosition([100, 50], [200, 40], [150, 800], 10)
+        ).toEqual({ left: 110, top: 60, flipX: false, flipY: false });
+    });
+
+    it('should use `drop` or `bucket` template depending on hovered datum', () => {
+        const row = { name: 'foo' };
+        const dropTemplate = jest.fn(d => `drop ${d.date}`);
+        const tooltip = createTooltip(
+            createConfig({ drop: dropTemplate, showDelay: 0 }),
+            document.getElementById('chart'),
+            window
+        );
+
+        tooltip.enter(pointerEvent, foo, row, () => false);
+        jest.runAllTimers();
+        expect(getTooltip().innerHTML).toBe('drop 2018-01-02');
+        expect(dropTemplate).toHaveBeenCalledWith(foo, row);
+
+        tooltip.enter(pointerEvent, bucket, row, () => false);
+        expect(getTooltip().innerHTML).toBe(
+            '<strong>2 events</strong> 2018-01-01'
+        );
+        expect(getTooltip().classList.contains('bucket')).toBe(true);
+    });
+
+    it('should use `bucket` template for buckets of `heatmap.source`, which have no events', () => {
+        const row = { name: 'foo' };
+        const heatmapSource = {
+            getBuckets: () => [{ date: new Date('2018-01-01'), count: 3 }],
+        };
+        const [sourceBucket] = getBucketData(
+            createConfig(),
+            d3.scaleTime(),
+            'days',
+            d3.timeDay,
+            { heatmapSource }
+        )(row);
+
+        const tooltip = createTooltip(
+            createConfig({ showDelay: 0 }),
+            document.getElementById('chart'),
+            window
+        );
+
+        tooltip.enter(pointerEvent, sourceBucket, row, () => false);
+        jest.runAllTimers();
+        expect(getTooltip().innerHTML).toBe(
+            '<strong>3 events</strong> 2018-01-01'
+        );
+    });
+
+    it('should show and hide tooltip after configured delays', () => {
+        const tooltip = createTooltip(
+            createConfig({ showDelay: 100, hideDelay: 200 }),
+            document.getElementById('chart'),
+            window
+        );
+
+        tooltip.enter(pointerEvent, foo, {}, () => false);
+        expect(getTooltip().style.display).toBe('none');
+        jest.advanceTimersByTime(100);
+        expect(getTooltip().style.display).toBe('');
+
+        // moving to another drop updates tooltip at once
+        tooltip.leave();
+        tooltip.enter(pointerEvent, bar, {}, () => false);
+        expect(getTooltip().innerHTML).toBe('2018-01-05');
+
+        tooltip.leave();
+        jest.advanceTimersByTime(199);
+        expect(getTooltip().style.display).toBe('');
+        jest.advanceTimersByTime(1);
+        expect(getTooltip().style.display).toBe('none');
+    });
+
+    it('should stay displayed while hovering it', () => {
+        const tooltip = createTooltip(
+            createConfig({ showDelay: 0 }),
+            document.getElementById('chart'),
+            window
+        );
+
+        tooltip.enter(pointerEvent, foo, {}, () => false);
+        jest.runAllTimers();
+
+        tooltip.leave();
+        getTooltip().dispatchEvent(new MouseEvent('mouseenter'));
+        jest.runAllTimers();
+        expect(getTooltip().style.display).toBe('');
+
+        getTooltip().dispatchEvent(new MouseEvent('mouseleave'));
+        jest.runAllTimers();
+        expect(getTooltip().style.display).toBe('none');
+    });
+
+    it('should not display anything when template returns no content', () => {
+        const tooltip = createTooltip(
+            createConfig({ bucket: () => null, showDelay: 0 }),
+            document.getElementById('chart'),
+            window
+        );
+
+        tooltip.enter(pointerEvent, bucket, {}, () => false);
+        jest.runAllTimers();
+        expect(getTooltip().style.display).toBe('none');
+    });
+
+    it('should hide tooltip once hovered drop has been removed by a redraw', () => {
+        let removed = false;
+        const tooltip = createTooltip(
+            createConfig({ showDelay: 0 }),
+            document.getElementById('chart'),
+            window
+        );
+
+        tooltip.enter(pointerEvent, foo, {}, () => removed);
+        jest.runAllTimers();
+
+        tooltip.refresh();
+        expect(getTooltip().style.display).toBe('');
+
+        removed = true;
+        tooltip.refresh();
+        expect(getTooltip().style.display).toBe('none');
+    });
+
+    it('should handle hover of any drop or bucket from a single listener', () => {
+        document.body.innerHTML = `
+            <div id="chart"><svg><g class="drop-line"><g class="drops">
+                <circle class="drop"></circle>
+                <rect class="heatmap-rect"></rect>
+            </g></g></svg></div>`;
+
+        const row = { name: 'foo' };
+        d3.select('.drop-line').datum(row);
+        d3.select('.drop').datum(foo);
+        d3.select('.heatmap-rect').datum(bucket);
+
+        const state = {
+            tooltip: createTooltip(
+                createConfig({ showDelay: 0 }),
+                document.getElementById('chart'),
+                window
+            ),
+        };
+        d3.select('svg').call(addTooltipHandling(d3, state));
+
+        const hover = selector =>
+            document
+                .querySelector(selector)
+                .dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+        hover('.drop');
+        jest.runAllTimers();
+        expect(getTooltip().innerHTML).toBe('2018-01-02');
+
+        // the drop is replaced by a heatmap bucket
+        d3.select('.drop').remove();
+        state.tooltip.refresh();
+        expect(getTooltip().style.display).toBe('none');
+
+        hover('.heatmap-rect');
+        jest.runAllTimers();
+        expect(getTooltip().innerHTML).toBe(
+            '<strong>2 events</strong> 2018-01-01'
+        );
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        document.body.innerHTML = '';
+    });
+});
@@ -1,9 +1,28 @@
 import isWithinRange from 'date-fns/is_within_range';
 
-export const withinRange = (date, dateBounds) => {
+export const withinRange = (date, dateBounds, endDate) => {
     const startingDate = Math.min(...dateBounds);
     const endingDate = Math.max(...dateBounds);
 
+    // a span is within range as soon as it overlaps it
+    if (endDate !== undefined && endDate !== null) {
+        return (
+            new Date(date).getTime() <= endingDate &&
+            new Date(endDate).getTime() >= startingDate
+        );
+    }
+
     // @TODO: remove the `new Date()` constructor in the next major version: we need to force it at configuration level.
     return isWithinRange(new Date(date), startingDate, endingDate);
 };
+
+// part of the span [date, endDate] lying within given range, as [Date, Date]
+export const clipToRange = (date, endDate, dateBounds) => {
+    const startingDate = Math.min(...dateBounds);
+    const endingDate = Math.max(...dateBounds);
+
+    return [
+        new Date(Math.max(new Date(date).getTime(), startingDate)),
+        new Date(Math.min(new Date(endDate).getTime(), endingDate)),
+    ];
+};
@@ -1,4 +1,4 @@
-import { withinRange } from './withinRange';
+import { clipToRange, withinRange } from './withinRange';
 
 describe('withinRange', () => {
     it('should return true if date is in given date range', () => {
@@ -24,4 +24,25 @@ describe('withinRange', () => {
         test('2018-05-01', true);
         test('2018-05-19', false);
     });
+
+    it('should return true if span overlaps given date range', () => {
+        const dateRange = [new Date('2018-04-01'), new Date('2018-05-01')];
+        const test = (date, endDate, expectedResult) => {
+            expect(withinRange(date, dateRange, endDate)).toBe(expectedResult);
+        };
+
+        test('2018-03-01', '2018-04-10', true);
+        test('2018-04-10', '2018-06-01', true);
+        test('2018-03-01', '2018-06-01', true);
+        test('2018-03-01', '2018-03-10', false);
+    });
+
+    it('should clip span to given date range', () => {
+        const dateRange = [new Date('2018-04-01'), new Date('2018-05-01')];
+
+        expect(clipToRange('2018-03-01', '2018-04-10', dateRange)).toEqual([
+            new Date('2018-04-01'),
+            new Date('2018-04-10'),
+        ]);
+    });
 });
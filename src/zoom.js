@@ -53,7 +53,8 @@ export default (
     draw,
     getEvent,
     width,
-    height
+    height,
+    history
 ) => {
     const {
         label: { width: labelsWidth, padding: labelsPadding },
@@ -81,6 +82,19 @@ export default (
 
     zoom.on('zoom.start', onZoomStart).on('zoom.end', onZoomEnd);
 
+    if (history) {
+        zoom.on('end.history', ev => {
+            const transform = getShiftedTransform(
+                ev.transform,
+                labelsWidth,
+                labelsPadding,
+                d3
+            );
+
+            history.record(transform.rescaleX(xScale).domain());
+        });
+    }
+
     zoom.on('zoom', (ev, args) => {
         const transform = getShiftedTransform(
             ev.transform,
@@ -111,6 +111,53 @@ describe('Zoom', () => {
         test(config, [[120, 0], [500, 300]]);
     });
 
+    it('should record domain displayed at the end of each zoom in history', () => {
+        const config = {
+            ...defaultConfig,
+            label: { width: 100, padding: 20 },
+        };
+        const xScale = d3
+            .scaleTime()
+            .domain([new Date(2016, 0, 1), new Date(2016, 0, 11)])
+            .range([0, 120]);
+        const history = { record: jest.fn() };
+
+        const zoom = d3.zoom().extent([[0, 0], [220, 100]]); // jsdom does not implement SVG sizes
+        const selection = d3.select('svg');
+        selection.call(
+            zoomFactory(
+                d3,
+                selection,
+                config,
+                zoom,
+                xScale,
+                () => () => {},
+                {},
+                220,
+                100,
+                history
+            )
+        );
+
+        selection.call(
+            zoom.transform,
+            getDomainTransform(
+                d3,
+                config,
+                [new Date(2016, 0, 3), new Date(2016, 0, 5)],
+                xScale,
+                220
+            )
+        );
+
+        const [[domain]] = history.record.mock.calls;
+        expect(domain.map(d => Math.round(d / 1000))).toEqual(
+            [new Date(2016, 0, 3), new Date(2016, 0, 5)].map(d =>
+                Math.round(d / 1000)
+            )
+        );
+    });
+
     /* These tests are skipped as I can't find any way to test D3 event at this point. */
     it.todo('should update scale according to given D3 zoom event');
     it.todo('should redraw chart using newly zoomed scale');
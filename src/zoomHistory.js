@@ -0,0 +1,61 @@
+const isSameDomain = (a, b) =>
+    a[0].getTime() === b[0].getTime() && a[1].getTime() === b[1].getTime();
+
+/**
+ * Creates the zoom history, a stack of visited domains starting with the initial one.
+ * Recording a domain after going back drops the forward entries, as in a browser.
+ *
+ * @param {Object[]} initialDomain `[date, date]` domain displayed before any zoom
+ * @param {number} maxLength maximum number of recorded domains, oldest ones being dropped
+ * @param {Function} onChange called each time the history changes
+ * @returns {Object} history: { record, go, canGoBack, canGoForward, current }
+ */
+export const createZoomHistory = (
+    initialDomain,
+    maxLength = Infinity,
+    onChange = () => {}
+) => {
+    let entries = [initialDomain.map(d => new Date(d))];
+    let index = 0;
+
+    // zooming to a domain of the history must not record it again
+    let navigating = false;
+
+    const history = {
+        record: domain => {
+            const dates = domain.map(d => new Date(d));
+            if (navigating || isSameDomain(entries[index], dates)) {
+                return;
+            }
+
+            entries = entries.slice(0, index + 1).concat([dates]);
+            if (entries.length > maxLength) {
+                entries = entries.slice(entries.length - maxLength);
+            }
+            index = entries.length - 1;
+            onChange(history);
+        },
+        go: (offset, zoomTo) => {
+            const target = index + offset;
+            if (target < 0 || target >= entries.length) {
+                return false;
+            }
+
+            index = target;
+            navigating = true;
+            try {
+                zoomTo(entries[index]);
+            } finally {
+                navigating = false;
+            }
+            onChange(history);
+
+            return true;
+        },
+        canGoBack: () => index > 0,
+        canGoForward: () => index < entries.length - 1,
+        current: () => entries[index],
+    };
+
+    return history;
+};
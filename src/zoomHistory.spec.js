@@ -0,0 +1,59 @@
+import { createZoomHistory } from './zoomHistory';
+
+describe('Zoom history', () => {
+    const day = d => new Date(2016, 0, d);
+    const domain = (start, end) => [day(start), day(end)];
+
+    it('should go back and forward between recorded domains', () => {
+        const onChange = jest.fn();
+        const history = createZoomHistory(domain(1, 31), 50, onChange);
+        const zoomTo = jest.fn();
+
+        expect(history.canGoBack()).toBe(false);
+        expect(history.go(-1, zoomTo)).toBe(false);
+
+        history.record(domain(5, 10));
+        history.record(domain(6, 8));
+        expect(onChange).toHaveBeenCalledTimes(2);
+
+        expect(history.go(-1, zoomTo)).toBe(true);
+        expect(zoomTo).toHaveBeenLastCalledWith(domain(5, 10));
+        expect(history.canGoForward()).toBe(true);
+
+        expect(history.go(1, zoomTo)).toBe(true);
+        expect(zoomTo).toHaveBeenLastCalledWith(domain(6, 8));
+        expect(history.canGoForward()).toBe(false);
+    });
+
+    it('should not record domains while navigating, nor twice the same one', () => {
+        const history = createZoomHistory(domain(1, 31));
+        history.record(domain(5, 10));
+        history.record(domain(5, 10));
+
+        history.go(-1, target => history.record(target));
+        expect(history.current()).toEqual(domain(1, 31));
+        expect(history.canGoForward()).toBe(true);
+    });
+
+    it('should drop forward entries when recording after going back', () => {
+        const history = createZoomHistory(domain(1, 31));
+        history.record(domain(5, 10));
+        history.go(-1, () => {});
+
+        history.record(domain(2, 3));
+        expect(history.canGoForward()).toBe(false);
+
+        history.go(-1, () => {});
+        expect(history.current()).toEqual(domain(1, 31));
+    });
+
+    it('should forget oldest domains beyond maximum length', () => {
+        const history = createZoomHistory(domain(1, 31), 2);
+        history.record(domain(5, 10));
+        history.record(domain(6, 8));
+
+        history.go(-1, () => {});
+        expect(history.canGoBack()).toBe(false);
+        expect(history.current()).toEqual(domain(5, 10));
+    });
+});